@@ -0,0 +1,142 @@
+// ===== AUTHENTICATION TOKENS =====
+// Every WebSocket connection (and every export download) must carry a token
+// that proves who the user is. Tokens are JSON Web Tokens signed with
+// HMAC-SHA256 and a shared secret (AUTH_SECRET):
+//
+//   base64url(header) . base64url(claims) . base64url(signature)
+//   claims: { sub: 'user ID', name: 'display name', iat, exp }
+//
+// Anything that knows the secret can issue tokens - for example a login
+// service in front of this app. For development, the server issues tokens
+// itself from POST /auth/dev-login (see server.js).
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// How long a token stays valid
+const TOKEN_TTL_SECONDS = parseInt(process.env.TOKEN_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+
+// Longest user ID we accept in a token
+const MAX_USER_ID_LENGTH = 128;
+
+// Without AUTH_SECRET every server start makes up a new secret,
+// so tokens stop working after a restart (clients simply log in again)
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+    logger.warn('AUTH_SECRET is not set - using a random secret; tokens will not survive a restart');
+}
+
+class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+// ===== ENCODING HELPERS =====
+
+function encode(object) {
+    return Buffer.from(JSON.stringify(object)).toString('base64url');
+}
+
+function decode(part) {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+}
+
+// ===== ISSUE A TOKEN =====
+// claims: { sub, name } (iat and exp are added here)
+function signToken(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ ...claims, iat: now, exp: now + TOKEN_TTL_SECONDS })}`;
+    return `${data}.${sign(data)}`;
+}
+
+// ===== CHECK A TOKEN =====
+// Returns the claims, or throws an AuthError if the token is missing,
+// forged, malformed or expired
+function verifyToken(token) {
+    if (typeof token !== 'string' || token.length === 0) {
+        throw new AuthError('missing token');
+    }
+    
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new AuthError('malformed token');
+    }
+    
+    // Compare signatures in constant time so they can't be guessed byte by byte
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new AuthError('invalid signature');
+    }
+    
+    let header;
+    let claims;
+    try {
+        header = decode(parts[0]);
+        claims = decode(parts[1]);
+    } catch (error) {
+        throw new AuthError('malformed token');
+    }
+    
+    // Only accept the algorithm we sign with
+    if (!header || header.alg !== 'HS256') {
+        throw new AuthError('unsupported token algorithm');
+    }
+    if (!claims || typeof claims.sub !== 'string' || claims.sub.length === 0 || claims.sub.length > MAX_USER_ID_LENGTH) {
+        throw new AuthError('token has no valid user ID');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+        throw new AuthError('token has expired');
+    }
+    
+    return claims;
+}
+
+// ===== CLIENT KEYS =====
+// Every board change carries the ID of the client (browser tab) that made it,
+// and only that client may undo, redo or add to its items. So a client ID must
+// belong to one user: the server gives each one out with a key, an HMAC of the
+// user ID and the client ID, and only takes a client ID back with its key.
+// Nobody can use another user's client ID without the secret.
+function clientKey(userId, clientId) {
+    return sign(`client:${userId}:${clientId}`);
+}
+
+// Is `key` the key of `clientId` for this user?
+function checkClientKey(userId, clientId, key) {
+    if (typeof key !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(clientKey(userId, clientId));
+    const actual = Buffer.from(key);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ===== FIND THE TOKEN IN A REQUEST =====
+// Browsers can't set headers on a WebSocket, so the token may come in the URL:
+//   Authorization: Bearer <token>    or    ?token=<token>
+function getTokenFromRequest(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+}
+
+module.exports = {
+    MAX_USER_ID_LENGTH,
+    AuthError,
+    signToken,
+    verifyToken,
+    clientKey,
+    checkClientKey,
+    getTokenFromRequest
+};
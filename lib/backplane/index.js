@@ -0,0 +1,50 @@
+// ===== BACKPLANE: CONNECTING SERVER PROCESSES =====
+// One server process keeps its rooms in memory. To run several processes
+// (e.g. behind a load balancer) they must share every change, so users on
+// different processes ("nodes") still see the same board. The backplane is
+// how nodes talk to each other. Any object with these methods can be used:
+//
+//   publish(channel, message)     -> Promise of the number of subscribers that got it
+//                                    (including ourselves, if we subscribed)
+//   subscribe(channel, handler)   -> Promise; handler(message) runs for every message
+//   unsubscribe(channel)          -> Promise
+//   increment(key)                -> Promise of the key's new value (1 the first time)
+//   get(key)                      -> Promise of the key's value as a string, or null
+//   setIfMissing(key, value)      -> Promise of the key's value (ours, or the one already there)
+//   ping()                        -> Promise that rejects if the backplane can't be reached (see /health)
+//   close()                       -> Promise; stop (called on shutdown)
+//
+// Messages are plain objects (sent as JSON). Every subscriber of a channel
+// receives its messages in the order they were published - server.js relies
+// on that to keep presence consistent, and on increment() to put board
+// changes in one order on every node.
+
+const MemoryBackplane = require('./memory-backplane');
+const RedisBackplane = require('./redis-backplane');
+
+// Pick a backplane based on environment variables
+//   BACKPLANE=memory (default) only this process - for running one server
+//   BACKPLANE=redis  share rooms with other processes through REDIS_URL
+// onError is called if the backplane breaks (Redis only)
+function createBackplane(options = {}) {
+    const kind = options.kind || process.env.BACKPLANE || 'memory';
+    
+    switch (kind) {
+        case 'memory':
+            return new MemoryBackplane(options.hub);
+        
+        case 'redis':
+            return new RedisBackplane(options.url || process.env.REDIS_URL || 'redis://localhost:6379', {
+                onError: options.onError
+            });
+        
+        default:
+            throw new Error(`Unknown BACKPLANE type: ${kind}`);
+    }
+}
+
+module.exports = {
+    createBackplane,
+    MemoryBackplane,
+    RedisBackplane
+};
@@ -0,0 +1,87 @@
+// ===== IN-MEMORY BACKPLANE =====
+// Passes messages between subscribers in the same process. With one server
+// process this is all that's needed. Several MemoryBackplanes can share a
+// hub to act like separate nodes (handy for experiments), but real separate
+// processes need the Redis backplane.
+
+// Shared channels and keys: one hub per process unless another one is passed in
+function createHub() {
+    return {
+        channels: new Map(),   // Channel name -> Set of handlers
+        keys: new Map()        // Key -> value
+    };
+}
+
+const defaultHub = createHub();
+
+class MemoryBackplane {
+    constructor(hub = defaultHub) {
+        this.hub = hub;
+        
+        // Our own handlers, so unsubscribe() only removes ours: channel -> handler
+        this.handlers = new Map();
+    }
+    
+    publish(channel, message) {
+        const handlers = [...(this.hub.channels.get(channel) || [])];
+        
+        // Like Redis: delivered later, in publish order, and as a copy
+        // (so a subscriber can't change the message the publisher still holds)
+        const payload = JSON.stringify(message);
+        handlers.forEach(handler => setImmediate(() => handler(JSON.parse(payload))));
+        
+        return Promise.resolve(handlers.length);
+    }
+    
+    subscribe(channel, handler) {
+        if (!this.hub.channels.has(channel)) {
+            this.hub.channels.set(channel, new Set());
+        }
+        this.hub.channels.get(channel).add(handler);
+        this.handlers.set(channel, handler);
+        return Promise.resolve();
+    }
+    
+    unsubscribe(channel) {
+        const handlers = this.hub.channels.get(channel);
+        if (handlers) {
+            handlers.delete(this.handlers.get(channel));
+            if (handlers.size === 0) {
+                this.hub.channels.delete(channel);
+            }
+        }
+        this.handlers.delete(channel);
+        return Promise.resolve();
+    }
+    
+    increment(key) {
+        const value = (this.hub.keys.get(key) || 0) + 1;
+        this.hub.keys.set(key, value);
+        return Promise.resolve(value);
+    }
+    
+    get(key) {
+        const value = this.hub.keys.get(key);
+        return Promise.resolve(value === undefined ? null : String(value));
+    }
+    
+    setIfMissing(key, value) {
+        if (!this.hub.keys.has(key)) {
+            this.hub.keys.set(key, value);
+        }
+        return Promise.resolve(String(this.hub.keys.get(key)));
+    }
+    
+    ping() {
+        return Promise.resolve();
+    }
+    
+    close() {
+        [...this.handlers.keys()].forEach(channel => this.unsubscribe(channel));
+        return Promise.resolve();
+    }
+}
+
+MemoryBackplane.createHub = createHub;
+
+module.exports = MemoryBackplane;
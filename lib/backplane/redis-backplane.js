@@ -0,0 +1,243 @@
+// ===== REDIS BACKPLANE =====
+// Connects server processes through a Redis server (or anything that speaks
+// the Redis protocol, like scripts/redis-standin.js). Uses only Node's
+// built-in net module (no Redis library needed).
+//
+// Redis talks RESP, a simple text protocol. A command is an array of strings:
+//
+//   *3\r\n $7\r\nPUBLISH\r\n $4\r\nroom\r\n $2\r\nhi\r\n     (spaces added for reading)
+//
+// and every reply starts with a type character:
+//
+//   +OK\r\n          simple string       :42\r\n        integer
+//   -ERR ...\r\n     error               $2\r\nhi\r\n   string ($-1 = null)
+//   *2\r\n...        array of replies
+//
+// A connection that has subscribed to a channel can't run other commands, so
+// we open two: one for commands and one that only receives messages.
+
+const net = require('net');
+
+// ===== ENCODING =====
+function encodeCommand(args) {
+    let command = `*${args.length}\r\n`;
+    args.forEach(arg => {
+        const value = String(arg);
+        command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    });
+    return command;
+}
+
+// ===== DECODING =====
+// Reads one reply from `buffer` starting at `offset`
+// Returns { value, offset } (offset = where the next reply starts),
+// or null if the buffer doesn't hold a whole reply yet
+function parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+    
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        
+        case '-':
+            return { value: new Error(line), offset: next };
+        
+        case ':':
+            return { value: Number(line), offset: next };
+        
+        case '$': {
+            const length = Number(line);
+            if (length === -1) {
+                return { value: null, offset: next };
+            }
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        
+        case '*': {
+            const count = Number(line);
+            if (count === -1) {
+                return { value: null, offset: next };
+            }
+            const values = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                values.push(item.value);
+                position = item.offset;
+            }
+            return { value: values, offset: position };
+        }
+        
+        default:
+            throw new Error(`Unexpected reply from Redis: ${JSON.stringify(buffer.toString('utf8', offset, lineEnd))}`);
+    }
+}
+
+// ===== ONE CONNECTION =====
+// Replies come back in the order commands were sent, so each command just
+// waits for the next reply. Messages for subscribers go to `onPush`.
+class RespConnection {
+    constructor(url, { onPush, onClose }) {
+        this.onPush = onPush;
+        this.pending = [];             // { resolve, reject } for each command waiting for its reply
+        this.buffer = Buffer.alloc(0);
+        this.closing = false;
+        
+        this.socket = net.createConnection({ host: url.hostname || 'localhost', port: Number(url.port) || 6379 });
+        this.socket.setNoDelay(true);
+        this.ready = new Promise((resolve, reject) => {
+            this.socket.once('connect', resolve);
+            this.socket.once('error', reject);
+        });
+        
+        this.socket.on('data', chunk => this.receive(chunk));
+        this.socket.on('error', error => this.failPending(error));
+        this.socket.on('close', () => {
+            this.failPending(new Error('Redis connection closed'));
+            if (!this.closing) {
+                onClose();
+            }
+        });
+    }
+    
+    send(...args) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ resolve, reject });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+    
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        
+        let offset = 0;
+        let reply;
+        while ((reply = parseReply(this.buffer, offset))) {
+            offset = reply.offset;
+            this.handleReply(reply.value);
+        }
+        this.buffer = this.buffer.subarray(offset);
+    }
+    
+    handleReply(value) {
+        // A published message: [ 'message', channel, payload ]
+        if (Array.isArray(value) && value[0] === 'message') {
+            this.onPush(value[1], value[2]);
+            return;
+        }
+        
+        const waiting = this.pending.shift();
+        if (!waiting) return;
+        if (value instanceof Error) {
+            waiting.reject(value);
+        } else {
+            waiting.resolve(value);
+        }
+    }
+    
+    failPending(error) {
+        this.pending.splice(0).forEach(waiting => waiting.reject(error));
+    }
+    
+    close() {
+        this.closing = true;
+        this.socket.end();
+    }
+}
+
+// ===== THE BACKPLANE =====
+class RedisBackplane {
+    // url: e.g. redis://localhost:6379 or redis://:password@redis.internal:6379/2
+    // onError: called if a connection is lost - this node can't know what it
+    // missed, so the server shuts down (see server.js)
+    constructor(url, { onError } = {}) {
+        this.url = new URL(url);
+        this.handlers = new Map();     // Channel -> handler
+        
+        const onClose = () => onError(new Error(`Lost connection to Redis at ${this.url.host}`));
+        this.commands = new RespConnection(this.url, { onPush: () => {}, onClose });
+        this.subscriber = new RespConnection(this.url, {
+            onPush: (channel, payload) => {
+                const handler = this.handlers.get(channel);
+                if (handler) {
+                    handler(JSON.parse(payload));
+                }
+            },
+            onClose
+        });
+        
+        this.ready = Promise.all([this.setUp(this.commands), this.setUp(this.subscriber)]);
+        
+        // A failed connection is reported through onError (the commands
+        // waiting for `ready` still see the error)
+        this.ready.catch(() => {});
+    }
+    
+    // Log in and pick the database named in the URL
+    async setUp(connection) {
+        await connection.ready;
+        if (this.url.password) {
+            const user = decodeURIComponent(this.url.username);
+            const password = decodeURIComponent(this.url.password);
+            await (user ? connection.send('AUTH', user, password) : connection.send('AUTH', password));
+        }
+        const db = this.url.pathname.slice(1);
+        if (db) {
+            await connection.send('SELECT', db);
+        }
+    }
+    
+    async publish(channel, message) {
+        await this.ready;
+        return this.commands.send('PUBLISH', channel, JSON.stringify(message));
+    }
+    
+    async subscribe(channel, handler) {
+        await this.ready;
+        this.handlers.set(channel, handler);
+        await this.subscriber.send('SUBSCRIBE', channel);
+    }
+    
+    async unsubscribe(channel) {
+        await this.ready;
+        this.handlers.delete(channel);
+        await this.subscriber.send('UNSUBSCRIBE', channel);
+    }
+    
+    async increment(key) {
+        await this.ready;
+        return this.commands.send('INCR', key);
+    }
+    
+    async get(key) {
+        await this.ready;
+        return this.commands.send('GET', key);
+    }
+    
+    async setIfMissing(key, value) {
+        await this.ready;
+        await this.commands.send('SETNX', key, value);
+        return this.commands.send('GET', key);
+    }
+    
+    async ping() {
+        await this.ready;
+        await this.commands.send('PING');
+    }
+    
+    async close() {
+        this.commands.close();
+        this.subscriber.close();
+    }
+}
+
+module.exports = RedisBackplane;
+module.exports.encodeCommand = encodeCommand;
+module.exports.parseReply = parseReply;
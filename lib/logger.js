@@ -0,0 +1,98 @@
+// ===== STRUCTURED LOGGING =====
+// Every log entry is one line of JSON, so log services (Azure Monitor, Loki,
+// `jq` on the command line...) can search and filter by any field:
+//
+//   {"time":"2026-03-02T10:15:04.120Z","level":"info","msg":"Client connected","room":"lobby","connectionId":"3fa9c1d2"}
+//
+//   const { logger } = require('./lib/logger');
+//   logger.info('Room created', { room: 'lobby' });
+//   const log = logger.child({ connectionId: 'abc' });  // Adds connectionId to every entry
+//   log.warn('Rejected message', { reason: 'size must be a number' });
+//
+// LOG_LEVEL picks the least important level that is written (default: info).
+// LOG_FORMAT=pretty writes readable lines instead of JSON, for development.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Error objects don't turn into JSON by themselves - keep their message and stack
+function serialize(value) {
+    if (value instanceof Error) {
+        return { message: value.message, stack: value.stack };
+    }
+    return value;
+}
+
+class Logger {
+    // fields: added to every entry
+    // options: { level, format, write(level, line) }
+    constructor(fields = {}, options = {}) {
+        this.fields = fields;
+        this.options = options;
+        this.minLevel = LEVELS[options.level] || LEVELS.info;
+    }
+    
+    // A logger that adds more fields to every entry (e.g. one per connection)
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields }, this.options);
+    }
+    
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+    
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+    
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+    
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+    
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < this.minLevel) return;
+        
+        const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+        Object.entries(fields).forEach(([key, value]) => {
+            entry[key] = serialize(value);
+        });
+        
+        const line = this.options.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+        if (this.options.write) {
+            this.options.write(level, line);
+        } else if (LEVELS[level] >= LEVELS.warn) {
+            process.stderr.write(line + '\n');
+        } else {
+            process.stdout.write(line + '\n');
+        }
+    }
+}
+
+// 10:15:04 INFO  Client connected room=lobby connectionId=3fa9c1d2
+function formatPretty({ time, level, msg, ...fields }) {
+    const details = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time.slice(11, 19)} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ' ' + details : ''}`;
+}
+
+function createLogger(fields, options = {}) {
+    return new Logger(fields, {
+        level: options.level || process.env.LOG_LEVEL || 'info',
+        format: options.format || process.env.LOG_FORMAT || 'json',
+        write: options.write
+    });
+}
+
+// The logger the server and the lib/ modules share
+const logger = createLogger();
+
+module.exports = {
+    LEVELS,
+    Logger,
+    createLogger,
+    logger
+};
@@ -0,0 +1,166 @@
+// ===== METRICS FOR PROMETHEUS =====
+// Prometheus (https://prometheus.io) collects numbers from servers by fetching
+// a plain-text page every few seconds - here GET /metrics. Each line is one
+// value, optionally split up by labels:
+//
+//   # HELP drawing_messages_received_total Messages received from clients
+//   # TYPE drawing_messages_received_total counter
+//   drawing_messages_received_total{type="polyline"} 1520
+//   drawing_messages_received_total{type="cursor"} 8311
+//
+// Three kinds of metric are enough for this server:
+//   counter   - only ever goes up (messages received); Prometheus works out the rate
+//   gauge     - a current value that goes up and down (connected clients)
+//   histogram - how values are spread out (latency): how many were at most
+//               each bucket's upper bound (`le`), plus their sum and count
+//
+// Gauges (and counters kept elsewhere) can have a collect() function that
+// returns the value when /metrics is fetched, instead of being updated
+// every time something changes.
+
+// Histogram buckets for latencies, in seconds (1 ms to 5 s)
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Label values are quoted, so quotes, backslashes and newlines are escaped
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// { type: 'draw' } -> '{type="draw"}' ('' for no labels)
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+// Values with the same labels share one entry, keyed by their labels
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// ===== COUNTERS AND GAUGES =====
+class Metric {
+    // collect: optional function returning a number, or a list of [labels, value]
+    constructor(name, help, type, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.collect = collect;
+        this.values = new Map();   // Label key -> { labels, value }
+    }
+    
+    inc(labels = {}, amount = 1) {
+        const entry = this.entry(labels);
+        entry.value += amount;
+    }
+    
+    set(labels, value) {
+        this.entry(labels).value = value;
+    }
+    
+    entry(labels) {
+        const key = labelKey(labels);
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels, value: 0 });
+        }
+        return this.values.get(key);
+    }
+    
+    // [ [labels, value], ... ]
+    samples() {
+        if (!this.collect) {
+            return [...this.values.values()].map(({ labels, value }) => [labels, value]);
+        }
+        const result = this.collect();
+        return typeof result === 'number' ? [[{}, result]] : result;
+    }
+    
+    render() {
+        return this.samples().map(([labels, value]) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+// ===== HISTOGRAMS =====
+class Histogram {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = buckets;
+        this.values = new Map();   // Label key -> { labels, counts: [per bucket], sum, count }
+    }
+    
+    observe(labels, value) {
+        const key = labelKey(labels);
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = this.values.get(key);
+        
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) {
+            entry.counts[index]++;
+        }
+        entry.sum += value;
+        entry.count++;
+    }
+    
+    // Prometheus buckets are cumulative: le="0.01" counts everything up to 10 ms
+    render() {
+        const lines = [];
+        this.values.forEach(({ labels, counts, sum, count }) => {
+            let total = 0;
+            this.buckets.forEach((bound, i) => {
+                total += counts[i];
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${total}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines;
+    }
+}
+
+// ===== REGISTRY =====
+// Holds every metric and renders them all for GET /metrics
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+    
+    counter(name, help, collect) {
+        return this.add(new Metric(name, help, 'counter', collect));
+    }
+    
+    gauge(name, help, collect) {
+        return this.add(new Metric(name, help, 'gauge', collect));
+    }
+    
+    histogram(name, help, buckets) {
+        return this.add(new Histogram(name, help, buckets));
+    }
+    
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+    
+    // The whole page, in the Prometheus text format (version 0.0.4)
+    render() {
+        return this.metrics
+            .map(metric => [
+                `# HELP ${metric.name} ${metric.help}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.render()
+            ].join('\n'))
+            .join('\n') + '\n';
+    }
+}
+
+// The content type Prometheus expects from /metrics
+Registry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    Registry
+};
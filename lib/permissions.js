@@ -0,0 +1,100 @@
+// ===== ROLES AND PERMISSIONS =====
+// Every user has one role on each board:
+//
+//   viewer - sees everything live, moves their cursor, but can't draw
+//   editor - can draw, place images, undo/redo their own items, move, scale,
+//            recolor or delete anyone's items, and change layers and the
+//            background
+//   owner  - can also clear the board, import boards (which replaces it, so
+//            it is a clear too), lock it and change other users' roles
+//
+// The first user to join a board becomes its owner. Everyone else gets
+// DEFAULT_ROLE until an owner changes it. While a board is locked, only
+// owners can change it; editors are treated like viewers.
+
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// Role for users the owner hasn't given a role yet
+const DEFAULT_ROLE = ROLES.includes(process.env.DEFAULT_ROLE) ? process.env.DEFAULT_ROLE : 'editor';
+
+// The lowest role allowed to send each message type
+// Types not listed here (ping, cursor, setName) are allowed for everyone
+const REQUIRED_ROLE = {
+    draw: 'editor',
+    polyline: 'editor',
+    shape: 'editor',
+    text: 'editor',
+    image: 'editor',
+    undo: 'editor',
+    redo: 'editor',
+    move: 'editor',
+    scale: 'editor',
+    recolor: 'editor',
+    delete: 'editor',
+    layer: 'editor',
+    background: 'editor',
+    clear: 'owner',
+    import: 'owner',
+    lock: 'owner',
+    setRole: 'owner'
+};
+
+// What a user sees in an error message when they are not allowed
+const ACTION_NAMES = {
+    clear: 'clear the board',
+    lock: 'lock the board',
+    setRole: 'change roles',
+    import: 'import boards',
+    layer: 'change layers',
+    background: 'change the background',
+    image: 'add images'
+};
+
+function rank(role) {
+    return ROLES.indexOf(role);
+}
+
+// Role of a user on a board with the given access settings
+// access: { roles: { userId: role }, locked }
+function roleFor(access, userId) {
+    return access.roles[userId] || DEFAULT_ROLE;
+}
+
+// Can someone with `role` send a message of `type`?
+function can(role, type, locked) {
+    let required = REQUIRED_ROLE[type] || 'viewer';
+    
+    // A locked board can only be changed by its owners
+    if (locked && required === 'editor') {
+        required = 'owner';
+    }
+    
+    return rank(role) >= rank(required);
+}
+
+// The permissions sent to a client so it can hide controls it can't use
+function permissionsFor(role, locked) {
+    return {
+        draw: can(role, 'draw', locked),
+        clear: can(role, 'clear', locked),
+        lock: can(role, 'lock', locked),
+        setRole: can(role, 'setRole', locked)
+    };
+}
+
+// Error message for a refused message
+function deniedMessage(type, locked) {
+    if (locked && REQUIRED_ROLE[type] === 'editor') {
+        return 'The board is locked';
+    }
+    return `You don't have permission to ${ACTION_NAMES[type] || 'draw on this board'}`;
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    roleFor,
+    can,
+    permissionsFor,
+    deniedMessage
+};
@@ -0,0 +1,245 @@
+// ===== PNG DECODER =====
+// Reads a PNG file into RGBA pixels, so the server's PNG export
+// (lib/png-export.js) can draw uploaded PNG images. Like the encoder there,
+// it only needs Node's built-in zlib.
+//
+// Every kind of PNG is supported: grayscale, RGB, palette, with or without
+// alpha (or a transparent color), 1 to 16 bits per sample, interlaced or not.
+// There is no decoder for JPEG, GIF or WebP - the export draws those as boxes.
+//
+//   decodePng(bytes) -> { width, height, pixels }   4 bytes (r, g, b, a) per pixel
+//   pngSize(bytes)   -> { width, height }           from the header, without decoding
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Largest image we decode (16 million pixels = 64 MB of RGBA). A small file
+// can claim to be enormous, so this is checked before anything is unpacked.
+const MAX_PIXELS = 16 * 1024 * 1024;
+
+// Samples per pixel for each PNG color type
+const CHANNELS = {
+    0: 1,   // Grayscale
+    2: 3,   // RGB
+    3: 1,   // Palette index
+    4: 2,   // Grayscale + alpha
+    6: 4    // RGB + alpha
+};
+
+// Bit depths each color type may use
+const BIT_DEPTHS = {
+    0: [1, 2, 4, 8, 16],
+    2: [8, 16],
+    3: [1, 2, 4, 8],
+    4: [8, 16],
+    6: [8, 16]
+};
+
+// Interlaced (Adam7) images are stored in 7 passes, each a smaller image of
+// every dx-th pixel of every dy-th row, starting at (x, y)
+const ADAM7 = [
+    { x: 0, y: 0, dx: 8, dy: 8 },
+    { x: 4, y: 0, dx: 8, dy: 8 },
+    { x: 0, y: 4, dx: 4, dy: 8 },
+    { x: 2, y: 0, dx: 4, dy: 4 },
+    { x: 0, y: 2, dx: 2, dy: 4 },
+    { x: 1, y: 0, dx: 2, dy: 2 },
+    { x: 0, y: 1, dx: 1, dy: 2 }
+];
+
+// ===== CHUNKS =====
+// A PNG file is the signature, then chunks: length, type, data, CRC
+function readChunks(bytes) {
+    if (bytes.length < SIGNATURE.length || !bytes.subarray(0, SIGNATURE.length).equals(SIGNATURE)) {
+        throw new Error('not a PNG file');
+    }
+    
+    const chunks = { data: [] };
+    let offset = SIGNATURE.length;
+    while (offset + 8 <= bytes.length) {
+        const length = bytes.readUInt32BE(offset);
+        const type = bytes.toString('latin1', offset + 4, offset + 8);
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (data.length !== length) {
+            throw new Error(`the ${type} chunk is cut off`);
+        }
+        offset += 12 + length;
+        
+        if (type === 'IHDR') chunks.header = data;
+        else if (type === 'PLTE') chunks.palette = data;
+        else if (type === 'tRNS') chunks.transparency = data;
+        else if (type === 'IDAT') chunks.data.push(data);
+        else if (type === 'IEND') break;
+    }
+    
+    if (!chunks.header || chunks.header.length < 13) {
+        throw new Error('the PNG has no header');
+    }
+    return chunks;
+}
+
+// ===== FILTERS =====
+// Each row starts with a byte saying how it was filtered, and is stored as
+// the difference from its left (a), upper (b) or upper-left (c) neighbors
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+function unfilterRow(filter, row, previous, bytesPerPixel) {
+    for (let i = 0; i < row.length; i++) {
+        const a = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+        const b = previous ? previous[i] : 0;
+        const c = previous && i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+        
+        switch (filter) {
+            case 0: break;
+            case 1: row[i] = (row[i] + a) & 255; break;
+            case 2: row[i] = (row[i] + b) & 255; break;
+            case 3: row[i] = (row[i] + ((a + b) >> 1)) & 255; break;
+            case 4: row[i] = (row[i] + paeth(a, b, c)) & 255; break;
+            default: throw new Error(`unknown row filter ${filter}`);
+        }
+    }
+}
+
+// ===== SIZE =====
+// How big the image says it is, so callers can decide whether to decode it
+function pngSize(bytes) {
+    const { header } = readChunks(bytes);
+    return { width: header.readUInt32BE(0), height: header.readUInt32BE(4) };
+}
+
+// ===== DECODE =====
+function decodePng(bytes) {
+    const chunks = readChunks(bytes);
+    const { header } = chunks;
+    const width = header.readUInt32BE(0);
+    const height = header.readUInt32BE(4);
+    const bitDepth = header[8];
+    const colorType = header[9];
+    const interlaced = header[12] === 1;
+    
+    if (!CHANNELS[colorType] || !BIT_DEPTHS[colorType].includes(bitDepth)) {
+        throw new Error(`unsupported PNG (color type ${colorType}, ${bitDepth} bits)`);
+    }
+    if (width === 0 || height === 0 || width * height > MAX_PIXELS) {
+        throw new Error(`the PNG is ${width}x${height} pixels; at most ${MAX_PIXELS} pixels can be drawn`);
+    }
+    if (colorType === 3 && !chunks.palette) {
+        throw new Error('the PNG has no palette');
+    }
+    
+    const channels = CHANNELS[colorType];
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const maxSample = (1 << bitDepth) - 1;
+    
+    const passes = (interlaced ? ADAM7 : [{ x: 0, y: 0, dx: 1, dy: 1 }]).map(pass => ({
+        ...pass,
+        columns: Math.ceil((width - pass.x) / pass.dx),
+        rows: Math.ceil((height - pass.y) / pass.dy)
+    })).filter(pass => pass.columns > 0 && pass.rows > 0);
+    
+    // Never unpack more than the image needs
+    const rowBytes = pass => Math.ceil(pass.columns * bitsPerPixel / 8);
+    const expected = passes.reduce((total, pass) => total + pass.rows * (1 + rowBytes(pass)), 0);
+    let raw;
+    try {
+        raw = zlib.inflateSync(Buffer.concat(chunks.data), { maxOutputLength: expected });
+    } catch (error) {
+        throw new Error(`the PNG's pixels can't be unpacked (${error.message})`);
+    }
+    if (raw.length < expected) {
+        throw new Error('the PNG has too few pixels');
+    }
+    
+    // Sample `index` of a row, as stored (up to 16 bits)
+    const sample = (row, index) => {
+        if (bitDepth === 8) return row[index];
+        if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+        const bit = index * bitDepth;
+        return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    // A sample scaled to 0-255
+    const to8 = value => (bitDepth === 16 ? value >> 8 : bitDepth === 8 ? value : Math.round(value * 255 / maxSample));
+    
+    // A transparent color (tRNS): one gray or RGB value that is see-through,
+    // or for palette images the alpha of each palette entry
+    const transparency = chunks.transparency;
+    const transparentGray = colorType === 0 && transparency && transparency.length >= 2 ? transparency.readUInt16BE(0) : null;
+    const transparentRgb = colorType === 2 && transparency && transparency.length >= 6
+        ? [transparency.readUInt16BE(0), transparency.readUInt16BE(2), transparency.readUInt16BE(4)]
+        : null;
+    
+    const pixels = Buffer.alloc(width * height * 4);
+    let offset = 0;
+    
+    passes.forEach(pass => {
+        const length = rowBytes(pass);
+        let previous = null;
+        
+        for (let j = 0; j < pass.rows; j++) {
+            const filter = raw[offset];
+            const row = raw.subarray(offset + 1, offset + 1 + length);
+            offset += 1 + length;
+            unfilterRow(filter, row, previous, bytesPerPixel);
+            previous = row;
+            
+            const y = pass.y + j * pass.dy;
+            for (let i = 0; i < pass.columns; i++) {
+                const x = pass.x + i * pass.dx;
+                const out = (y * width + x) * 4;
+                const s = i * channels;
+                let r, g, b, a = 255;
+                
+                switch (colorType) {
+                    case 0: {
+                        const gray = sample(row, s);
+                        r = g = b = to8(gray);
+                        if (gray === transparentGray) a = 0;
+                        break;
+                    }
+                    case 2: {
+                        const rgb = [sample(row, s), sample(row, s + 1), sample(row, s + 2)];
+                        [r, g, b] = rgb.map(to8);
+                        if (transparentRgb && rgb.every((value, k) => value === transparentRgb[k])) a = 0;
+                        break;
+                    }
+                    case 3: {
+                        const index = sample(row, s);
+                        r = chunks.palette[index * 3] || 0;
+                        g = chunks.palette[index * 3 + 1] || 0;
+                        b = chunks.palette[index * 3 + 2] || 0;
+                        if (transparency && index < transparency.length) a = transparency[index];
+                        break;
+                    }
+                    case 4:
+                        r = g = b = to8(sample(row, s));
+                        a = to8(sample(row, s + 1));
+                        break;
+                    case 6:
+                        r = to8(sample(row, s));
+                        g = to8(sample(row, s + 1));
+                        b = to8(sample(row, s + 2));
+                        a = to8(sample(row, s + 3));
+                        break;
+                }
+                
+                pixels[out] = r;
+                pixels[out + 1] = g;
+                pixels[out + 2] = b;
+                pixels[out + 3] = a;
+            }
+        }
+    });
+    
+    return { width, height, pixels };
+}
+
+module.exports = { decodePng, pngSize, MAX_PIXELS };
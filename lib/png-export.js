@@ -0,0 +1,423 @@
+// ===== SERVER-SIDE PNG EXPORT =====
+// Draws a board's items into a plain RGB pixel buffer and encodes it as PNG,
+// using only Node's built-in zlib (no native canvas library needed).
+//
+// Lines are drawn as "capsules" (a thick segment with round ends), exactly
+// like the canvas does with lineCap = 'round'. There is no font renderer on
+// the server, so text is drawn as a bar of the text's color where the text
+// would be - use the SVG export (or the browser's PNG export) to see real text.
+// Uploaded PNG images are drawn (decoded by lib/png-decode.js); there is no
+// decoder for JPEG, GIF or WebP, so those are gray boxes with a border.
+// Each picture is decoded once, however often it is placed, and one export
+// decodes at most MAX_IMAGE_PIXELS in all; pictures past that are boxes too.
+//
+// Drawing runs on the server's only thread, so one export may paint at most
+// MAX_RENDER_PIXELS pixels (counted every time one is painted). A board that
+// needs more throws an ExportError instead of holding up every room.
+
+const zlib = require('zlib');
+const { boardBounds, exportScale, textFontSize, arrowHeadPoints, backgroundPattern } = require('../public/board-export');
+const { decodePng, pngSize, MAX_PIXELS } = require('./png-decode');
+
+// Number of straight pieces used to draw an ellipse
+const ELLIPSE_STEPS = 72;
+
+// Colors of the box drawn instead of an image that can't be decoded
+const IMAGE_FILL = [229, 231, 235];
+const IMAGE_BORDER = [156, 163, 175];
+
+// Most pixels of pictures decoded for one export (as much as the largest
+// PNG we decode, 64 MB of RGBA)
+const MAX_IMAGE_PIXELS = MAX_PIXELS;
+
+// Most pixels one export may paint (a few hundred milliseconds of drawing)
+const MAX_RENDER_PIXELS = 100 * 1000 * 1000;
+
+class ExportError extends Error {
+    // status: the HTTP status the server answers with
+    constructor(message, status = 413) {
+        super(message);
+        this.name = 'ExportError';
+        this.status = status;
+    }
+}
+
+// The x range [from, to] where a * x + b is between low and high, or null if
+// there is none (a = 0: every x, or none)
+function linearRange(a, b, low, high) {
+    if (a === 0) {
+        return b >= low && b <= high ? [-Infinity, Infinity] : null;
+    }
+    const x0 = (low - b) / a;
+    const x1 = (high - b) / a;
+    return [Math.min(x0, x1), Math.max(x0, x1)];
+}
+
+// ===== PIXEL BUFFER =====
+class Raster {
+    constructor(width, height, background, maxPixels = MAX_RENDER_PIXELS) {
+        this.width = width;
+        this.height = height;
+        this.pixelsLeft = maxPixels;
+        
+        // 3 bytes (red, green, blue) per pixel, filled with the background color
+        this.pixels = Buffer.alloc(width * height * 3);
+        for (let i = 0; i < this.pixels.length; i += 3) {
+            this.pixels[i] = background[0];
+            this.pixels[i + 1] = background[1];
+            this.pixels[i + 2] = background[2];
+        }
+    }
+    
+    setPixel(x, y, rgb) {
+        const i = (y * this.width + x) * 3;
+        this.pixels[i] = rgb[0];
+        this.pixels[i + 1] = rgb[1];
+        this.pixels[i + 2] = rgb[2];
+    }
+    
+    // Count `count` more pixels towards the export's limit
+    spend(count) {
+        this.pixelsLeft -= Math.max(0, count);
+        if (this.pixelsLeft < 0) {
+            throw new ExportError('The board is too big to export as PNG - try the SVG export');
+        }
+    }
+    
+    // Where the row of pixel centers at `py` crosses the thick line from
+    // (x0, y0) to (x1, y1): [from, to], or null if it misses it. The line is
+    // convex, so that is one range: the union of where the row crosses the
+    // two round ends and the band between them.
+    segmentSpan(x0, y0, x1, y1, radius, py) {
+        let from = Infinity;
+        let to = -Infinity;
+        const add = range => {
+            if (range && range[0] <= range[1]) {
+                from = Math.min(from, range[0]);
+                to = Math.max(to, range[1]);
+            }
+        };
+        
+        [[x0, y0], [x1, y1]].forEach(([cx, cy]) => {
+            const h = radius * radius - (py - cy) * (py - cy);
+            if (h >= 0) {
+                add([cx - Math.sqrt(h), cx + Math.sqrt(h)]);
+            }
+        });
+        
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared > 0) {
+            // Between the ends along the line, and within radius of it across
+            const along = linearRange(dx, (py - y0) * dy - x0 * dx, 0, lengthSquared);
+            const radiusLength = radius * Math.sqrt(lengthSquared);
+            const across = linearRange(dy, -(py - y0) * dx - x0 * dy, -radiusLength, radiusLength);
+            if (along && across) {
+                add([Math.max(along[0], across[0]), Math.min(along[1], across[1])]);
+            }
+        }
+        
+        return from <= to ? [from, to] : null;
+    }
+    
+    // Thick line from (x0, y0) to (x1, y1) with round ends
+    // A pixel is painted if its center is within width/2 of the segment.
+    // Only the pixels around where each row crosses the line are checked.
+    drawSegment(x0, y0, x1, y1, width, rgb) {
+        const radius = Math.max(width / 2, 0.5);
+        const minX = Math.max(0, Math.floor(Math.min(x0, x1) - radius));
+        const maxX = Math.min(this.width - 1, Math.ceil(Math.max(x0, x1) + radius));
+        const minY = Math.max(0, Math.floor(Math.min(y0, y1) - radius));
+        const maxY = Math.min(this.height - 1, Math.ceil(Math.max(y0, y1) + radius));
+        
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const lengthSquared = dx * dx + dy * dy;
+        
+        for (let y = minY; y <= maxY; y++) {
+            const py = y + 0.5;
+            const span = this.segmentSpan(x0, y0, x1, y1, radius, py);
+            if (!span) continue;
+            
+            // One pixel either side, so rounding can't leave a painted pixel out
+            const fromX = Math.max(minX, Math.floor(span[0] - 0.5) - 1);
+            const toX = Math.min(maxX, Math.ceil(span[1] - 0.5) + 1);
+            this.spend(toX - fromX + 1);
+            
+            for (let x = fromX; x <= toX; x++) {
+                const px = x + 0.5;
+                
+                // Closest point on the segment to this pixel (t = 0 at start, 1 at end)
+                const t = lengthSquared === 0 ? 0 :
+                    Math.max(0, Math.min(1, ((px - x0) * dx + (py - y0) * dy) / lengthSquared));
+                const cx = x0 + t * dx - px;
+                const cy = y0 + t * dy - py;
+                
+                if (cx * cx + cy * cy <= radius * radius) {
+                    this.setPixel(x, y, rgb);
+                }
+            }
+        }
+    }
+    
+    // A decoded image ({ width, height, pixels } with 4 bytes per pixel)
+    // stretched over the rectangle, blended with what is under it by its alpha.
+    // Each pixel takes the color of the image pixel under its center.
+    drawImage(image, x, y, width, height) {
+        const minX = Math.max(0, Math.floor(x));
+        const maxX = Math.min(this.width, Math.ceil(x + width));
+        const minY = Math.max(0, Math.floor(y));
+        const maxY = Math.min(this.height, Math.ceil(y + height));
+        if (maxX > minX && maxY > minY) {
+            this.spend((maxX - minX) * (maxY - minY));
+        }
+        
+        for (let py = minY; py < maxY; py++) {
+            const sy = Math.min(image.height - 1, Math.max(0, Math.floor((py + 0.5 - y) / height * image.height)));
+            for (let px = minX; px < maxX; px++) {
+                const sx = Math.min(image.width - 1, Math.max(0, Math.floor((px + 0.5 - x) / width * image.width)));
+                const from = (sy * image.width + sx) * 4;
+                const alpha = image.pixels[from + 3] / 255;
+                const to = (py * this.width + px) * 3;
+                for (let c = 0; c < 3; c++) {
+                    this.pixels[to + c] = Math.round(image.pixels[from + c] * alpha + this.pixels[to + c] * (1 - alpha));
+                }
+            }
+        }
+    }
+    
+    fillRect(x, y, width, height, rgb) {
+        const minX = Math.max(0, Math.floor(x));
+        const maxX = Math.min(this.width, Math.ceil(x + width));
+        const minY = Math.max(0, Math.floor(y));
+        const maxY = Math.min(this.height, Math.ceil(y + height));
+        if (maxX > minX && maxY > minY) {
+            this.spend((maxX - minX) * (maxY - minY));
+        }
+        
+        for (let py = minY; py < maxY; py++) {
+            for (let px = minX; px < maxX; px++) {
+                this.setPixel(px, py, rgb);
+            }
+        }
+    }
+}
+
+// ===== COLORS =====
+// '#rrggbb' (or '#rgb') -> [r, g, b]; anything else is drawn black
+function parseColor(color) {
+    let match = /^#([0-9a-f]{6})$/i.exec(color);
+    if (match) {
+        const value = parseInt(match[1], 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+    
+    match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+    if (match) {
+        return match.slice(1).map(digit => parseInt(digit + digit, 16));
+    }
+    
+    return [0, 0, 0];
+}
+
+// ===== ITEMS -> LINE SEGMENTS =====
+// Every stroke and shape is drawn as a list of [x0, y0, x1, y1] segments
+// Segments of strokes drawn with pen pressure have their own width as a fifth value
+function itemSegments(item) {
+    if (item.kind === 'stroke') {
+        const { points, widths } = item;
+        const segments = [];
+        for (let i = 2; i < points.length; i += 2) {
+            const segment = [points[i - 2], points[i - 1], points[i], points[i + 1]];
+            if (widths) {
+                segment.push((widths[i / 2 - 1] + widths[i / 2]) / 2);
+            }
+            segments.push(segment);
+        }
+        return segments;
+    }
+    
+    const { x1, y1, x2, y2 } = item;
+    switch (item.shape) {
+        case 'line':
+            return [[x1, y1, x2, y2]];
+        
+        case 'rect':
+            return [[x1, y1, x2, y1], [x2, y1, x2, y2], [x2, y2, x1, y2], [x1, y2, x1, y1]];
+        
+        case 'ellipse': {
+            const cx = (x1 + x2) / 2;
+            const cy = (y1 + y2) / 2;
+            const rx = Math.abs(x2 - x1) / 2;
+            const ry = Math.abs(y2 - y1) / 2;
+            const segments = [];
+            for (let i = 0; i < ELLIPSE_STEPS; i++) {
+                const a0 = (i / ELLIPSE_STEPS) * Math.PI * 2;
+                const a1 = ((i + 1) / ELLIPSE_STEPS) * Math.PI * 2;
+                segments.push([cx + rx * Math.cos(a0), cy + ry * Math.sin(a0), cx + rx * Math.cos(a1), cy + ry * Math.sin(a1)]);
+            }
+            return segments;
+        }
+        
+        case 'arrow': {
+            const [left, right] = arrowHeadPoints(item);
+            return [[x1, y1, x2, y2], [left[0], left[1], x2, y2], [right[0], right[1], x2, y2]];
+        }
+        
+        default:
+            return [];
+    }
+}
+
+// ===== PNG ENCODING =====
+
+// CRC-32 lookup table (PNG chunks end with a CRC of their type and data)
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 255] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+// One PNG chunk: length, type, data, CRC
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+// Encode an RGB raster as a PNG file
+function encodePng(raster) {
+    const { width, height, pixels } = raster;
+    
+    // Header: width, height, 8 bits per channel, color type 2 (RGB), no interlacing
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 2;
+    
+    // Every row of pixels starts with a filter byte (0 = no filter)
+    const rowLength = width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+    
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), // PNG signature
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// An image item's picture, or null if there is none we can draw
+// images maps upload URLs to the uploaded files (see renderPng); budget is
+// { pixels } still allowed to be decoded, and goes down by each picture's size
+function decodeImage(images, url, budget) {
+    const bytes = images && images.get(url);
+    if (!bytes) {
+        return null;
+    }
+    try {
+        const { width, height } = pngSize(bytes);
+        if (width * height > budget.pixels) {
+            return null;
+        }
+        const picture = decodePng(bytes);
+        budget.pixels -= width * height;
+        return picture;
+    } catch (error) {
+        return null;   // Not a PNG, or a broken one
+    }
+}
+
+// ===== PUBLIC FUNCTION =====
+// Render a list of board items (undone ones are skipped) to a PNG buffer
+// The image covers options.bounds (in world coordinates), or everything that
+// is drawn, shrunk if needed so neither side is over MAX_EXPORT_SIZE pixels
+// options.pattern is the board's background ('grid', 'dots', ...), drawn first
+// options.images is a Map of image URLs to their files (Buffers); PNGs among
+// them are drawn, other images are boxes, as are PNGs past
+// options.maxImagePixels (MAX_IMAGE_PIXELS unless given)
+// Throws an ExportError if it would paint more than options.maxRenderPixels
+// (MAX_RENDER_PIXELS unless given)
+function renderPng(items, options = {}) {
+    const bounds = options.bounds || boardBounds(items);
+    const scale = exportScale(bounds);
+    const width = Math.max(1, Math.ceil(bounds.width * scale));
+    const height = Math.max(1, Math.ceil(bounds.height * scale));
+    const background = parseColor(options.background || '#ffffff');
+    const raster = new Raster(width, height, background, options.maxRenderPixels);
+    
+    // World coordinates -> pixels in the image
+    const toX = x => (x - bounds.x) * scale;
+    const toY = y => (y - bounds.y) * scale;
+    
+    const pattern = backgroundPattern(options.pattern, bounds, scale);
+    const patternRgb = parseColor(pattern.color);
+    pattern.lines.forEach(([x0, y0, x1, y1]) => raster.drawSegment(toX(x0), toY(y0), toX(x1), toY(y1), scale, patternRgb));
+    pattern.dots.forEach(([x, y]) => raster.drawSegment(toX(x), toY(y), toX(x), toY(y), pattern.dotRadius * 2 * scale, patternRgb));
+    pattern.labels.forEach(label => {
+        const fontSize = pattern.fontSize * scale;
+        raster.fillRect(toX(label.x), toY(label.y) + fontSize * 0.3, label.text.length * fontSize * 0.5, fontSize * 0.4,
+            parseColor(pattern.textColor));
+    });
+    
+    // Decoded pictures by URL (null for those drawn as boxes)
+    const pictures = new Map();
+    const budget = { pixels: options.maxImagePixels !== undefined ? options.maxImagePixels : MAX_IMAGE_PIXELS };
+    
+    items.filter(item => !item.undone).forEach(item => {
+        if (item.kind === 'image') {
+            const x = toX(item.x);
+            const y = toY(item.y);
+            const width = item.width * scale;
+            const height = item.height * scale;
+            if (!pictures.has(item.url)) {
+                pictures.set(item.url, decodeImage(options.images, item.url, budget));
+            }
+            const picture = pictures.get(item.url);
+            if (picture) {
+                raster.drawImage(picture, x, y, width, height);
+                return;
+            }
+            raster.fillRect(x, y, width, height, IMAGE_FILL);
+            [[x, y, x + width, y], [x + width, y, x + width, y + height], [x + width, y + height, x, y + height], [x, y + height, x, y]]
+                .forEach(([x0, y0, x1, y1]) => raster.drawSegment(x0, y0, x1, y1, 1, IMAGE_BORDER));
+            return;
+        }
+        
+        if (item.kind === 'text') {
+            // No fonts on the server: a bar roughly the size of the text instead
+            const fontSize = textFontSize(item.size) * scale;
+            raster.fillRect(toX(item.x), toY(item.y) + fontSize * 0.3, item.text.length * fontSize * 0.5, fontSize * 0.4,
+                parseColor(item.color));
+            return;
+        }
+        
+        // The eraser paints the background color back
+        const rgb = item.tool === 'eraser' ? background : parseColor(item.color);
+        itemSegments(item).forEach(([x0, y0, x1, y1, width = item.size]) => {
+            raster.drawSegment(toX(x0), toY(y0), toX(x1), toY(y1), width * scale, rgb);
+        });
+    });
+    
+    return encodePng(raster);
+}
+
+module.exports = { renderPng, ExportError };
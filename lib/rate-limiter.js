@@ -0,0 +1,119 @@
+// ===== PER-CONNECTION RATE LIMITING =====
+// Each connection gets one "token bucket" per message type. A bucket holds up
+// to `burst` tokens and refills at `perSecond` tokens per second; every
+// message takes one token. When the bucket is empty the message is dropped.
+//
+// This lets a user draw a quick scribble (a burst of draw messages) while
+// stopping a script that sends thousands of messages per second.
+
+const { logger } = require('./logger');
+
+// Default limits per message type
+// Override with the RATE_LIMITS environment variable (JSON), for example:
+//   RATE_LIMITS='{"draw":{"burst":300,"perSecond":150},"clear":{"burst":1,"perSecond":0.05}}'
+const DEFAULT_LIMITS = {
+    draw:     { burst: 400, perSecond: 240 },  // One message per mouse move (older clients)
+    polyline: { burst: 200, perSecond: 150 },  // One message per animation frame
+    shape:    { burst: 20,  perSecond: 5 },
+    text:     { burst: 20,  perSecond: 5 },
+    image:    { burst: 10,  perSecond: 2 },
+    background: { burst: 5, perSecond: 1 },
+    undo:     { burst: 20,  perSecond: 10 },
+    redo:     { burst: 20,  perSecond: 10 },
+    clear:    { burst: 2,   perSecond: 0.1 },  // Strictest: at most one clear every 10 seconds
+    import:   { burst: 2,   perSecond: 0.05 },
+    ping:     { burst: 5,   perSecond: 1 },
+    cursor:   { burst: 30,  perSecond: 25 },   // Clients send at most 20 per second
+    setName:  { burst: 5,   perSecond: 0.5 },
+    lock:     { burst: 5,   perSecond: 0.5 },
+    setRole:  { burst: 10,  perSecond: 2 },
+    upload:   { burst: 10,  perSecond: 0.2 },  // POST /uploads, per user (one image every 5 seconds)
+    uploadAddress: { burst: 30, perSecond: 0.5 },  // POST /uploads, per address (users behind one network share it)
+    export:   { burst: 5,   perSecond: 0.1 },  // GET /export.*, per user (one every 10 seconds)
+    exportAddress: { burst: 20, perSecond: 0.5 },  // GET /export.*, per address
+    default:  { burst: 20,  perSecond: 10 }    // Any type not listed above
+};
+
+// Read the limits, merging any overrides from RATE_LIMITS
+function loadLimits() {
+    if (!process.env.RATE_LIMITS) {
+        return DEFAULT_LIMITS;
+    }
+    
+    try {
+        return { ...DEFAULT_LIMITS, ...JSON.parse(process.env.RATE_LIMITS) };
+    } catch (error) {
+        logger.error('Ignoring invalid RATE_LIMITS (must be JSON)', { error: error.message });
+        return DEFAULT_LIMITS;
+    }
+}
+
+const LIMITS = loadLimits();
+
+// ===== TOKEN BUCKET =====
+class TokenBucket {
+    constructor(burst, perSecond) {
+        this.capacity = burst;
+        this.perSecond = perSecond;
+        this.tokens = burst;           // Start full
+        this.lastRefill = Date.now();
+    }
+    
+    // Add the tokens earned since the last call
+    refill() {
+        const now = Date.now();
+        const elapsedSeconds = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.perSecond);
+        this.lastRefill = now;
+    }
+    
+    // Take one token if there is one. Returns false if the bucket is empty.
+    take() {
+        this.refill();
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return true;
+        }
+        return false;
+    }
+    
+    // Milliseconds until the next token is available
+    msUntilNextToken() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.perSecond) * 1000);
+    }
+}
+
+// ===== RATE LIMITER FOR ONE CONNECTION =====
+class RateLimiter {
+    constructor(limits = LIMITS) {
+        this.limits = limits;
+        
+        // Map of message type -> TokenBucket (created the first time a type is seen)
+        this.buckets = new Map();
+    }
+    
+    bucketFor(type) {
+        if (!this.buckets.has(type)) {
+            const limit = this.limits[type] || this.limits.default;
+            this.buckets.set(type, new TokenBucket(limit.burst, limit.perSecond));
+        }
+        return this.buckets.get(type);
+    }
+    
+    // Returns true if a message of this type may be handled now
+    allow(type) {
+        return this.bucketFor(type).take();
+    }
+    
+    // How long the client should wait before sending this type again
+    retryAfter(type) {
+        return this.bucketFor(type).msUntilNextToken();
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    TokenBucket,
+    RateLimiter
+};
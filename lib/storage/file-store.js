@@ -0,0 +1,161 @@
+// ===== FILE-BACKED STORE =====
+// Saves each board as an append-only JSON-lines file: one event per line.
+//
+//   data/boards/lobby.jsonl
+//   {"type":"draw","data":{"fromX":10,"fromY":10,...}}
+//   {"type":"draw","data":{"fromX":12,"fromY":11,...}}
+//   {"type":"clear"}
+//
+// Appending a line is cheap and never rewrites older data, so a crash can at
+// worst lose the last few events (or leave a half-written last line, which
+// is skipped on load). Compaction rewrites a file with only the events needed
+// to rebuild the current board.
+//
+// Each board's roles and lock are kept next to its log, in data/boards/lobby.access.json
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+// Pending events are written to disk in small batches instead of one write
+// per mouse movement
+const FLUSH_INTERVAL_MS = 100;
+
+class FileStore {
+    constructor(directory) {
+        this.directory = directory;
+        
+        // Map of room name -> events waiting to be written
+        this.pending = new Map();
+        
+        // Map of room name -> number of events in the file (including pending)
+        this.lengths = new Map();
+        
+        this.flushTimer = null;
+        
+        // Make sure the folder exists before we try to write to it
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+    
+    // File name for a room (room names are already limited to safe characters)
+    filePath(room) {
+        return path.join(this.directory, `${room}.jsonl`);
+    }
+    
+    loadAll() {
+        const result = new Map();
+        
+        fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.jsonl'))
+            .forEach(file => {
+                const room = path.basename(file, '.jsonl');
+                const events = this.readLog(room);
+                
+                this.lengths.set(room, events.length);
+                if (events.length > 0) {
+                    result.set(room, events);
+                }
+            });
+        
+        return result;
+    }
+    
+    // Read and parse every line of a room's log
+    readLog(room) {
+        const content = fs.readFileSync(this.filePath(room), 'utf8');
+        const events = [];
+        
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            
+            try {
+                events.push(JSON.parse(line));
+            } catch (error) {
+                // Usually a line cut short by a crash - skip it and keep going
+                logger.warn('Skipping unreadable line in board log', { room, line: index + 1 });
+            }
+        });
+        
+        return events;
+    }
+    
+    append(room, event) {
+        if (!this.pending.has(room)) {
+            this.pending.set(room, []);
+        }
+        this.pending.get(room).push(event);
+        this.lengths.set(room, this.logLength(room) + 1);
+        
+        // Write shortly, together with anything else that arrives meanwhile
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+        }
+    }
+    
+    // Write all pending events to their files
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        
+        this.pending.forEach((events, room) => {
+            const lines = events.map(event => JSON.stringify(event) + '\n').join('');
+            fs.appendFileSync(this.filePath(room), lines);
+        });
+        this.pending.clear();
+    }
+    
+    compact(room, events) {
+        // Anything pending is already part of `events`, so just drop it
+        this.pending.delete(room);
+        
+        const file = this.filePath(room);
+        
+        if (events.length === 0) {
+            // Nothing left on the board - remove the file entirely
+            fs.rmSync(file, { force: true });
+        } else {
+            // Write to a temporary file first, then rename it over the old log
+            // so a crash halfway through never leaves a broken board behind
+            const tempFile = `${file}.tmp`;
+            const lines = events.map(event => JSON.stringify(event) + '\n').join('');
+            fs.writeFileSync(tempFile, lines);
+            fs.renameSync(tempFile, file);
+        }
+        
+        this.lengths.set(room, events.length);
+    }
+    
+    logLength(room) {
+        return this.lengths.get(room) || 0;
+    }
+    
+    loadAccess(room) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(this.directory, `${room}.access.json`), 'utf8'));
+        } catch (error) {
+            // No file yet (a new board) or an unreadable one
+            if (error.code !== 'ENOENT') {
+                logger.warn('Ignoring unreadable access file', { room, error: error.message });
+            }
+            return null;
+        }
+    }
+    
+    saveAccess(room, access) {
+        // Small file, rarely changed - write it whole, through a temporary file
+        const file = path.join(this.directory, `${room}.access.json`);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(access));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+    
+    // The folder must still be there and writable (e.g. the disk wasn't unmounted)
+    check() {
+        fs.accessSync(this.directory, fs.constants.W_OK);
+    }
+    
+    close() {
+        this.flush();
+    }
+}
+
+module.exports = FileStore;
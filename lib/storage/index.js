@@ -0,0 +1,46 @@
+// ===== STORAGE LAYER =====
+// The server records every draw and clear event for each board through a
+// "store". Any object with these methods can be used as a store:
+//
+//   loadAll()              -> Map of room name -> array of recorded events
+//                             (called once at startup)
+//   append(room, event)    -> record one event at the end of the room's log
+//   compact(room, events)  -> replace the room's whole log with `events`
+//   logLength(room)        -> number of events currently in the room's log
+//   loadAccess(room)       -> the room's saved roles and lock ({ roles, locked }), or null
+//   saveAccess(room, access) -> save the room's roles and lock
+//   check()                -> throws if the store can't save anything right now (see /health)
+//   close()                -> write anything still pending (called on shutdown)
+//
+// Events look exactly like the WebSocket messages, e.g.
+// { type: 'draw', data: {...} } or { type: 'clear' }
+
+const path = require('path');
+const MemoryStore = require('./memory-store');
+const FileStore = require('./file-store');
+
+// Pick a store based on environment variables
+//   STORAGE=file   (default) append-only JSON-lines files in DATA_DIR
+//   STORAGE=memory nothing is saved, history is lost on restart
+function createStore(options = {}) {
+    const kind = options.kind || process.env.STORAGE || 'file';
+    
+    switch (kind) {
+        case 'memory':
+            return new MemoryStore();
+        
+        case 'file': {
+            const dataDir = options.dataDir || process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+            return new FileStore(path.join(dataDir, 'boards'));
+        }
+        
+        default:
+            throw new Error(`Unknown STORAGE type: ${kind}`);
+    }
+}
+
+module.exports = {
+    createStore,
+    MemoryStore,
+    FileStore
+};
@@ -0,0 +1,57 @@
+// ===== IN-MEMORY STORE =====
+// Keeps event logs in memory only. Useful for local experiments where
+// boards should start empty every time the server restarts.
+class MemoryStore {
+    constructor() {
+        // Map of room name -> array of events
+        this.logs = new Map();
+        
+        // Map of room name -> { roles, locked }
+        this.access = new Map();
+    }
+    
+    loadAll() {
+        // Return copies so callers can't change our logs by accident
+        const result = new Map();
+        this.logs.forEach((events, room) => result.set(room, events.slice()));
+        return result;
+    }
+    
+    append(room, event) {
+        if (!this.logs.has(room)) {
+            this.logs.set(room, []);
+        }
+        this.logs.get(room).push(event);
+    }
+    
+    compact(room, events) {
+        if (events.length === 0) {
+            this.logs.delete(room);
+        } else {
+            this.logs.set(room, events.slice());
+        }
+    }
+    
+    logLength(room) {
+        return this.logs.has(room) ? this.logs.get(room).length : 0;
+    }
+    
+    loadAccess(room) {
+        const access = this.access.get(room);
+        return access ? JSON.parse(JSON.stringify(access)) : null;
+    }
+    
+    saveAccess(room, access) {
+        this.access.set(room, JSON.parse(JSON.stringify(access)));
+    }
+    
+    check() {
+        // Memory is always there
+    }
+    
+    close() {
+        // Nothing to write
+    }
+}
+
+module.exports = MemoryStore;
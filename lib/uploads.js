@@ -0,0 +1,240 @@
+// ===== IMAGE UPLOADS =====
+// Pictures placed on a board (screenshots, photos) are uploaded with
+// POST /uploads (see server.js) and saved here, named after a hash of their
+// contents:
+//
+//   data/uploads/3f9a0c1e5b7d2468ace0f1b2c3d4e5f6.png
+//
+// The same image uploaded twice is saved once, and a name always means the
+// same picture, so browsers may cache it forever. Boards only hold the
+// image's URL (/uploads/<name>), which keeps messages, logs and exports small.
+//
+// Only PNG, JPEG, GIF and WebP images are accepted, recognised by their first
+// bytes rather than by what the browser says they are. SVG is refused: it
+// can contain scripts.
+//
+// With STORAGE=memory (see lib/storage) uploads are only kept in memory too.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Largest image that can be uploaded
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 5 * 1024 * 1024;
+
+// Most bytes of images kept in all (uploads are never deleted: boards,
+// exports and undo history may still point at them). New uploads are
+// refused once it is reached.
+const MAX_UPLOAD_TOTAL_BYTES = parseInt(process.env.MAX_UPLOAD_TOTAL_BYTES, 10) || 500 * 1024 * 1024;
+
+// The image types we accept, and how each one's file starts
+const IMAGE_TYPES = [
+    { ext: 'png', mime: 'image/png', test: bytes => startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { ext: 'jpg', mime: 'image/jpeg', test: bytes => startsWith(bytes, [0xff, 0xd8, 0xff]) },
+    { ext: 'gif', mime: 'image/gif', test: bytes => ['GIF87a', 'GIF89a'].includes(bytes.toString('latin1', 0, 6)) },
+    {
+        ext: 'webp',
+        mime: 'image/webp',
+        test: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP'
+    }
+];
+
+// Upload names: 32 hex digits of the SHA-256 hash, then the type
+const NAME_PATTERN = /^[0-9a-f]{32}\.(png|jpg|gif|webp)$/;
+const URL_PREFIX = '/uploads/';
+
+class UploadError extends Error {
+    // status: the HTTP status the server answers with
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+function startsWith(bytes, signature) {
+    return bytes.length >= signature.length && signature.every((byte, i) => bytes[i] === byte);
+}
+
+// The type of an image file ({ ext, mime }), or null if it isn't one we accept
+function detectImageType(bytes) {
+    return IMAGE_TYPES.find(type => type.test(bytes)) || null;
+}
+
+// Is this the URL of an uploaded image? e.g. /uploads/3f9a...f6.png
+function isUploadUrl(url) {
+    return typeof url === 'string' && url.startsWith(URL_PREFIX) && NAME_PATTERN.test(url.slice(URL_PREFIX.length));
+}
+
+// The MIME type for an upload's name, e.g. 'image/png'
+function mimeType(name) {
+    const ext = path.extname(name).slice(1);
+    return IMAGE_TYPES.find(type => type.ext === ext).mime;
+}
+
+class UploadStore {
+    // directory: where to save images, or null to keep them in memory
+    // options.maxTotalBytes: most bytes kept in all (default MAX_UPLOAD_TOTAL_BYTES)
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.files = new Map();   // Name -> contents, when there is no directory
+        this.maxTotalBytes = options.maxTotalBytes || MAX_UPLOAD_TOTAL_BYTES;
+        this.totalBytes = 0;      // Bytes saved so far, including uploads still being written
+        
+        if (directory) {
+            fs.mkdirSync(directory, { recursive: true });
+            // Count what earlier runs saved. Other processes sharing the
+            // folder are only counted when this one starts.
+            for (const name of fs.readdirSync(directory)) {
+                if (NAME_PATTERN.test(name)) {
+                    this.totalBytes += fs.statSync(path.join(directory, name)).size;
+                }
+            }
+        }
+    }
+    
+    // Save an uploaded image: { name, url, type, bytes }
+    // Throws an UploadError if it is empty, too big or not an image we accept
+    async save(bytes) {
+        if (!Buffer.isBuffer(bytes) || bytes.length === 0) {
+            throw new UploadError('The upload is empty');
+        }
+        if (bytes.length > MAX_UPLOAD_BYTES) {
+            throw new UploadError(`Images can be at most ${MAX_UPLOAD_BYTES} bytes`, 413);
+        }
+        const type = detectImageType(bytes);
+        if (!type) {
+            throw new UploadError('Only PNG, JPEG, GIF and WebP images can be uploaded', 415);
+        }
+        
+        const hash = crypto.createHash('sha256').update(bytes).digest('hex');
+        const name = `${hash.slice(0, 32)}.${type.ext}`;
+        
+        if (!this.has(name)) {
+            // Counted before the first await, so uploads arriving together can't overshoot
+            if (this.totalBytes + bytes.length > this.maxTotalBytes) {
+                throw new UploadError('There is no room for more images on this server', 507);
+            }
+            this.totalBytes += bytes.length;
+            
+            if (this.directory) {
+                // Write to a temporary file first, so nobody is ever sent half an image
+                const file = path.join(this.directory, name);
+                const temporary = `${file}.${crypto.randomUUID()}.tmp`;
+                try {
+                    await fs.promises.writeFile(temporary, bytes);
+                    await fs.promises.rename(temporary, file);
+                } catch (error) {
+                    this.totalBytes -= bytes.length;
+                    await fs.promises.rm(temporary, { force: true });
+                    throw error;
+                }
+            } else {
+                this.files.set(name, bytes);
+            }
+        }
+        
+        return { name, url: URL_PREFIX + name, type: type.mime, bytes: bytes.length };
+    }
+    
+    // Has an image with this name been uploaded?
+    // Synchronous, so a message naming the image can be checked without
+    // letting later messages overtake it (like lib/storage/file-store.js)
+    has(name) {
+        if (!NAME_PATTERN.test(name)) {
+            return false;
+        }
+        if (!this.directory) {
+            return this.files.has(name);
+        }
+        return fs.existsSync(path.join(this.directory, name));
+    }
+    
+    // Has the image at this URL (/uploads/<name>) been uploaded?
+    hasUrl(url) {
+        return isUploadUrl(url) && this.has(url.slice(URL_PREFIX.length));
+    }
+    
+    // An uploaded image's contents, or null if there is no such upload
+    // The name is checked first, so it can't point outside the folder
+    async read(name) {
+        if (!NAME_PATTERN.test(name)) {
+            return null;
+        }
+        if (!this.directory) {
+            return this.files.get(name) || null;
+        }
+        try {
+            return await fs.promises.readFile(path.join(this.directory, name));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+    
+    // How many bytes an uploaded image has, or null if there is no such upload
+    // (so a caller can decide whether to read it at all)
+    async size(name) {
+        if (!NAME_PATTERN.test(name)) {
+            return null;
+        }
+        if (!this.directory) {
+            const bytes = this.files.get(name);
+            return bytes ? bytes.length : null;
+        }
+        try {
+            return (await fs.promises.stat(path.join(this.directory, name))).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+    
+    // The size of the image at this URL (/uploads/<name>), or null if there is no such upload
+    async sizeUrl(url) {
+        return isUploadUrl(url) ? this.size(url.slice(URL_PREFIX.length)) : null;
+    }
+    
+    // The contents of the image at this URL (/uploads/<name>), or null if there is no such upload
+    async readUrl(url) {
+        return isUploadUrl(url) ? this.read(url.slice(URL_PREFIX.length)) : null;
+    }
+    
+    // An uploaded image as a data: URL (so an exported SVG works on its own),
+    // or null if there is no such upload
+    async dataUrl(url) {
+        const bytes = await this.readUrl(url);
+        return bytes ? `data:${mimeType(url)};base64,${bytes.toString('base64')}` : null;
+    }
+}
+
+// Pick where uploads go, like createStore() in lib/storage
+//   STORAGE=file   (default) files in UPLOAD_DIR, or DATA_DIR/uploads
+//   STORAGE=memory kept in memory, lost on restart
+// Several server processes need to share the folder (e.g. an Azure Files
+// share), or an image uploaded to one of them can't be seen on the others
+function createUploadStore(options = {}) {
+    const kind = options.kind || process.env.STORAGE || 'file';
+    const limits = { maxTotalBytes: options.maxTotalBytes };
+    if (kind === 'memory') {
+        return new UploadStore(null, limits);
+    }
+    
+    const dataDir = options.dataDir || process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+    return new UploadStore(options.directory || process.env.UPLOAD_DIR || path.join(dataDir, 'uploads'), limits);
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    MAX_UPLOAD_TOTAL_BYTES,
+    UploadError,
+    UploadStore,
+    createUploadStore,
+    detectImageType,
+    isUploadUrl,
+    mimeType
+};
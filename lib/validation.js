@@ -0,0 +1,632 @@
+// ===== INCOMING MESSAGE VALIDATION =====
+// Every message a client sends is checked here before the server stores or
+// broadcasts it. Each message type has its own schema: numbers must be
+// finite and inside the board, colors must be '#rrggbb', sizes must be in
+// range, and so on. Only the fields we know about are copied into the
+// returned message, so clients can't smuggle extra data into the history.
+// (Whether the sender is *allowed* to send a message is checked separately,
+// in lib/permissions.js.)
+//
+// validateMessage() throws a ValidationError with a short reason when a
+// message is rejected. The server sends that reason back to the client.
+
+const { ROLES } = require('./permissions');
+const BoardState = require('../public/board-state');
+const { isUploadUrl } = require('./uploads');
+
+// Largest message (in bytes) the server will look at
+// Imports of big boards are the largest legitimate messages
+const MAX_MESSAGE_BYTES = parseInt(process.env.MAX_MESSAGE_BYTES, 10) || 1024 * 1024;
+
+// Coordinates (world coordinates, the board has no edges) must be within
+// this distance of the origin
+const MAX_COORDINATE = 1000000;
+
+// Brush size range (the slider goes from 1 to 20)
+const MIN_SIZE = 1;
+const MAX_SIZE = 50;
+
+// Pen pressure makes a stroke thinner than its brush size (see widths below)
+const MIN_WIDTH = 0.1;
+
+// Longest piece of text
+const MAX_TEXT_LENGTH = 200;
+
+// Widest and tallest image on the board (in world coordinates)
+const MAX_IMAGE_SIZE = 20000;
+
+// Longest display name (and layer name)
+const MAX_NAME_LENGTH = 32;
+
+// Things that can be done to a layer with a 'layer' message
+const LAYER_OPS = ['add', 'rename', 'move', 'hide', 'lock'];
+
+// Limits for imported boards
+const MAX_IMPORT_ITEMS = 5000;
+const MAX_STROKE_POINTS = 20000; // x and y values, so 10000 points
+
+// Most x, y values in one 'polyline' message (clients send about 200 at most)
+const MAX_POLYLINE_POINTS = 2000;
+
+// Most items one move, scale, recolor or delete message can change
+const MAX_EDIT_ITEMS = 1000;
+
+// Smallest and largest factor of one 'scale' message
+const MIN_SCALE = 0.05;
+const MAX_SCALE = 20;
+
+// Most clients one clear or import can list in `seen`
+const MAX_SEEN_CLIENTS = 10000;
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TOOLS = ['pen', 'eraser'];
+const SHAPES = ['line', 'rect', 'ellipse', 'arrow'];
+
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+// ===== FIELD CHECKS =====
+// Each one returns the checked value or throws
+
+function checkObject(value, name) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ValidationError(`${name} must be an object`);
+    }
+    return value;
+}
+
+function checkCoordinate(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > MAX_COORDINATE) {
+        throw new ValidationError(`${name} must be a number between -${MAX_COORDINATE} and ${MAX_COORDINATE}`);
+    }
+    return value;
+}
+
+function checkColor(value) {
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+        throw new ValidationError('color must look like #rrggbb');
+    }
+    return value.toLowerCase();
+}
+
+function checkSize(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < MIN_SIZE || value > MAX_SIZE) {
+        throw new ValidationError(`size must be a number between ${MIN_SIZE} and ${MAX_SIZE}`);
+    }
+    return value;
+}
+
+function checkId(value, name) {
+    if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+        throw new ValidationError(`${name} must be 1-64 letters, digits, '-' or '_'`);
+    }
+    return value;
+}
+
+function checkOneOf(value, allowed, name) {
+    if (!allowed.includes(value)) {
+        throw new ValidationError(`${name} must be one of: ${allowed.join(', ')}`);
+    }
+    return value;
+}
+
+// An image uploaded to this server: /uploads/<name> (see lib/uploads.js)
+// Images from anywhere else would let one user make everyone's browser load
+// whatever they like
+function checkImageUrl(value) {
+    if (!isUploadUrl(value)) {
+        throw new ValidationError('url must be an image uploaded to this server');
+    }
+    return value;
+}
+
+function checkImageSize(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < MIN_SIZE || value > MAX_IMAGE_SIZE) {
+        throw new ValidationError(`${name} must be a number between ${MIN_SIZE} and ${MAX_IMAGE_SIZE}`);
+    }
+    return value;
+}
+
+function checkText(value) {
+    if (typeof value !== 'string' || value.trim().length === 0 || value.length > MAX_TEXT_LENGTH) {
+        throw new ValidationError(`text must be 1-${MAX_TEXT_LENGTH} characters`);
+    }
+    return value;
+}
+
+// A time in milliseconds since 1970 (like Date.now())
+function checkTime(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new ValidationError(`${name} must be a time in milliseconds`);
+    }
+    return value;
+}
+
+function checkPoints(value, max = MAX_STROKE_POINTS) {
+    if (!Array.isArray(value) || value.length < 2 || value.length % 2 !== 0 || value.length > max) {
+        throw new ValidationError(`points must be a list of x, y pairs (at most ${max / 2} points)`);
+    }
+    return value.map((coordinate, i) => checkCoordinate(coordinate, `points[${i}]`));
+}
+
+// Line width at every point of a stroke drawn with a pressure-sensitive pen
+// (one width per x, y pair). Optional - without it the whole stroke is `size` wide.
+function checkWidths(value, pointCount) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    if (!Array.isArray(value) || value.length !== pointCount) {
+        throw new ValidationError('widths must have one width per point');
+    }
+    return value.map((width, i) => {
+        if (typeof width !== 'number' || !Number.isFinite(width) || width < MIN_WIDTH || width > MAX_SIZE) {
+            throw new ValidationError(`widths[${i}] must be a number between ${MIN_WIDTH} and ${MAX_SIZE}`);
+        }
+        return width;
+    });
+}
+
+// The IDs of the items an edit message changes (duplicates are dropped)
+function checkIds(value) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_EDIT_ITEMS) {
+        throw new ValidationError(`ids must be a list of 1-${MAX_EDIT_ITEMS} item IDs`);
+    }
+    return [...new Set(value.map((id, i) => checkId(id, `ids[${i}]`)))];
+}
+
+function checkScale(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < MIN_SCALE || value > MAX_SCALE) {
+        throw new ValidationError(`factor must be a number between ${MIN_SCALE} and ${MAX_SCALE}`);
+    }
+    return value;
+}
+
+function checkBoolean(value, name) {
+    if (typeof value !== 'boolean') {
+        throw new ValidationError(`${name} must be true or false`);
+    }
+    return value;
+}
+
+function checkLayerName(value, name = 'name') {
+    const cleaned = sanitizeName(value);
+    if (!cleaned) {
+        throw new ValidationError(`${name} must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    return cleaned;
+}
+
+// The layer an item is drawn on. Optional - without it, the item is on the default layer.
+function withLayer(item, layer, name = 'layer') {
+    return layer === undefined || layer === null ? item : { ...item, layer: checkId(layer, name) };
+}
+
+// The layers of an imported board, bottom to top
+function validateLayers(layers) {
+    if (!Array.isArray(layers) || layers.length === 0 || layers.length > BoardState.MAX_LAYERS) {
+        throw new ValidationError(`layers must be a list of 1-${BoardState.MAX_LAYERS} layers`);
+    }
+    const ids = new Set();
+    return layers.map((layer, i) => {
+        checkObject(layer, `layers[${i}]`);
+        const id = checkId(layer.id, `layers[${i}].id`);
+        if (ids.has(id)) {
+            throw new ValidationError(`layers[${i}].id is used twice`);
+        }
+        ids.add(id);
+        return {
+            id,
+            name: checkLayerName(layer.name, `layers[${i}].name`),
+            hidden: Boolean(layer.hidden),
+            locked: Boolean(layer.locked)
+        };
+    });
+}
+
+// The Lamport clock of a board change (see board-state.js). Optional -
+// older clients don't send one, and the board gives the change one.
+function withClock(data, clock) {
+    if (clock === undefined || clock === null) {
+        return data;
+    }
+    if (!Number.isSafeInteger(clock) || clock < 0) {
+        throw new ValidationError('clock must be a whole number, 0 or more');
+    }
+    return { ...data, clock };
+}
+
+// What a clear or import removes: the highest clock of each client's items
+// the sender had seen, { clientId: clock }. Optional - without it, the
+// board removes everything it has.
+function withSeen(data, seen) {
+    if (seen === undefined || seen === null) {
+        return data;
+    }
+    const clientIds = Object.keys(checkObject(seen, 'seen'));
+    if (clientIds.length > MAX_SEEN_CLIENTS) {
+        throw new ValidationError(`seen must list at most ${MAX_SEEN_CLIENTS} clients`);
+    }
+    const checked = {};
+    clientIds.forEach(clientId => {
+        checkId(clientId, 'seen client IDs');
+        if (!Number.isSafeInteger(seen[clientId]) || seen[clientId] < 0) {
+            throw new ValidationError(`seen.${clientId} must be a whole number, 0 or more`);
+        }
+        checked[clientId] = seen[clientId];
+    });
+    return { ...data, seen: checked };
+}
+
+// Only add `widths` to a stroke when there are some, so pressure-less strokes stay as they were
+function withWidths(stroke, widths) {
+    const checked = checkWidths(widths, stroke.points.length / 2);
+    return checked ? { ...stroke, widths: checked } : stroke;
+}
+
+// ===== ITEM SCHEMAS =====
+// Used for the data of draw/polyline/shape/text/image messages and for imported items
+
+function validateSegment(data) {
+    checkObject(data, 'data');
+    return withLayer({
+        strokeId: checkId(data.strokeId, 'strokeId'),
+        tool: checkOneOf(data.tool === undefined ? 'pen' : data.tool, TOOLS, 'tool'),
+        fromX: checkCoordinate(data.fromX, 'fromX'),
+        fromY: checkCoordinate(data.fromY, 'fromY'),
+        toX: checkCoordinate(data.toX, 'toX'),
+        toY: checkCoordinate(data.toY, 'toY'),
+        color: checkColor(data.color),
+        size: checkSize(data.size)
+    }, data.layer);
+}
+
+// Several points of one stroke, sent together
+function validatePolyline(data) {
+    checkObject(data, 'data');
+    return withLayer(withWidths({
+        strokeId: checkId(data.strokeId, 'strokeId'),
+        tool: checkOneOf(data.tool === undefined ? 'pen' : data.tool, TOOLS, 'tool'),
+        color: checkColor(data.color),
+        size: checkSize(data.size),
+        points: checkPoints(data.points, MAX_POLYLINE_POINTS)
+    }, data.widths), data.layer);
+}
+
+function validateShape(data) {
+    checkObject(data, 'data');
+    return withLayer({
+        id: checkId(data.id, 'id'),
+        shape: checkOneOf(data.shape, SHAPES, 'shape'),
+        x1: checkCoordinate(data.x1, 'x1'),
+        y1: checkCoordinate(data.y1, 'y1'),
+        x2: checkCoordinate(data.x2, 'x2'),
+        y2: checkCoordinate(data.y2, 'y2'),
+        color: checkColor(data.color),
+        size: checkSize(data.size)
+    }, data.layer);
+}
+
+function validateText(data) {
+    checkObject(data, 'data');
+    return withLayer({
+        id: checkId(data.id, 'id'),
+        x: checkCoordinate(data.x, 'x'),
+        y: checkCoordinate(data.y, 'y'),
+        text: checkText(data.text),
+        color: checkColor(data.color),
+        size: checkSize(data.size)
+    }, data.layer);
+}
+
+// (x, y) is the image's top-left corner
+function validateImage(data) {
+    checkObject(data, 'data');
+    return withLayer({
+        id: checkId(data.id, 'id'),
+        url: checkImageUrl(data.url),
+        x: checkCoordinate(data.x, 'x'),
+        y: checkCoordinate(data.y, 'y'),
+        width: checkImageSize(data.width, 'width'),
+        height: checkImageSize(data.height, 'height')
+    }, data.layer);
+}
+
+// An item from an exported JSON board
+function validateImportedItem(item, index) {
+    checkObject(item, `items[${index}]`);
+    
+    const common = withLayer({
+        id: checkId(item.id, `items[${index}].id`),
+        clientId: checkId(item.clientId, `items[${index}].clientId`),
+        undone: Boolean(item.undone)
+    }, item.layer, `items[${index}].layer`);
+    
+    // Deleted items stay deleted (undone, and nobody can redo them)
+    if (item.deleted) {
+        common.undone = true;
+        common.deleted = true;
+    }
+    
+    // Who drew it and when (optional - used when replaying the board)
+    ['createdAt', 'endedAt', 'undoneAt'].forEach(field => {
+        if (item[field] !== undefined && item[field] !== null) {
+            common[field] = checkTime(item[field], `items[${index}].${field}`);
+        }
+    });
+    if (sanitizeName(item.author)) {
+        common.author = sanitizeName(item.author);
+    }
+    
+    switch (item.kind) {
+        case 'stroke':
+            return withWidths({
+                kind: 'stroke',
+                ...common,
+                tool: checkOneOf(item.tool === undefined ? 'pen' : item.tool, TOOLS, 'tool'),
+                color: checkColor(item.color),
+                size: checkSize(item.size),
+                points: checkPoints(item.points)
+            }, item.widths);
+        case 'shape': {
+            const { id, ...shape } = validateShape(item);
+            return { kind: 'shape', ...common, ...shape };
+        }
+        case 'text': {
+            const { id, ...text } = validateText(item);
+            return { kind: 'text', ...common, ...text };
+        }
+        case 'image': {
+            const { id, ...image } = validateImage(item);
+            return { kind: 'image', ...common, ...image };
+        }
+        default:
+            throw new ValidationError(`items[${index}].kind must be stroke, shape, text or image`);
+    }
+}
+
+// ===== MESSAGE SCHEMAS =====
+// One function per message type. Each returns the cleaned-up message.
+// `clientId` is the ID the server knows this connection by - it replaces
+// whatever the client put in the message, so nobody can act as someone else.
+const MESSAGE_SCHEMAS = {
+    draw: (message, clientId) => ({
+        type: 'draw',
+        data: withClock({ ...validateSegment(message.data), timestamp: Date.now(), clientId }, message.data.clock)
+    }),
+    
+    polyline: (message, clientId) => ({
+        type: 'polyline',
+        data: withClock({ ...validatePolyline(message.data), timestamp: Date.now(), clientId }, message.data.clock)
+    }),
+    
+    shape: (message, clientId) => ({
+        type: 'shape',
+        data: withClock({ ...validateShape(message.data), timestamp: Date.now(), clientId }, message.data.clock)
+    }),
+    
+    text: (message, clientId) => ({
+        type: 'text',
+        data: withClock({ ...validateText(message.data), timestamp: Date.now(), clientId }, message.data.clock)
+    }),
+    
+    image: (message, clientId) => ({
+        type: 'image',
+        data: withClock({ ...validateImage(message.data), timestamp: Date.now(), clientId }, message.data.clock)
+    }),
+    
+    undo: (message, clientId) => ({
+        type: 'undo',
+        data: withClock({
+            strokeId: checkId(checkObject(message.data, 'data').strokeId, 'strokeId'),
+            timestamp: Date.now(),
+            clientId
+        }, message.data.clock)
+    }),
+    
+    redo: (message, clientId) => ({
+        type: 'redo',
+        data: withClock({
+            strokeId: checkId(checkObject(message.data, 'data').strokeId, 'strokeId'),
+            timestamp: Date.now(),
+            clientId
+        }, message.data.clock)
+    }),
+    
+    // layers and background are optional (older exports don't have them)
+    // The items keep their own clientId; clientId here is the importer's
+    import: (message, clientId) => {
+        const { items, layers, background, seen, clock } = checkObject(message.data, 'data');
+        if (!Array.isArray(items) || items.length > MAX_IMPORT_ITEMS) {
+            throw new ValidationError(`items must be a list of at most ${MAX_IMPORT_ITEMS} items`);
+        }
+        const data = { items: items.map(validateImportedItem), timestamp: Date.now(), clientId };
+        if (layers !== undefined && layers !== null) {
+            data.layers = validateLayers(layers);
+        }
+        if (background !== undefined && background !== null) {
+            data.background = checkOneOf(background, BoardState.BACKGROUNDS, 'background');
+        }
+        return { type: 'import', data: withClock(withSeen(data, seen), clock) };
+    },
+    
+    // Add, rename, move, hide or lock a layer
+    //   { op: 'add', id, name }      { op: 'rename', id, name }     { op: 'move', id, index }
+    //   { op: 'hide', id, hidden }   { op: 'lock', id, locked }
+    layer: (message, clientId) => {
+        const data = checkObject(message.data, 'data');
+        const op = checkOneOf(data.op, LAYER_OPS, 'op');
+        const layer = { op, id: checkId(data.id, 'id') };
+        
+        switch (op) {
+            case 'add':
+            case 'rename':
+                layer.name = checkLayerName(data.name);
+                break;
+            case 'move':
+                if (!Number.isInteger(data.index) || data.index < 0 || data.index >= BoardState.MAX_LAYERS) {
+                    throw new ValidationError(`index must be a whole number from 0 to ${BoardState.MAX_LAYERS - 1}`);
+                }
+                layer.index = data.index;
+                break;
+            case 'hide':
+                layer.hidden = checkBoolean(data.hidden, 'hidden');
+                break;
+            case 'lock':
+                layer.locked = checkBoolean(data.locked, 'locked');
+                break;
+        }
+        return { type: 'layer', data: withClock({ ...layer, timestamp: Date.now(), clientId }, data.clock) };
+    },
+    
+    // Change what is drawn under the layers: { background: 'grid' }
+    background: (message, clientId) => {
+        const data = checkObject(message.data, 'data');
+        return {
+            type: 'background',
+            data: withClock({
+                background: checkOneOf(data.background, BoardState.BACKGROUNDS, 'background'),
+                timestamp: Date.now(),
+                clientId
+            }, data.clock)
+        };
+    },
+    
+    // ===== EDITS =====
+    // Change items already on the board (see board-state.js)
+    move: (message, clientId) => {
+        const data = checkObject(message.data, 'data');
+        return {
+            type: 'move',
+            data: withClock({
+                ids: checkIds(data.ids),
+                dx: checkCoordinate(data.dx, 'dx'),
+                dy: checkCoordinate(data.dy, 'dy'),
+                timestamp: Date.now(),
+                clientId
+            }, data.clock)
+        };
+    },
+    
+    // Grow or shrink the items around the point (x, y)
+    scale: (message, clientId) => {
+        const data = checkObject(message.data, 'data');
+        return {
+            type: 'scale',
+            data: withClock({
+                ids: checkIds(data.ids),
+                x: checkCoordinate(data.x, 'x'),
+                y: checkCoordinate(data.y, 'y'),
+                factor: checkScale(data.factor),
+                timestamp: Date.now(),
+                clientId
+            }, data.clock)
+        };
+    },
+    
+    recolor: (message, clientId) => {
+        const data = checkObject(message.data, 'data');
+        return {
+            type: 'recolor',
+            data: withClock({ ids: checkIds(data.ids), color: checkColor(data.color), timestamp: Date.now(), clientId }, data.clock)
+        };
+    },
+    
+    delete: (message, clientId) => ({
+        type: 'delete',
+        data: withClock({ ids: checkIds(checkObject(message.data, 'data').ids), timestamp: Date.now(), clientId }, message.data.clock)
+    }),
+    
+    // data is optional (older clients send { type: 'clear' })
+    clear: (message, clientId) => {
+        const data = message.data === undefined || message.data === null ? {} : checkObject(message.data, 'data');
+        return { type: 'clear', data: withClock(withSeen({ timestamp: Date.now(), clientId }, data.seen), data.clock) };
+    },
+    
+    ping: () => ({ type: 'ping' }),
+    
+    // Where our mouse is on the canvas, or { hidden: true } when it leaves
+    cursor: (message) => (message.hidden === true
+        ? { type: 'cursor', hidden: true }
+        : { type: 'cursor', x: checkCoordinate(message.x, 'x'), y: checkCoordinate(message.y, 'y') }),
+    
+    // Change our display name
+    setName: (message) => {
+        const name = sanitizeName(message.name);
+        if (!name) {
+            throw new ValidationError(`name must be 1-${MAX_NAME_LENGTH} characters`);
+        }
+        return { type: 'setName', name };
+    },
+    
+    // Lock or unlock the board (owners only)
+    lock: (message) => ({ type: 'lock', locked: checkBoolean(message.locked, 'locked') }),
+    
+    // Give another user a role on this board (owners only)
+    // id: their connection ID, as in presence messages
+    setRole: (message) => ({
+        type: 'setRole',
+        id: checkId(message.id, 'id'),
+        role: checkOneOf(message.role, ROLES, 'role')
+    })
+};
+
+// ===== VALIDATE ONE RAW MESSAGE =====
+// raw: the Buffer/string received from the WebSocket
+// clientId: the ID of the connection that sent it
+function validateMessage(raw, clientId) {
+    if (raw.length > MAX_MESSAGE_BYTES) {
+        throw new ValidationError(`message is larger than ${MAX_MESSAGE_BYTES} bytes`);
+    }
+    
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        throw new ValidationError('message is not valid JSON');
+    }
+    
+    checkObject(message, 'message');
+    
+    const schema = Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, message.type) && MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+        throw new ValidationError(`unknown message type: ${String(message.type).slice(0, 32)}`);
+    }
+    
+    const result = schema(message, clientId);
+    
+    // Optional number the client gives each message it may resend after a
+    // reconnect, so the server can ignore copies it already has
+    if (message.msgSeq !== undefined) {
+        if (!Number.isSafeInteger(message.msgSeq) || message.msgSeq < 1) {
+            throw new ValidationError('msgSeq must be a positive whole number');
+        }
+        result.msgSeq = message.msgSeq;
+    }
+    
+    return result;
+}
+
+// Clean up a display name: no control characters, trimmed, at most MAX_NAME_LENGTH
+// Returns an empty string if nothing usable is left
+function sanitizeName(value) {
+    if (typeof value !== 'string') return '';
+    return value.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_NAME_LENGTH).trim();
+}
+
+// Is this a valid client ID (used for the ?clientId= query of the WebSocket URL)
+function isValidId(value) {
+    return typeof value === 'string' && ID_PATTERN.test(value);
+}
+
+module.exports = {
+    MAX_MESSAGE_BYTES,
+    ValidationError,
+    validateMessage,
+    sanitizeName,
+    isValidId
+};
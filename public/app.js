@@ -1,3 +1,71 @@
+// Most points sent in one 'polyline' message (the server accepts up to 1000)
+const MAX_BATCH_POINTS = 200;
+
+// Messages that change something. If we are offline they are kept and sent
+// when the connection comes back; other messages (ping, cursor) are dropped.
+const QUEUED_TYPES = ['draw', 'polyline', 'shape', 'text', 'image', 'undo', 'redo', 'move', 'scale', 'recolor', 'delete',
+    'layer', 'background', 'clear', 'import', 'setName', 'lock', 'setRole'];
+
+// Wait between reconnect attempts: 1s, 2s, 4s, ... up to 30s
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// Close code the server uses when an admin removes us (see /admin in server.js)
+const KICKED_CLOSE_CODE = 4001;
+
+// A 'ping' goes out every 20s. If nothing at all comes back within 10s the
+// connection is treated as stalled and replaced (see checkStalled)
+const HEARTBEAT_INTERVAL_MS = 20000;
+const STALL_TIMEOUT_MS = 10000;
+const STALLED_CLOSE_CODE = 4000;
+
+// After a reconnect, queued messages are sent 10 at once, then one every
+// 250ms, so the server's rate limits don't drop them
+const OUTBOX_BURST = 10;
+const OUTBOX_INTERVAL_MS = 250;
+
+// Zoom limits (1 = 100%) and how fast the mouse wheel zooms
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 8;
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+// A pen's line width goes from 0.3x the brush size (barely touching) to
+// 1.7x (pressed hard); half pressure draws at the brush size
+const PRESSURE_MIN_WIDTH = 0.3;
+const PRESSURE_MAX_WIDTH = 1.7;
+const MAX_STROKE_WIDTH = 50;    // The server's largest size
+
+// Smoothed strokes are split into pieces this long (in screen pixels)
+const SMOOTHING_STEP = 3;
+
+// Palm rejection: touches are ignored while a pen is in use and for this
+// long after, and so are contacts wider or taller than a fingertip (CSS pixels)
+const PALM_REJECT_MS = 1000;
+const MAX_FINGER_SIZE = 40;
+
+// Select tool: how far (in screen pixels) a click may miss a line and still
+// pick it, and the size of the handle that scales the selection
+const SELECT_TOLERANCE = 6;
+const SCALE_HANDLE_SIZE = 10;
+
+// The server accepts at most this many items per edit, and scaling by
+// 0.05 to 20 times at once
+const MAX_SELECTION = 1000;
+const MIN_SELECT_SCALE = 0.05;
+const MAX_SELECT_SCALE = 20;
+
+// Replay never waits longer than this for the next change, however long
+// nobody drew anything (in board time, before the speed is applied)
+const MAX_REPLAY_PAUSE_MS = 2000;
+
+// Images the server accepts (see lib/uploads.js), and how much of the view
+// a newly placed image may cover at most
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const IMAGE_VIEW_FRACTION = 0.6;
+
+// What the URL of an uploaded image looks like (isUploadUrl in lib/uploads.js)
+const UPLOAD_URL = /^\/uploads\/[0-9a-f]{32}\.(png|jpg|gif|webp)$/;
+
 // ===== MAIN DRAWING APPLICATION CLASS =====
 // This class handles everything related to drawing and WebSocket communication
 class DrawingApp {
@@ -10,10 +78,23 @@ class DrawingApp {
         // Get the 2D drawing context - this is what we use to draw
         this.ctx = this.canvas.getContext('2d');
         
+        // A transparent canvas on top of the drawing canvas
+        // Shapes and text are previewed here while dragging, then drawn for real
+        this.previewCanvas = document.getElementById('preview-canvas');
+        this.previewCtx = this.previewCanvas.getContext('2d');
+        
+        // Canvas on top of both, shown instead of the live board while replaying
+        this.replayCanvas = document.getElementById('replay-canvas');
+        this.replayCtx = this.replayCanvas.getContext('2d');
+        
+        // Text box shown when placing text with the text tool
+        this.textInput = document.getElementById('text-input');
+        
         // Track whether the mouse is currently pressed down
         this.isDrawing = false;
         
         // Current drawing settings
+        this.currentTool = 'pen';       // pen, eraser, line, rect, ellipse, arrow, text or select
         this.currentColor = '#000000';  // Black by default
         this.currentSize = 3;           // 3px brush by default
         
@@ -25,41 +106,334 @@ class DrawingApp {
         
         // Unique ID for this client
         // Used to identify our own messages so we don't draw them twice
-        this.clientId = Math.random().toString(36).substring(7);
+        // The server hands it out with a key (see the 'welcome' message); both are
+        // kept in sessionStorage so a page reload can still undo our own strokes
+        this.clientId = sessionStorage.getItem('clientId') || Math.random().toString(36).substring(7);
+        this.clientKey = sessionStorage.getItem('clientKey') || '';
+        
+        // Everything drawn on the board, shared rules with the server (board-state.js)
+        // Used to redraw the canvas after an undo or redo
+        this.board = new BoardState();
+        
+        // ID of the stroke being drawn right now (one per mousedown-to-mouseup)
+        // and its Lamport clock, which every piece of it shares (see board-state.js)
+        this.currentStrokeId = null;
+        this.strokeClock = 0;
+        
+        // Counter used to give every stroke, shape and text a unique ID
+        this.itemCount = 0;
+        
+        // Our own undone strokes, shapes and text, most recent last, so they can be redone
+        this.redoStack = [];
+        
+        // ===== VIEW: PAN AND ZOOM =====
+        // The board has no edges. Everything on it is stored in "world"
+        // coordinates, which are the same for every user. The view decides
+        // which part of the world is on our screen:
+        //   screen = (world - view.x) * view.zoom
+        // so (view.x, view.y) is the world point at the canvas's top-left corner.
+        this.view = { x: 0, y: 0, zoom: 1 };
+        
+        // Canvas pixels per CSS pixel (2 on most phones and retina screens)
+        this.pixelRatio = 1;
+        
+        this.spaceDown = false;         // Space held: dragging pans instead of drawing
+        this.pointerOverCanvas = false;
+        this.panStart = null;           // Mouse position and view when a pan drag started
+        this.pinch = null;              // Finger midpoint and distance during a two-finger gesture
+        
+        // ===== POINTERS =====
+        this.drawingPointerId = null;   // The mouse, finger or pen that is drawing right now
+        this.drawingPointerType = null; // ...and what kind it is
+        this.touches = new Map();       // Fingers on the canvas: pointerId -> screen position
+        this.lastPenTime = 0;           // When a pen was last seen (for palm rejection)
+        
+        // ===== SMOOTH STROKES =====
+        // Pointer positions go through a StrokeSmoother (stroke-smoother.js)
+        // before they are drawn and sent
+        this.smoother = null;
+        this.strokeTail = null;         // Last smoothed point of the stroke: { x, y, width }
+        this.strokePressure = false;    // True if this stroke is drawn with a pen (widths follow pressure)
+        this.redrawFrame = null;
+        
+        // ===== BATCHED DRAWING =====
+        // Points drawn since the last animation frame, sent together as one
+        // 'polyline' message instead of one 'draw' message per mouse move
+        this.pendingPolyline = null;
+        this.flushFrame = null;
+        
+        // ===== RECONNECTING =====
+        // If the connection drops, we reconnect with growing delays, tell the
+        // server the last change we saw (epoch + lastSeq) and get only what we
+        // missed. Our own changes are numbered (msgSeq) and kept until the
+        // server confirms them, so nothing drawn offline is lost and nothing
+        // is applied twice.
+        this.sessionId = Math.random().toString(36).substring(2, 10); // New for every page load
+        this.reconnectDelay = RECONNECT_MIN_MS;
+        this.epoch = null;              // Which "life" of the room our seq numbers belong to
+        this.lastSeq = null;            // Seq of the last change we got from the server
+        this.synced = false;            // True once this connection has sent us history or resync
+        this.msgSeq = 0;                // Number of our last numbered message
+        this.unacked = [];              // Sent, but not yet confirmed by the server
+        this.outbox = [];               // Waiting to be sent
+        this.outboxTimer = null;
+        this.reconnectText = null;      // e.g. "Reconnecting in 4s", shown while disconnected
+        this.lastMessageAt = 0;         // When the server last sent us anything
+        this.stallTimer = null;
+        
+        // ===== LOGIN AND PERMISSIONS =====
+        // Who we are comes from our login token (see getToken), renewed once per visit
+        // What we may do on this board is sent by the server in a 'permissions' message;
+        // until then we can't change anything
+        this.tokenRenewed = false;
+        this.role = null;               // 'viewer', 'editor' or 'owner'
+        this.locked = false;            // Only owners can change a locked board
+        this.permissions = { draw: false, clear: false, lock: false, setRole: false };
+        
+        // ===== PRESENCE =====
+        // Our display name (remembered between visits) and the other users in the room
+        this.userName = localStorage.getItem('displayName') || `Guest-${this.clientId.slice(0, 4)}`;
+        this.myId = null;               // Our connection ID, from the 'welcome' message
+        this.users = new Map();         // Connection ID -> { id, name, color }
+        this.cursorElements = new Map(); // Connection ID -> cursor <div> on the canvas
+        
+        // Cursor updates are sent at most every 50ms
+        this.pendingCursor = null;
+        this.cursorTimer = null;
+        
+        // ===== LAYERS =====
+        // Every layer of the board has its own transparent canvas, stacked
+        // between the drawing canvas (the white background) and the preview
+        // canvas, in the same order as the layers. Hiding a layer hides its
+        // canvas, and the eraser only erases the layer it is used on.
+        this.layerCanvases = new Map(); // Layer ID -> { canvas, ctx }
+        this.activeLayer = BoardState.DEFAULT_LAYER_ID; // The layer we draw on
+        this.renderedLayers = null;     // The layers the layer list shows (to skip needless updates)
+        
+        // A spare canvas for drawing one layer at a time (replays and PNG exports)
+        this.scratchCanvas = document.createElement('canvas');
+        
+        // ===== SELECTION =====
+        // The select tool picks items by clicking them or drawing a lasso
+        // around them. Selected items can be dragged, scaled with the handle
+        // at the corner of the selection box, recolored with the color picker
+        // or deleted. The selection box is drawn on the preview canvas.
+        this.selection = new Set();     // IDs of the selected items
+        this.selectDrag = null;         // { mode: 'move' | 'scale' | 'lasso', ... } while dragging
+        
+        // ===== IMAGES =====
+        // Pictures of image items, loaded once per URL:
+        // URL -> { image, loaded } (see imageFor)
+        this.images = new Map();
+        
+        // ===== REPLAY =====
+        // Plays back how the board was drawn, on its own canvas on top of the
+        // live one. The live board keeps changing underneath, and nothing is
+        // sent to the server.
+        // { items, layers, background, timeline, time, playing, lastFrame, hidden: Set of contributor keys, title }
+        this.replay = null;
+        this.replayFrame = null;
+        
+        // Name of the room (board) we are drawing in
+        // Read from the page URL: /?room=design-review or /r/design-review
+        this.roomName = this.getRoomName();
         
         // Initialize everything
-        this.setupCanvas();    // Set canvas size and mouse events
+        this.setupCanvas();    // Set canvas size and pointer events
         this.setupControls();  // Set up color picker, brush size, etc.
         this.connectWebSocket(); // Connect to the server
     }
     
     // ===== CANVAS SETUP =====
     setupCanvas() {
-        // Set canvas dimensions
-        this.canvas.width = 800;
-        this.canvas.height = 600;
+        // The canvas fills the space the page gives it (see styles.css)
+        // Match its pixels to the screen now and whenever that space changes
+        this.resizeCanvas();
+        if (window.ResizeObserver) {
+            new ResizeObserver(() => this.resizeCanvas()).observe(this.canvas);
+        }
+        // Also catches moving the window to a screen with a different pixel ratio
+        window.addEventListener('resize', () => this.resizeCanvas());
+        
+        // ===== POINTER EVENT LISTENERS =====
+        // Pointer events cover the mouse, fingers and pens with one set of
+        // events. e.pointerType says which it is ('mouse', 'touch' or 'pen'),
+        // and pens also report how hard they press (e.pressure, 0 to 1).
+        // One pointer draws; two fingers pan and zoom (see handlePinch).
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+        
+        // The browser took the pointer away (a phone call, the pen left the screen...)
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp.bind(this));
+        
+        // Hide our cursor from the others when the mouse (or pen) leaves the canvas
+        this.canvas.addEventListener('pointerleave', () => this.queueCursor(null));
+        
+        // ===== PAN AND ZOOM =====
+        // The mouse wheel (and pinching a trackpad) zooms around the mouse
+        // passive: false, so preventDefault() can stop the page from scrolling
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+        
+        // Holding space over the canvas turns the mouse into a hand for panning
+        this.canvas.addEventListener('pointerenter', () => { this.pointerOverCanvas = true; });
+        this.canvas.addEventListener('pointerleave', () => { this.pointerOverCanvas = false; });
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'Space' || !this.pointerOverCanvas || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            
+            // Don't scroll the page (or press a focused button) while panning
+            e.preventDefault();
+            this.spaceDown = true;
+            this.canvas.classList.add('pan-ready');
+        });
+        document.addEventListener('keyup', (e) => {
+            if (e.code === 'Space') {
+                this.spaceDown = false;
+                this.canvas.classList.remove('pan-ready');
+            }
+        });
         
-        // ===== MOUSE EVENT LISTENERS =====
-        // These handle drawing with a mouse
+        // Zoom buttons zoom around the middle of the canvas
+        // The percentage in between resets the view to 100% at the origin
+        const zoomBy = (factor) => {
+            this.zoomAt(this.canvas.clientWidth / 2, this.canvas.clientHeight / 2, this.view.zoom * factor);
+        };
+        document.getElementById('zoom-in').addEventListener('click', () => zoomBy(1.25));
+        document.getElementById('zoom-out').addEventListener('click', () => zoomBy(1 / 1.25));
+        document.getElementById('zoom-reset').addEventListener('click', () => this.setView(0, 0, 1));
+    }
+    
+    // ===== MATCH THE CANVAS TO THE SCREEN =====
+    // A canvas has its own pixel size (width/height attributes), separate from
+    // the size it is shown at. If they differ, the browser stretches the
+    // picture and it looks blurry. On a screen with devicePixelRatio 2, a
+    // canvas shown 800 CSS pixels wide needs 1600 real pixels.
+    resizeCanvas() {
+        // Size inside the border, in CSS pixels
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const ratio = window.devicePixelRatio || 1;
+        
+        const pixelWidth = Math.round(width * ratio);
+        const pixelHeight = Math.round(height * ratio);
+        if (pixelWidth === this.canvas.width && pixelHeight === this.canvas.height && ratio === this.pixelRatio) {
+            return;
+        }
+        
+        this.pixelRatio = ratio;
+        const layerCanvases = [...this.layerCanvases.values()].map(layer => layer.canvas);
+        [this.canvas, this.previewCanvas, this.replayCanvas, ...layerCanvases].forEach(canvas => {
+            canvas.width = pixelWidth;
+            canvas.height = pixelHeight;
+        });
         
-        // When mouse button is pressed, start drawing
-        this.canvas.addEventListener('mousedown', this.startDrawing.bind(this));
+        // The other canvases aren't sized by CSS, so show them at the same size
+        [this.previewCanvas, this.replayCanvas, ...layerCanvases].forEach(canvas => {
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${height}px`;
+        });
         
-        // When mouse moves, draw (if mouse is pressed)
-        this.canvas.addEventListener('mousemove', this.draw.bind(this));
+        // Changing a canvas's size wipes it, so draw everything again right away
+        this.redraw();
+    }
+    
+    // ===== COORDINATES =====
+    // Screen positions are CSS pixels from the canvas's top-left corner
+    
+    screenToWorld(point) {
+        return {
+            x: point.x / this.view.zoom + this.view.x,
+            y: point.y / this.view.zoom + this.view.y
+        };
+    }
+    
+    worldToScreen(point) {
+        return {
+            x: (point.x - this.view.x) * this.view.zoom,
+            y: (point.y - this.view.y) * this.view.zoom
+        };
+    }
+    
+    // Make `ctx` draw in world coordinates:
+    // world -> screen (pan and zoom) -> canvas pixels (devicePixelRatio)
+    applyViewTransform(ctx) {
+        const scale = this.view.zoom * this.pixelRatio;
+        ctx.setTransform(scale, 0, 0, scale, -this.view.x * scale, -this.view.y * scale);
+    }
+    
+    // Erase a whole canvas and get it ready to draw in world coordinates again
+    resetContext(ctx) {
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        this.applyViewTransform(ctx);
+    }
+    
+    // Redraw at the next animation frame
+    // Panning and other users' strokes can ask many times per frame - redraw once per frame
+    scheduleRedraw() {
+        if (!this.redrawFrame) {
+            this.redrawFrame = requestAnimationFrame(() => {
+                this.redrawFrame = null;
+                this.redraw();
+            });
+        }
+    }
+    
+    // ===== CHANGE THE VIEW =====
+    // Moving or zooming the view changes nothing on the board, only what we
+    // see, so nothing is sent to the server
+    setView(x, y, zoom) {
+        this.view = { x, y, zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom)) };
         
-        // When mouse button is released, stop drawing
-        this.canvas.addEventListener('mouseup', this.stopDrawing.bind(this));
+        this.scheduleRedraw();
         
-        // Stop drawing if mouse leaves the canvas
-        this.canvas.addEventListener('mouseleave', this.stopDrawing.bind(this));
+        // Things placed over the canvas move with the board
+        this.cursorElements.forEach(element => this.positionCursor(element));
+        if (!this.textInput.hidden) {
+            this.positionTextInput();
+        }
+        document.getElementById('zoom-reset').textContent = `${Math.round(this.view.zoom * 100)}%`;
+    }
+    
+    // Zoom to `zoom`, keeping the world point under the screen point (x, y) where it is
+    zoomAt(x, y, zoom) {
+        const world = this.screenToWorld({ x, y });
+        const newZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+        this.setView(world.x - x / newZoom, world.y - y / newZoom, newZoom);
+    }
+    
+    // ===== PAN WITH THE MOUSE =====
+    startPan(e) {
+        e.preventDefault();
+        this.panStart = { screen: this.getScreenPos(e), view: this.view };
+        this.canvas.classList.add('panning');
+    }
+    
+    pan(e) {
+        if (!this.panStart) return;
         
-        // ===== TOUCH EVENT LISTENERS =====
-        // These make the app work on phones and tablets
+        // Move the view by how far the mouse moved, converted to world units
+        const pos = this.getScreenPos(e);
+        const { screen, view } = this.panStart;
+        this.setView(view.x - (pos.x - screen.x) / view.zoom, view.y - (pos.y - screen.y) / view.zoom, view.zoom);
+    }
+    
+    stopPan() {
+        this.panStart = null;
+        this.canvas.classList.remove('panning');
+    }
+    
+    // ===== ZOOM WITH THE MOUSE WHEEL =====
+    // Trackpad pinches arrive as wheel events with ctrlKey set and small
+    // deltas, so they zoom faster per unit
+    handleWheel(e) {
+        e.preventDefault();
         
-        this.canvas.addEventListener('touchstart', this.handleTouch.bind(this));
-        this.canvas.addEventListener('touchmove', this.handleTouch.bind(this));
-        this.canvas.addEventListener('touchend', this.stopDrawing.bind(this));
+        // deltaMode 1 means the delta is in lines instead of pixels (Firefox)
+        const delta = e.deltaY * (e.deltaMode === 1 ? 16 : 1);
+        const speed = e.ctrlKey ? WHEEL_ZOOM_SPEED * 5 : WHEEL_ZOOM_SPEED;
+        const pos = this.getScreenPos(e);
+        this.zoomAt(pos.x, pos.y, this.view.zoom * Math.exp(-delta * speed));
     }
     
     // ===== CONTROL PANEL SETUP =====
@@ -69,18 +443,128 @@ class DrawingApp {
         const brushSize = document.getElementById('brush-size');
         const brushSizeDisplay = document.getElementById('brush-size-display');
         const clearBtn = document.getElementById('clear-btn');
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        const toolButtons = document.querySelectorAll('[data-tool]');
+        const exportButtons = document.querySelectorAll('[data-export]');
+        const importInput = document.getElementById('import-input');
+        const nameInput = document.getElementById('display-name');
+        const lockBtn = document.getElementById('lock-btn');
+        const imageInput = document.getElementById('image-input');
+        const backgroundSelect = document.getElementById('background-select');
+        
+        // ===== DISPLAY NAME =====
+        // Shown next to our cursor and in the user list of everyone in the room
+        nameInput.value = this.userName;
+        nameInput.addEventListener('change', () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.value = this.userName;
+                return;
+            }
+            this.userName = name;
+            localStorage.setItem('displayName', name);
+            this.sendMessage({ type: 'setName', name });
+        });
+        
+        // ===== TOOL BUTTONS =====
+        // Each button has a data-tool attribute with the tool's name
+        toolButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.currentTool = button.dataset.tool;
+                this.canvas.classList.toggle('select-tool', this.currentTool === 'select');
+                
+                // Only the select tool keeps a selection
+                if (this.currentTool !== 'select') {
+                    this.clearSelection();
+                }
+                
+                // Highlight the selected tool
+                toolButtons.forEach(b => b.classList.toggle('active', b === button));
+                console.log('Tool changed to:', this.currentTool);
+            });
+        });
+        
+        // ===== EXPORT MENU =====
+        // Each button has a data-export attribute: png, svg or json
+        exportButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportBoard(button.dataset.export);
+                button.closest('details').open = false;
+            });
+        });
+        
+        // ===== IMPORT JSON =====
+        // The "Import JSON" label opens this hidden file input
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = ''; // Allow importing the same file again later
+            if (file) {
+                this.importBoard(file);
+            }
+        });
+        
+        // ===== IMAGES =====
+        // The "Image" label opens this hidden file input. Images can also be
+        // pasted (e.g. a screenshot) or dropped onto the board.
+        imageInput.addEventListener('change', () => {
+            const file = imageInput.files[0];
+            imageInput.value = ''; // Allow adding the same image again later
+            if (file) {
+                this.uploadImage(file);
+            }
+        });
+        document.addEventListener('paste', (e) => {
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            
+            const file = [...e.clipboardData.files].find(pasted => IMAGE_TYPES.includes(pasted.type));
+            if (file) {
+                e.preventDefault();
+                this.uploadImage(file);
+            }
+        });
+        const canvasWrap = this.canvas.closest('.canvas-wrap');
+        canvasWrap.addEventListener('dragover', (e) => e.preventDefault());
+        canvasWrap.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                const rect = this.canvas.getBoundingClientRect();
+                this.uploadImage(file, this.screenToWorld({ x: e.clientX - rect.left, y: e.clientY - rect.top }));
+            }
+        });
+        
+        // ===== BACKGROUND =====
+        // Grid, dot paper or kanban columns under every layer, for everyone
+        backgroundSelect.addEventListener('change', () => this.setBackground(backgroundSelect.value));
+        
+        // ===== TEXT BOX =====
+        // Enter places the text, Escape cancels, clicking elsewhere also places it
+        this.textInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.commitText();
+            } else if (e.key === 'Escape') {
+                this.closeTextInput();
+            }
+        });
+        this.textInput.addEventListener('blur', () => this.commitText());
         
         // ===== COLOR PICKER =====
         // When user selects a new color, update our current color
         colorPicker.addEventListener('change', (e) => {
             this.currentColor = e.target.value;
             console.log('Color changed to:', this.currentColor);
+            
+            // Selected items get the new color too
+            if (this.selection.size > 0) {
+                this.editSelection('recolor', { color: this.currentColor });
+            }
         });
         
         // ===== BRUSH SIZE SLIDER =====
         // When user adjusts the slider, update brush size
         brushSize.addEventListener('input', (e) => {
-            this.currentSize = e.target.value;
+            this.currentSize = Number(e.target.value);
             // Update the display to show current size
             brushSizeDisplay.textContent = `${e.target.value}px`;
             console.log('Brush size changed to:', this.currentSize);
@@ -92,35 +576,193 @@ class DrawingApp {
             console.log('Clear button clicked');
             
             // Clear our own canvas immediately
-            this.clearCanvas();
+            // `seen` says what we cleared: anything drawn that we haven't seen yet stays
+            const message = {
+                type: 'clear',
+                data: { seen: this.board.seenClocks(), clock: this.board.tick(), timestamp: Date.now(), clientId: this.clientId }
+            };
+            this.board.apply(message);
+            this.redoStack = [];
+            this.redraw();
             
             // Tell the server to clear everyone's canvas
-            this.sendMessage({ type: 'clear' });
+            this.sendMessage(message);
+        });
+        
+        // ===== LOCK BUTTON (OWNERS ONLY) =====
+        // Locking stops everyone except owners from changing the board
+        lockBtn.addEventListener('click', () => {
+            this.sendMessage({ type: 'lock', locked: !this.locked });
+        });
+        
+        // ===== ADD LAYER BUTTON =====
+        document.getElementById('add-layer-btn').addEventListener('click', () => {
+            this.addLayer();
+        });
+        
+        // ===== REPLAY =====
+        // Replay the live board, or a board exported as JSON
+        document.getElementById('replay-btn').addEventListener('click', () => this.replayRoom());
+        document.getElementById('replay-play').addEventListener('click', () => {
+            if (this.replay.playing) {
+                this.pauseReplay();
+            } else {
+                this.playReplay();
+            }
+        });
+        document.getElementById('replay-slider').addEventListener('input', (e) => {
+            // Dragging the timeline pauses playback
+            this.pauseReplay();
+            this.replay.time = Number(e.target.value);
+            this.renderReplay();
+        });
+        document.getElementById('replay-close').addEventListener('click', () => this.stopReplay());
+        
+        const replayFile = document.getElementById('replay-file');
+        replayFile.addEventListener('change', () => {
+            const file = replayFile.files[0];
+            replayFile.value = ''; // Allow opening the same file again later
+            if (file) {
+                this.replayFile(file);
+            }
+        });
+        
+        // ===== UNDO / REDO BUTTONS =====
+        // Only ever affect our own strokes
+        undoBtn.addEventListener('click', () => this.undo());
+        redoBtn.addEventListener('click', () => this.redo());
+        
+        // ===== DELETE THE SELECTION =====
+        // The button or the Delete (or Backspace) key; Escape selects nothing
+        document.getElementById('delete-btn').addEventListener('click', () => this.editSelection('delete', {}));
+        document.addEventListener('keydown', (e) => {
+            if (this.selection.size === 0 || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                this.editSelection('delete', {});
+            } else if (e.key === 'Escape') {
+                this.clearSelection();
+            }
+        });
+        
+        // ===== KEYBOARD SHORTCUTS =====
+        // Ctrl+Z = undo, Ctrl+Shift+Z (or Ctrl+Y) = redo (Cmd instead of Ctrl on Mac)
+        document.addEventListener('keydown', (e) => {
+            // Let the text box handle its own Ctrl+Z
+            if (!(e.ctrlKey || e.metaKey) || e.target === this.textInput) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
         });
     }
     
+    // ===== LOG IN =====
+    // The server only accepts WebSocket connections with a signed token.
+    // We keep our token in localStorage and ask the development login for a
+    // new one once per visit, and whenever it is about to expire. Sending the
+    // old token while it is still valid keeps us the same user (and owner of
+    // our boards) - so we stay that user as long as we come back before it expires.
+    async getToken() {
+        const saved = localStorage.getItem('authToken');
+        const valid = saved && this.tokenExpiry(saved) > Date.now() + 60 * 1000;
+        if (valid && this.tokenRenewed) {
+            return saved;
+        }
+        
+        const headers = { 'Content-Type': 'application/json' };
+        if (saved && this.tokenExpiry(saved) > Date.now()) {
+            headers.Authorization = `Bearer ${saved}`;
+        }
+        let token;
+        try {
+            const response = await fetch('/auth/dev-login', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ name: this.userName })
+            });
+            if (!response.ok) {
+                throw new Error(`login failed with status ${response.status}`);
+            }
+            ({ token } = await response.json());
+        } catch (error) {
+            // Without the development login, a token we already have still works
+            if (valid) return saved;
+            throw error;
+        }
+        
+        localStorage.setItem('authToken', token);
+        this.tokenRenewed = true;
+        return token;
+    }
+    
+    // When a token expires (in ms), read from its middle part
+    // Tokens are base64url encoded: { sub, name, iat, exp }
+    tokenExpiry(token) {
+        try {
+            const claims = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return claims.exp * 1000;
+        } catch (error) {
+            return 0;
+        }
+    }
+    
     // ===== WEBSOCKET CONNECTION SETUP =====
-    connectWebSocket() {
+    async connectWebSocket() {
+        // Get a login token first - the server refuses connections without one
+        let token;
+        try {
+            token = await this.getToken();
+        } catch (error) {
+            console.error('Could not log in:', error);
+            this.scheduleReconnect();
+            return;
+        }
+        
         // Determine if we should use ws:// or wss:// (secure)
         // Use wss:// if the page is served over HTTPS
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
         
-        // Build the complete WebSocket URL
-        // Example: ws://localhost:3000/ws or wss://myapp.azurewebsites.net/ws
-        const wsUrl = `${protocol}//${window.location.host}/ws`;
+        // Build the complete WebSocket URL, including the room to join and our client ID
+        // Example: ws://localhost:3000/ws?room=lobby&clientId=k3j9x
+        // The server stamps this ID on everything we draw
+        let wsUrl = `${protocol}//${window.location.host}/ws?room=${encodeURIComponent(this.roomName)}` +
+            `&clientId=${encodeURIComponent(this.clientId)}&clientKey=${encodeURIComponent(this.clientKey)}` +
+            `&name=${encodeURIComponent(this.userName)}` +
+            `&session=${this.sessionId}`;
+        
+        // When reconnecting, say where we left off so the server only sends what we missed
+        if (this.epoch !== null) {
+            wsUrl += `&epoch=${encodeURIComponent(this.epoch)}&since=${this.lastSeq}`;
+        }
         
-        // Display the URL in the info panel
+        // Display the URL and room name in the info panel
         document.getElementById('ws-url').textContent = wsUrl;
+        document.getElementById('room-name').textContent = this.roomName;
         
         console.log('Connecting to WebSocket:', wsUrl);
         
         // Create new WebSocket connection
-        this.ws = new WebSocket(wsUrl);
+        // The token is added to the URL here (and not shown in the info panel)
+        this.ws = new WebSocket(`${wsUrl}&token=${encodeURIComponent(token)}`);
+        this.synced = false;
+        let opened = false;
         
         // ===== CONNECTION OPENED =====
         // This runs when we successfully connect to the server
         this.ws.onopen = () => {
             console.log('✅ Connected to WebSocket server');
+            opened = true;
+            
+            // Start from a short delay again next time the connection drops
+            this.reconnectDelay = RECONNECT_MIN_MS;
+            this.reconnectText = null;
             
             // Update the UI to show we're connected
             this.updateConnectionStatus(true);
@@ -132,6 +774,9 @@ class DrawingApp {
         // ===== MESSAGE RECEIVED =====
         // This runs whenever the server sends us a message
         this.ws.onmessage = (event) => {
+            // Any message shows the connection still works (see checkStalled)
+            this.lastMessageAt = Date.now();
+            
             // Parse the JSON message from the server
             const message = JSON.parse(event.data);
             
@@ -141,18 +786,31 @@ class DrawingApp {
         
         // ===== CONNECTION CLOSED =====
         // This runs when the connection is lost
-        this.ws.onclose = () => {
+        this.ws.onclose = (event) => {
             console.log('❌ Disconnected from WebSocket server');
             
+            // Stop sending heartbeat messages
+            this.stopHeartbeat();
+            
+            // An admin removed us - coming straight back would defeat the point
+            if (event.code === KICKED_CLOSE_CODE) {
+                this.reconnectText = 'Removed by an admin';
+                this.updateConnectionStatus(false);
+                this.showNotice('An admin removed you from this board. Reload the page to join again.');
+                return;
+            }
+            
             // Update UI to show we're disconnected
             this.updateConnectionStatus(false);
             
-            // Stop sending heartbeat messages
-            this.stopHeartbeat();
+            // If we never got connected, the server may have refused our token
+            // (e.g. it restarted with a new secret) - log in again next time
+            if (!opened) {
+                localStorage.removeItem('authToken');
+            }
             
-            // Try to reconnect after 3 seconds
-            console.log('Will attempt to reconnect in 3 seconds...');
-            setTimeout(() => this.connectWebSocket(), 3000);
+            // Try to reconnect, waiting a little longer after every failed attempt
+            this.scheduleReconnect();
         };
         
         // ===== CONNECTION ERROR =====
@@ -163,8 +821,132 @@ class DrawingApp {
         };
     }
     
+    // ===== RECONNECT WITH EXPONENTIAL BACKOFF =====
+    // Waits 1s, 2s, 4s, ... (up to 30s) between attempts, so a server that is
+    // down isn't flooded with reconnects. The random part stops all clients
+    // from reconnecting at exactly the same moment after a restart.
+    scheduleReconnect() {
+        const delay = this.reconnectDelay * (0.8 + Math.random() * 0.4);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+        
+        console.log(`Will attempt to reconnect in ${Math.round(delay / 1000)} seconds...`);
+        this.reconnectText = `Reconnecting in ${Math.round(delay / 1000)}s`;
+        this.updateConnectionStatus(false);
+        setTimeout(() => this.connectWebSocket(), delay);
+    }
+    
+    // ===== OUR CLIENT ID =====
+    // The server only lets us keep our client ID with the key it gave us for
+    // it, so nobody else can undo our items by using it. A new ID (the first
+    // time, or if the key no longer works) comes with the whole board, and our
+    // unsent changes go back on it under the new ID (see resumeAfterSync).
+    adoptClientId(clientId, clientKey) {
+        if (clientId !== this.clientId) {
+            this.unacked.concat(this.outbox).forEach(message => {
+                if (message.data && message.data.clientId === this.clientId) {
+                    message.data.clientId = clientId;
+                }
+            });
+            this.clientId = clientId;
+        }
+        this.clientKey = clientKey;
+        sessionStorage.setItem('clientId', clientId);
+        sessionStorage.setItem('clientKey', clientKey);
+    }
+    
+    // ===== CATCH UP AFTER (RE)CONNECTING =====
+    // Called after a 'history' or 'resync' message.
+    // ack: the last of our numbered messages the server has received
+    // rebuilt: true if our board was just replaced by the server's copy
+    resumeAfterSync(ack, rebuilt) {
+        // Everything the server hasn't confirmed still has to be sent, in order
+        this.outbox = this.unacked.concat(this.outbox).filter(message => message.msgSeq > ack);
+        this.unacked = [];
+        
+        // The server's copy doesn't have our unsent changes yet - put them back on our board
+        if (rebuilt) {
+            this.outbox.forEach(message => this.board.apply(message));
+        }
+        this.redraw();
+        
+        this.synced = true;
+        this.flushOutbox(OUTBOX_BURST);
+    }
+    
+    // ===== SEND QUEUED MESSAGES =====
+    // Sends up to `budget` messages now and the rest later, a few at a time
+    flushOutbox(budget) {
+        clearTimeout(this.outboxTimer);
+        this.outboxTimer = null;
+        
+        while (this.outbox.length > 0 && this.synced && this.ws.readyState === WebSocket.OPEN) {
+            if (budget-- <= 0) {
+                this.outboxTimer = setTimeout(() => this.flushOutbox(1), OUTBOX_INTERVAL_MS);
+                return;
+            }
+            this.sendNow(this.takeFromOutbox());
+        }
+        
+        this.updateConnectionStatus(this.ws.readyState === WebSocket.OPEN);
+    }
+    
+    // Take the next queued message, joining consecutive polylines of the same
+    // stroke into one so a long offline stroke doesn't become hundreds of messages
+    takeFromOutbox() {
+        const message = this.outbox.shift();
+        if (message.type !== 'polyline') {
+            return message;
+        }
+        
+        const merged = { ...message, data: { ...message.data, points: message.data.points.slice() } };
+        if (message.data.widths) {
+            merged.data.widths = message.data.widths.slice();
+        }
+        while (this.outbox.length > 0) {
+            const next = this.outbox[0];
+            if (next.type !== 'polyline' || next.data.strokeId !== merged.data.strokeId ||
+                merged.data.points.length + next.data.points.length > 1000) {
+                break;
+            }
+            
+            // Each polyline starts where the previous one ended - don't repeat that point
+            merged.data.points.push(...next.data.points.slice(2));
+            if (merged.data.widths) {
+                merged.data.widths.push(...next.data.widths.slice(1));
+            }
+            merged.msgSeq = next.msgSeq;
+            this.outbox.shift();
+        }
+        return merged;
+    }
+    
+    // ===== GET ROOM NAME FROM PAGE URL =====
+    // Supports both /?room=name and /r/name
+    // The server cleans the name up the same way, so both sides agree
+    getRoomName() {
+        const params = new URLSearchParams(window.location.search);
+        const pathMatch = window.location.pathname.match(/^\/r\/([^/]+)/);
+        const rawName = params.get('room') || (pathMatch ? decodeURIComponent(pathMatch[1]) : '');
+        
+        const cleaned = rawName
+            .trim()
+            .toLowerCase()
+            .replace(/[^a-z0-9_-]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 48);
+        
+        return cleaned || 'lobby';
+    }
+    
     // ===== HANDLE INCOMING MESSAGES =====
     handleMessage(message) {
+        // Board changes are numbered by the server (seq). Skip any we have
+        // already seen, and remember the newest one for the next reconnect.
+        if (message.seq !== undefined) {
+            if (this.lastSeq !== null && message.seq <= this.lastSeq) return;
+            this.lastSeq = message.seq;
+        }
+        
         // Different actions based on message type
         switch(message.type) {
             
@@ -173,25 +955,122 @@ class DrawingApp {
                 // Check if this is our own drawing message
                 // If it is, skip it (we already drew it locally)
                 if (!message.data.clientId || message.data.clientId !== this.clientId) {
-                    // This is from another user, so draw it
-                    this.drawLine(message.data);
+                    // This is from another user, so remember it and draw it
+                    if (this.board.apply(message)) {
+                        this.drawLine(message.data);
+                    }
+                }
+                break;
+            
+            // ===== BATCHED DRAWING MESSAGE =====
+            // Several points of a stroke at once (see queuePoint)
+            // The server doesn't send our own polylines back to us
+            case 'polyline':
+                if (message.data.clientId !== this.clientId && this.board.apply(message)) {
+                    // Strokes are painted in the order they were started, so
+                    // only draw the new points on top if the stroke is on top
+                    // (and not moved or undone since)
+                    const items = this.board.getItems();
+                    const stroke = items[items.length - 1];
+                    const points = message.data.points;
+                    if (stroke && stroke.id === message.data.strokeId && !stroke.undone &&
+                        stroke.points[stroke.points.length - 2] === points[points.length - 2] &&
+                        stroke.points[stroke.points.length - 1] === points[points.length - 1]) {
+                        this.drawStroke(message.data);
+                    } else {
+                        this.scheduleRedraw();
+                    }
+                }
+                break;
+            
+            // ===== SHAPE, TEXT AND IMAGE MESSAGES =====
+            // A finished line, rectangle, ellipse, arrow, piece of text or image
+            case 'shape':
+            case 'text':
+            case 'image':
+                if (message.data.clientId !== this.clientId) {
+                    this.board.apply(message);
+                    this.redraw();
+                }
+                break;
+            
+            // ===== IMPORT MESSAGE =====
+            // Someone replaced the board with an exported JSON file
+            case 'import':
+                console.log('Board replaced by an import');
+                this.board.apply(message);
+                this.redoStack = [];
+                this.redraw();
+                break;
+            
+            // ===== UNDO / REDO MESSAGE =====
+            // Another user hid or restored one of their strokes, shapes or text
+            case 'undo':
+            case 'redo':
+                if (message.data.clientId !== this.clientId && this.board.apply(message)) {
+                    this.redraw();
+                }
+                break;
+            
+            // ===== EDIT MESSAGES =====
+            // Someone moved, scaled, recolored or deleted items (maybe ours)
+            case 'move':
+            case 'scale':
+            case 'recolor':
+            case 'delete':
+                if (message.data.clientId !== this.clientId && this.board.apply(message)) {
+                    this.redraw();
                 }
                 break;
             
             // ===== CLEAR CANVAS MESSAGE =====
             case 'clear':
                 console.log('Received clear command from server');
-                this.clearCanvas();
+                this.board.apply(message);
+                this.redoStack = [];
+                this.redraw();
+                break;
+            
+            // ===== LAYER MESSAGE =====
+            // Someone added, renamed, moved, hid or locked a layer
+            case 'layer':
+                if (message.data.clientId !== this.clientId && this.board.apply(message)) {
+                    this.redraw();
+                }
+                break;
+            
+            // ===== BACKGROUND MESSAGE =====
+            // Someone picked a different background
+            case 'background':
+                if (message.data.clientId !== this.clientId && this.board.apply(message)) {
+                    this.redraw();
+                }
                 break;
             
             // ===== DRAWING HISTORY =====
             // Received when we first connect - contains all previous drawings
+            // as a snapshot of the board (see board-state.js)
             case 'history':
-                console.log('Received drawing history:', message.data.length, 'items');
-                // Draw each item from the history
-                message.data.forEach(drawData => {
-                    this.drawLine(drawData);
-                });
+                console.log('Received drawing history:', message.snapshot.items.length, 'items');
+                // Rebuild the board from the snapshot, then draw it
+                // (resumeAfterSync clears the canvas first, so nothing is drawn twice)
+                this.board = BoardState.fromHistoryMessage(message);
+                this.redoStack = [];
+                this.epoch = message.epoch;
+                this.lastSeq = message.lastSeq;
+                this.resumeAfterSync(message.ack, true);
+                break;
+            
+            // ===== RESYNC AFTER A RECONNECT =====
+            // Only the changes we missed while disconnected
+            case 'resync':
+                console.log('Resyncing:', message.data.length, 'missed changes');
+                message.data.forEach(event => this.handleMessage(event));
+                this.lastSeq = message.lastSeq;
+                
+                // Our unsent changes are still on our board: a clear or import we
+                // missed only removed what its sender had seen (see board-state.js)
+                this.resumeAfterSync(message.ack, false);
                 break;
             
             // ===== USER COUNT UPDATE =====
@@ -201,12 +1080,80 @@ class DrawingApp {
                 console.log('User count updated:', message.count);
                 break;
             
+            // ===== PRESENCE MESSAGES =====
+            // Who we are (our connection ID and assigned color), and the client ID we draw with
+            case 'welcome':
+                this.myId = message.user.id;
+                this.adoptClientId(message.clientId, message.clientKey);
+                break;
+            
+            // ===== PERMISSIONS =====
+            // Our role on this board, and what it lets us do
+            // Sent when we join, when the board is locked or unlocked, and when our role changes
+            case 'permissions':
+                this.role = message.role;
+                this.locked = message.locked;
+                this.permissions = message.can;
+                this.applyPermissions();
+                this.renderUserList();
+                break;
+            
+            // Everyone in the room, sent when we join
+            case 'presence':
+                this.users = new Map(message.users.map(user => [user.id, user]));
+                this.clearRemoteCursors();
+                this.renderUserList();
+                break;
+            
+            // Someone joined or changed their name
+            case 'userJoined':
+            case 'userUpdated':
+                this.users.set(message.user.id, message.user);
+                this.renderUserList();
+                this.updateCursorLabel(message.user);
+                break;
+            
+            // Someone left - remove them from the list and hide their cursor
+            case 'userLeft':
+                this.users.delete(message.id);
+                this.removeRemoteCursor(message.id);
+                this.renderUserList();
+                break;
+            
+            // Another user's mouse moved over the canvas
+            case 'cursor':
+                if (message.hidden) {
+                    this.removeRemoteCursor(message.id);
+                } else {
+                    this.showRemoteCursor(message.id, message.x, message.y);
+                }
+                break;
+            
+            // ===== REJECTED MESSAGE =====
+            // The server refused one of our messages (e.g. an invalid color or size)
+            case 'error':
+                console.warn('Server rejected a message:', message.message);
+                this.showNotice(message.message);
+                break;
+            
+            // ===== THROTTLED =====
+            // We're sending messages faster than the server allows; some were dropped
+            case 'throttled':
+                console.warn('Server is throttling our messages:', message.messageType);
+                this.showNotice(message.messageType === 'clear'
+                    ? 'Slow down: the board can only be cleared every few seconds.'
+                    : 'Slow down: you are sending too fast and some of your drawing was not shared.');
+                break;
+            
             // ===== HEARTBEAT RESPONSE =====
             case 'pong':
                 // Server responded to our ping - connection is healthy
+                // (any message would do, see checkStalled)
+                // It also tells us which of our messages it has, so we can stop keeping them
                 console.log('Heartbeat response received');
+                this.unacked = this.unacked.filter(sent => sent.msgSeq > message.ack);
                 break;
-                
+            
             default:
                 console.log('Unknown message type:', message.type);
         }
@@ -214,137 +1161,1735 @@ class DrawingApp {
     
     // ===== DRAWING FUNCTIONS =====
     
-    // Called when mouse button is pressed or touch starts
+    // Called when the mouse button, a finger or a pen goes down
     startDrawing(e) {
+        // Get the pointer position on the board
+        const pos = this.getMousePos(e);
+        
+        // Viewers (and editors of a locked board) can only watch,
+        // and nobody draws on a replay
+        if (!this.permissions.draw || this.replay) return;
+        
+        // The select tool works on every layer we can see and change, not just the active one
+        if (this.currentTool === 'select') {
+            this.startSelecting(pos, e.shiftKey);
+            return;
+        }
+        
+        // Nothing can be added to a locked layer, and we couldn't see what we draw on a hidden one
+        const layer = this.board.getLayer(this.activeLayer);
+        if (layer.locked || layer.hidden) {
+            this.showNotice(`"${layer.name}" is ${layer.locked ? 'locked' : 'hidden'} - pick another layer to draw on`);
+            return;
+        }
+        
+        // The text tool doesn't drag - it opens a text box where we clicked
+        if (this.currentTool === 'text') {
+            // Stop the click from taking focus away from the text box we're about to show
+            e.preventDefault();
+            this.openTextInput(pos);
+            return;
+        }
+        
         this.isDrawing = true;
         
-        // Get the mouse position relative to the canvas
-        const pos = this.getMousePos(e);
+        // Every gesture is a new stroke with its own ID, so it can be undone as a whole
+        this.currentStrokeId = this.makeItemId();
+        this.strokeClock = this.board.tick();
         
-        // Remember this position for drawing lines
+        // Remember this position for drawing lines (and as the corner of a shape)
+        this.startX = pos.x;
+        this.startY = pos.y;
         this.lastX = pos.x;
         this.lastY = pos.y;
         
+        // Pen and eraser strokes are smoothed; only pens have pressure
+        if (!this.isShapeTool(this.currentTool)) {
+            this.strokePressure = e.pointerType === 'pen';
+            this.strokeTail = null;
+            this.smoother = new StrokeSmoother({
+                step: SMOOTHING_STEP / this.view.zoom,
+                precision: this.pointPrecision()
+            });
+            this.addStrokePoints(this.smoother.addPoint(pos.x, pos.y, this.strokeWidth(e)));
+        }
+        
         console.log('Started drawing at:', pos);
     }
     
-    // Called when mouse moves (only draws if mouse is pressed)
+    // Called when the pointer moves (only draws if it is pressed)
     draw(e) {
-        // Only draw if mouse is pressed
+        // Only draw if the pointer is pressed
         if (!this.isDrawing) return;
         
-        // Get current mouse position
+        // Get current pointer position
         const pos = this.getMousePos(e);
+        this.lastX = pos.x;
+        this.lastY = pos.y;
         
-        // Create drawing data object with all necessary info
-        const drawData = {
-            fromX: this.lastX,           // Starting point X
-            fromY: this.lastY,           // Starting point Y
-            toX: pos.x,                  // Ending point X
-            toY: pos.y,                  // Ending point Y
-            color: this.currentColor,     // Color to draw with
-            size: this.currentSize,       // Brush size
-            timestamp: Date.now(),        // When this was drawn
-            clientId: this.clientId       // Who drew this
-        };
-        
-        // Draw on our own canvas immediately (no delay)
-        this.drawLine(drawData);
+        if (this.selectDrag) {
+            this.dragSelection(pos);
+            return;
+        }
         
-        // Send drawing data to server so others can see it
-        this.sendMessage({ type: 'draw', data: drawData });
+        // Shapes are only previewed while dragging - they're sent when the pointer is released
+        if (this.isShapeTool(this.currentTool)) {
+            this.drawPreview(this.buildShape());
+            return;
+        }
         
-        // Update last position for next line segment
-        this.lastX = pos.x;
-        this.lastY = pos.y;
+        this.addStrokePoints(this.smoother.addPoint(pos.x, pos.y, this.strokeWidth(e)));
+    }
+    
+    // Line width at this pointer event: the brush size, or for a pen, how hard it is pressed
+    strokeWidth(e) {
+        if (!this.strokePressure) {
+            return this.currentSize;
+        }
+        const width = this.currentSize * (PRESSURE_MIN_WIDTH + (PRESSURE_MAX_WIDTH - PRESSURE_MIN_WIDTH) * e.pressure);
+        return Math.min(MAX_STROKE_WIDTH, width);
+    }
+    
+    // Draw, remember and send new smoothed points of the current stroke
+    // ({ points, widths } from the StrokeSmoother)
+    addStrokePoints({ points, widths }) {
+        if (points.length === 0) return;
+        
+        const tail = this.strokeTail;
+        this.strokeTail = {
+            x: points[points.length - 2],
+            y: points[points.length - 1],
+            width: widths[widths.length - 1]
+        };
+        
+        // The first point waits for the second, so every piece joins two points
+        // (a tap gets its start again from finish(), and draws a dot)
+        if (!tail) return;
+        
+        // Start at the end of what's already drawn, so the pieces join up
+        const data = {
+            strokeId: this.currentStrokeId, // Which stroke these points belong to
+            layer: this.activeLayer,        // Which layer it is drawn on
+            tool: this.currentTool,         // 'pen' or 'eraser'
+            color: this.currentColor,
+            size: this.currentSize,
+            points: [tail.x, tail.y, ...points],
+            ...(this.strokePressure ? { widths: [tail.width, ...widths] } : {}),
+            timestamp: Date.now(),          // When (the server replaces it with its own time)
+            author: this.userName,          // Who drew this (the server adds it for everyone else)
+            clientId: this.clientId,        // Which connection drew this
+            clock: this.strokeClock         // Where it goes in the drawing order
+        };
+        
+        // Drawing something new means the old redo steps no longer apply
+        this.redoStack = [];
+        
+        // Draw on our own canvas immediately (no delay)
+        this.board.apply({ type: 'polyline', data });
+        this.drawStroke(data);
+        
+        // Queue the points - they are sent with the others from this animation frame
+        this.queuePoints(data);
     }
     
-    // Called when mouse button is released
+    // ===== BATCHING POINTS =====
+    // A mouse can report 100+ moves per second, but the screen only updates
+    // about 60 times per second. Points are collected until the next
+    // animation frame and then sent as one 'polyline' message:
+    //   { type: 'polyline', data: { strokeId, layer, tool, color, size, points: [x0, y0, x1, y1, ...], widths, clock } }
+    // `widths` (one per point) is only sent for strokes drawn with a pen.
+    // Each batch starts at the point where the previous one ended, so the
+    // pieces join up on other screens.
+    queuePoints(data) {
+        if (!this.pendingPolyline) {
+            this.pendingPolyline = {
+                strokeId: data.strokeId,
+                layer: data.layer,
+                tool: data.tool,
+                color: data.color,
+                size: data.size,
+                points: data.points.slice(0, 2),
+                ...(data.widths ? { widths: data.widths.slice(0, 1) } : {}),
+                clientId: data.clientId,
+                clock: data.clock
+            };
+        }
+        this.pendingPolyline.points.push(...data.points.slice(2));
+        if (data.widths) {
+            this.pendingPolyline.widths.push(...data.widths.slice(1));
+        }
+        
+        // Don't let a batch grow without limit (animation frames pause in background tabs)
+        if (this.pendingPolyline.points.length >= MAX_BATCH_POINTS * 2) {
+            this.flushPoints();
+        } else if (!this.flushFrame) {
+            this.flushFrame = requestAnimationFrame(() => this.flushPoints());
+        }
+    }
+    
+    // Send the queued points (also called when the stroke ends)
+    flushPoints() {
+        if (this.flushFrame) {
+            cancelAnimationFrame(this.flushFrame);
+            this.flushFrame = null;
+        }
+        
+        if (this.pendingPolyline) {
+            this.sendMessage({ type: 'polyline', data: this.pendingPolyline });
+            this.pendingPolyline = null;
+        }
+    }
+    
+    // Called when the pointer is released
     stopDrawing() {
+        this.drawingPointerId = null;
+        this.drawingPointerType = null;
+        
         if (this.isDrawing) {
             console.log('Stopped drawing');
             this.isDrawing = false;
+            
+            if (this.selectDrag) {
+                this.finishSelecting();
+                return;
+            }
+            
+            // The smoothed line trails the pointer a little - draw the rest of it
+            if (this.smoother) {
+                this.addStrokePoints(this.smoother.finish());
+                this.smoother = null;
+            }
+            
+            // Send the last points of the stroke straight away
+            this.flushPoints();
+            
+            // A dragged shape becomes real when the pointer is released
+            if (this.isShapeTool(this.currentTool)) {
+                this.clearPreview();
+                
+                // Ignore clicks that didn't drag at all
+                if (this.lastX !== this.startX || this.lastY !== this.startY) {
+                    this.addItem('shape', this.buildShape());
+                }
+            }
+        }
+    }
+    
+    // ===== SHAPES AND TEXT =====
+    
+    // Line, rectangle, ellipse and arrow are all defined by two corners
+    isShapeTool(tool) {
+        return ['line', 'rect', 'ellipse', 'arrow'].includes(tool);
+    }
+    
+    // Unique ID for a new stroke, shape or text
+    // Date.now() keeps IDs unique even after a reload resets the counter
+    makeItemId() {
+        return `${this.clientId}-${Date.now().toString(36)}-${this.itemCount++}`;
+    }
+    
+    // The shape being dragged right now, in the same form as a 'shape' message
+    buildShape() {
+        return {
+            id: this.currentStrokeId,
+            layer: this.activeLayer,
+            shape: this.currentTool,       // 'line', 'rect', 'ellipse' or 'arrow'
+            x1: this.startX,
+            y1: this.startY,
+            x2: this.lastX,
+            y2: this.lastY,
+            color: this.currentColor,
+            size: this.currentSize,
+            timestamp: Date.now(),
+            author: this.userName,
+            clientId: this.clientId
+        };
+    }
+    
+    // Add a finished shape or text to our board, draw it and send it to everyone
+    addItem(type, data) {
+        const message = { type, data: { ...data, clock: this.board.tick() } };
+        this.redoStack = [];
+        this.board.apply(message);
+        this.drawItem({ kind: type, ...data });
+        this.sendMessage(message);
+    }
+    
+    // Show the text box at the clicked position
+    openTextInput(pos) {
+        // Place any text that's still being typed first
+        this.commitText();
+        
+        this.textPos = pos;
+        this.textInput.value = '';
+        this.textInput.style.color = this.currentColor;
+        this.textInput.hidden = false;
+        this.positionTextInput();
+        
+        // Focus after the mousedown finishes, otherwise the canvas takes focus back
+        setTimeout(() => this.textInput.focus(), 0);
+    }
+    
+    // Put the text box over the text's world position, at the current zoom
+    positionTextInput() {
+        const screen = this.worldToScreen(this.textPos);
+        this.textInput.style.left = `${screen.x}px`;
+        this.textInput.style.top = `${screen.y}px`;
+        this.textInput.style.font = this.textFont(this.currentSize, this.view.zoom);
+    }
+    
+    // Place the typed text on the board (if there is any)
+    commitText() {
+        if (this.textInput.hidden) return;
+        
+        const text = this.textInput.value.trim();
+        this.closeTextInput();
+        
+        if (text) {
+            this.addItem('text', {
+                id: this.makeItemId(),
+                layer: this.activeLayer,
+                x: this.textPos.x,
+                y: this.textPos.y,
+                text,
+                color: this.currentColor,
+                size: this.currentSize,
+                timestamp: Date.now(),
+                author: this.userName,
+                clientId: this.clientId
+            });
+        }
+    }
+    
+    // Hide the text box without placing anything
+    closeTextInput() {
+        this.textInput.hidden = true;
+    }
+    
+    // ===== IMAGES =====
+    // Upload an image file to the server (POST /uploads), then put it on the
+    // board centered on `at` (world coordinates; the middle of the view if not
+    // given), scaled down to fit in the view
+    async uploadImage(file, at) {
+        if (!this.permissions.draw) return;
+        if (!IMAGE_TYPES.includes(file.type)) {
+            this.showNotice('Only PNG, JPEG, GIF and WebP images can be added');
+            return;
         }
+        
+        let upload;
+        let size;
+        try {
+            size = await this.imageSize(file);
+            const response = await fetch(`/uploads?room=${encodeURIComponent(this.roomName)}`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${await this.getToken()}`, 'Content-Type': file.type },
+                body: file
+            });
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+            upload = await response.json();
+        } catch (error) {
+            this.showNotice(`Could not add the image: ${error.message}`);
+            return;
+        }
+        
+        const view = this.viewBounds();
+        const center = at || { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+        const fit = Math.min(1, view.width * IMAGE_VIEW_FRACTION / size.width, view.height * IMAGE_VIEW_FRACTION / size.height);
+        const width = Math.max(1, Math.round(size.width * fit));
+        const height = Math.max(1, Math.round(size.height * fit));
+        
+        this.addItem('image', {
+            id: this.makeItemId(),
+            layer: this.activeLayer,
+            url: upload.url,
+            x: Math.round(center.x - width / 2),
+            y: Math.round(center.y - height / 2),
+            width,
+            height,
+            timestamp: Date.now(),
+            author: this.userName,
+            clientId: this.clientId
+        });
+    }
+    
+    // An image file's size in pixels: { width, height }
+    imageSize(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve({ width: image.naturalWidth, height: image.naturalHeight });
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('the file is not an image the browser can show'));
+            };
+            image.src = url;
+        });
+    }
+    
+    // ===== BACKGROUND =====
+    // Change the board's background for everyone: 'blank', 'grid', 'dots' or 'kanban'
+    // The latest change wins, like with layers (see board-state.js)
+    setBackground(background) {
+        if (!this.permissions.draw) return;
+        
+        const message = {
+            type: 'background',
+            data: { background, clientId: this.clientId, timestamp: Date.now(), clock: this.board.tick() }
+        };
+        if (this.board.apply(message)) {
+            this.redraw();
+            this.sendMessage(message);
+        }
+    }
+    
+    // Font used for text of a given brush size (size 3 -> 18px)
+    // The size comes from board-export.js so exported SVGs use the same font size
+    // `zoom` scales it for things drawn in screen pixels (the text box)
+    textFont(size, zoom = 1) {
+        return `${BoardExport.textFontSize(size) * zoom}px Arial, sans-serif`;
     }
     
     // ===== ACTUAL DRAWING ON CANVAS =====
     // This function does the actual drawing on the canvas
-    drawLine(data) {
+    drawLine(data, ctx = this.layerContext(data.layer)) {
+        // The eraser removes pixels instead of painting over them
+        ctx.globalCompositeOperation = data.tool === 'eraser' ? 'destination-out' : 'source-over';
+        
         // Start a new drawing path
-        this.ctx.beginPath();
+        ctx.beginPath();
         
         // Move to starting position (don't draw yet)
-        this.ctx.moveTo(data.fromX, data.fromY);
+        ctx.moveTo(data.fromX, data.fromY);
         
         // Draw line to ending position
-        this.ctx.lineTo(data.toX, data.toY);
+        ctx.lineTo(data.toX, data.toY);
         
         // Set drawing properties
-        this.ctx.strokeStyle = data.color;  // Line color
-        this.ctx.lineWidth = data.size;     // Line thickness
-        this.ctx.lineCap = 'round';         // Round line ends (smoother)
+        ctx.strokeStyle = data.color;  // Line color
+        ctx.lineWidth = data.size;     // Line thickness
+        ctx.lineCap = 'round';         // Round line ends (smoother)
         
         // Actually draw the line on the canvas
-        this.ctx.stroke();
+        ctx.stroke();
+        
+        // Go back to normal painting
+        ctx.globalCompositeOperation = 'source-over';
+    }
+    
+    // ===== DRAW ANY BOARD ITEM =====
+    // Strokes, shapes, text and images all go through here, so every client renders them the same way
+    drawItem(item, ctx = this.layerContext(item.layer)) {
+        switch (item.kind) {
+            case 'stroke':
+                this.drawStroke(item, ctx);
+                break;
+            case 'shape':
+                this.drawShape(item, ctx);
+                break;
+            case 'text':
+                this.drawText(item, ctx);
+                break;
+            case 'image':
+                this.drawImage(item, ctx);
+                break;
+        }
+    }
+    
+    // ===== DRAW A WHOLE STROKE =====
+    // A stroke is many connected segments joined together:
+    // { tool, color, size, points: [x0, y0, x1, y1, ...], widths }
+    // Round caps and joins make it look the same as drawing each segment separately
+    drawStroke(stroke, ctx = this.layerContext(stroke.layer)) {
+        ctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+        ctx.strokeStyle = stroke.color;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        
+        const { points, widths } = stroke;
+        if (widths) {
+            // Drawn with pen pressure: one path can only have one width, so every
+            // segment is drawn on its own, as wide as the average of its two ends
+            for (let i = 2; i < points.length; i += 2) {
+                ctx.beginPath();
+                ctx.moveTo(points[i - 2], points[i - 1]);
+                ctx.lineTo(points[i], points[i + 1]);
+                ctx.lineWidth = (widths[i / 2 - 1] + widths[i / 2]) / 2;
+                ctx.stroke();
+            }
+        } else {
+            ctx.beginPath();
+            
+            // Start at the first point, then connect every following point
+            ctx.moveTo(points[0], points[1]);
+            for (let i = 2; i < points.length; i += 2) {
+                ctx.lineTo(points[i], points[i + 1]);
+            }
+            
+            ctx.lineWidth = stroke.size;
+            ctx.stroke();
+        }
+        
+        ctx.globalCompositeOperation = 'source-over';
+    }
+    
+    // ===== DRAW A SHAPE =====
+    // { shape: 'line' | 'rect' | 'ellipse' | 'arrow', x1, y1, x2, y2, color, size }
+    drawShape(shape, ctx = this.layerContext(shape.layer)) {
+        const { x1, y1, x2, y2 } = shape;
+        
+        ctx.beginPath();
+        ctx.strokeStyle = shape.color;
+        ctx.lineWidth = shape.size;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        
+        switch (shape.shape) {
+            case 'line':
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+                break;
+            
+            case 'rect':
+                ctx.rect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+                break;
+            
+            case 'ellipse':
+                // The two corners are the ellipse's bounding box
+                ctx.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, 0, Math.PI * 2);
+                break;
+            
+            case 'arrow': {
+                // A line with two short lines at the end (same geometry as the exports)
+                const [left, right] = BoardExport.arrowHeadPoints(shape);
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+                ctx.moveTo(left[0], left[1]);
+                ctx.lineTo(x2, y2);
+                ctx.lineTo(right[0], right[1]);
+                break;
+            }
+        }
+        
+        ctx.stroke();
+    }
+    
+    // ===== DRAW TEXT =====
+    // { x, y, text, color, size } - (x, y) is the top-left corner of the text
+    drawText(item, ctx = this.layerContext(item.layer)) {
+        ctx.font = this.textFont(item.size);
+        ctx.fillStyle = item.color;
+        ctx.textBaseline = 'top';
+        ctx.fillText(item.text, item.x, item.y);
+    }
+    
+    // ===== DRAW AN IMAGE =====
+    // { url, x, y, width, height } - (x, y) is the top-left corner
+    // Until the picture has loaded (or if it can't be), a gray box shows where it goes
+    drawImage(item, ctx = this.layerContext(item.layer)) {
+        const image = this.imageFor(item.url);
+        if (image) {
+            ctx.drawImage(image, item.x, item.y, item.width, item.height);
+            return;
+        }
+        
+        ctx.fillStyle = '#e5e7eb';
+        ctx.fillRect(item.x, item.y, item.width, item.height);
+        ctx.strokeStyle = '#9ca3af';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(item.x, item.y, item.width, item.height);
+    }
+    
+    // The picture for an image URL, or null while it is still loading
+    // The first call starts loading it; the board is redrawn once it has loaded
+    imageFor(url) {
+        let entry = this.images.get(url);
+        if (!entry) {
+            entry = { image: new Image(), loaded: false };
+            entry.image.onload = () => {
+                entry.loaded = true;
+                this.scheduleRedraw();
+            };
+            entry.image.src = url;
+            this.images.set(url, entry);
+        }
+        return entry.loaded ? entry.image : null;
+    }
+    
+    // ===== DRAW THE BACKGROUND =====
+    // The board's grid, dots or kanban columns inside `bounds` (world
+    // coordinates), seen at `zoom` - the same pattern every export draws
+    // (see backgroundPattern in board-export.js)
+    drawBackground(ctx, background, bounds, zoom) {
+        const pattern = BoardExport.backgroundPattern(background, bounds, zoom);
+        
+        if (pattern.lines.length > 0) {
+            ctx.beginPath();
+            pattern.lines.forEach(([x1, y1, x2, y2]) => {
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+            });
+            ctx.strokeStyle = pattern.color;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+        
+        if (pattern.dots.length > 0) {
+            ctx.beginPath();
+            pattern.dots.forEach(([x, y]) => {
+                ctx.moveTo(x + pattern.dotRadius, y);
+                ctx.arc(x, y, pattern.dotRadius, 0, Math.PI * 2);
+            });
+            ctx.fillStyle = pattern.color;
+            ctx.fill();
+        }
+        
+        ctx.font = `bold ${pattern.fontSize}px Arial, sans-serif`;
+        ctx.fillStyle = pattern.textColor;
+        ctx.textBaseline = 'top';
+        pattern.labels.forEach(label => ctx.fillText(label.text, label.x, label.y));
+    }
+    
+    // The part of the board on screen, in world coordinates: { x, y, width, height }
+    viewBounds() {
+        return {
+            x: this.view.x,
+            y: this.view.y,
+            width: this.canvas.clientWidth / this.view.zoom,
+            height: this.canvas.clientHeight / this.view.zoom
+        };
+    }
+    
+    // ===== PREVIEW CANVAS =====
+    // Shows a shape while it's being dragged, without touching the real drawing
+    drawPreview(shape) {
+        this.clearPreview();
+        this.drawShape(shape, this.previewCtx);
+    }
+    
+    clearPreview() {
+        this.resetContext(this.previewCtx);
+    }
+    
+    // ===== REDRAW THE WHOLE BOARD =====
+    // Draws the background, then clears every layer's canvas and draws every item that isn't undone
+    redraw() {
+        this.updateLayers();
+        
+        // The background goes on the drawing canvas, under every layer
+        this.resetContext(this.ctx);
+        this.drawBackground(this.ctx, this.board.getBackground(), this.viewBounds(), this.view.zoom);
+        document.getElementById('background-select').value = this.board.getBackground();
+        
+        // Items being moved or scaled are drawn on the preview canvas instead (see drawSelection)
+        const dragging = this.selectDrag && this.selectDrag.mode !== 'lasso' ? this.selection : new Set();
+        
+        // Every layer is drawn on its own canvas (hidden ones too, so showing them is instant)
+        BoardState.itemsByLayer(this.board.getItems(), this.board.getLayers()).forEach(({ layer, items }) => {
+            const ctx = this.layerContext(layer.id);
+            this.resetContext(ctx);
+            items.forEach(item => {
+                if (!item.undone && !dragging.has(item.id)) {
+                    this.drawItem(item, ctx);
+                }
+            });
+        });
+        
+        this.drawSelection();
+        
+        // The replay moves and zooms with the view too
+        if (this.replay) {
+            this.renderReplay();
+        }
+    }
+    
+    // ===== REPLAY =====
+    // Plays back `history` (the live board's, or an exported file's items) on
+    // the replay canvas, using the times recorded on each item and change
+    // (board-replay.js)
+    startReplay(history, layers, background, title) {
+        if (history.length === 0) {
+            this.showNotice('Nothing to replay yet - the board is empty');
+            return;
+        }
+        
+        // Stop drawing and close the text box - the live board is covered up
+        this.stopDrawing();
+        this.closeTextInput();
+        this.pauseReplay();
+        
+        // The history is a copy, so changes to the live board don't reach the replay
+        const timeline = BoardReplay.buildTimeline(history);
+        this.replay = { history, layers: JSON.parse(JSON.stringify(layers)), timeline, background, time: timeline.start, playing: false, lastFrame: null, hidden: new Set(), title };
+        
+        const slider = document.getElementById('replay-slider');
+        slider.min = timeline.start;
+        slider.max = timeline.end;
+        
+        document.getElementById('replay-title').textContent = title;
+        this.replayCanvas.hidden = false;
+        this.canvas.closest('.canvas-wrap').classList.add('replaying');
+        document.getElementById('replay-bar').hidden = false;
+        this.renderContributors();
+        this.renderReplay();
+        this.playReplay();
+    }
+    
+    // Back to the live board (which has been kept up to date all along)
+    stopReplay() {
+        this.pauseReplay();
+        this.replay = null;
+        this.replayCanvas.hidden = true;
+        this.canvas.closest('.canvas-wrap').classList.remove('replaying');
+        document.getElementById('replay-bar').hidden = true;
+    }
+    
+    // Replay the live board. The server sends its history, which also has
+    // the items clears removed (a page only has those it saw cleared itself)
+    async replayRoom() {
+        let replay;
+        try {
+            const response = await fetch(`/replay.json?room=${encodeURIComponent(this.roomName)}`, {
+                headers: { 'Authorization': `Bearer ${await this.getToken()}` }
+            });
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+            replay = await response.json();
+        } catch (error) {
+            // Offline: replay what this page has
+            replay = { history: this.board.getHistory(), layers: this.board.getLayers(), background: this.board.getBackground() };
+        }
+        this.startReplay(replay.history, replay.layers, replay.background, `Room ${this.roomName}`);
+    }
+    
+    // Replay a board exported with Export > JSON
+    async replayFile(file) {
+        let doc;
+        try {
+            doc = BoardExport.parseJson(JSON.parse(await file.text()));
+        } catch (error) {
+            alert(`Could not open ${file.name}: ${error.message}`);
+            return;
+        }
+        
+        // Exports from before boards had layers are all on the default layer
+        const board = new BoardState();
+        if (doc.layers) {
+            board.setLayers(doc.layers);
+        }
+        // The file only has the board as it is now: no cleared items, no earlier versions
+        this.startReplay(BoardReplay.historyFromItems(doc.items), board.getLayers(), doc.background || 'blank', file.name);
+    }
+    
+    playReplay() {
+        if (!this.replay || this.replay.playing) return;
+        
+        // Play from the start again once the end is reached
+        if (this.replay.time >= this.replay.timeline.end) {
+            this.replay.time = this.replay.timeline.start;
+        }
+        this.replay.playing = true;
+        this.replay.lastFrame = null;
+        document.getElementById('replay-play').textContent = 'Pause';
+        this.replayFrame = requestAnimationFrame((now) => this.replayTick(now));
+    }
+    
+    pauseReplay() {
+        if (this.replayFrame) {
+            cancelAnimationFrame(this.replayFrame);
+            this.replayFrame = null;
+        }
+        if (this.replay) {
+            this.replay.playing = false;
+        }
+        document.getElementById('replay-play').textContent = 'Play';
+    }
+    
+    // One animation frame of playback: move the board's clock forward by the
+    // time since the last frame, times the chosen speed
+    replayTick(now) {
+        const replay = this.replay;
+        const speed = Number(document.getElementById('replay-speed').value);
+        
+        if (replay.lastFrame !== null) {
+            const time = replay.time + (now - replay.lastFrame) * speed;
+            replay.time = Math.min(replay.timeline.end, BoardReplay.skipPause(replay.timeline, time, MAX_REPLAY_PAUSE_MS));
+        }
+        replay.lastFrame = now;
+        this.renderReplay();
+        
+        if (replay.time >= replay.timeline.end) {
+            this.pauseReplay();
+        } else {
+            this.replayFrame = requestAnimationFrame((next) => this.replayTick(next));
+        }
+    }
+    
+    // Draw the board as it was at replay.time, and update the timeline
+    renderReplay() {
+        const replay = this.replay;
+        const shown = replay.hidden.size > 0
+            ? new Set(replay.timeline.contributors.map(c => c.key).filter(key => !replay.hidden.has(key)))
+            : null;
+        
+        this.resetContext(this.replayCtx);
+        this.drawBackground(this.replayCtx, replay.background, this.viewBounds(), this.view.zoom);
+        this.drawLayered(BoardReplay.itemsAt(replay.history, replay.time, shown), replay.layers, this.replayCtx);
+        
+        document.getElementById('replay-slider').value = replay.time;
+        
+        // Elapsed / total, and when that moment was (if the items have times)
+        const { start, end } = replay.timeline;
+        let label = `${this.formatDuration(replay.time - start)} / ${this.formatDuration(end - start)}`;
+        if (start > 0) {
+            label += ` · ${new Date(replay.time).toLocaleString()}`;
+        }
+        document.getElementById('replay-time').textContent = label;
+    }
+    
+    // "Who drew this": a checkbox per contributor, to show or hide their items
+    renderContributors() {
+        const list = document.getElementById('replay-contributors');
+        list.innerHTML = '';
+        
+        this.replay.timeline.contributors.forEach(contributor => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.replay.hidden.delete(contributor.key);
+                } else {
+                    this.replay.hidden.add(contributor.key);
+                }
+                this.renderReplay();
+            });
+            
+            // textContent, not innerHTML: names are typed by users
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${contributor.name} (${contributor.count})`));
+            list.appendChild(label);
+        });
+    }
+    
+    // 75000 -> "1:15", 3725000 -> "1:02:05"
+    formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds / 60) % 60;
+        const secs = String(seconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+    
+    // ===== UNDO / REDO OUR OWN STROKES =====
+    // Undo hides our most recent visible stroke, shape or text on every client
+    undo() {
+        if (!this.permissions.draw) return;
+        
+        const items = this.board.getItems();
+        
+        // Walk backwards to find our last item that is still visible
+        for (let i = items.length - 1; i >= 0; i--) {
+            const item = items[i];
+            if (item.clientId === this.clientId && !item.undone && !this.board.getLayer(item.layer).locked) {
+                this.sendToggle('undo', item.id);
+                this.redoStack.push(item.id);
+                return;
+            }
+        }
+        console.log('Nothing to undo');
+    }
+    
+    // Redo restores the item we undid most recently
+    redo() {
+        if (!this.permissions.draw) return;
+        
+        const strokeId = this.redoStack.pop();
+        if (strokeId) {
+            this.sendToggle('redo', strokeId);
+        } else {
+            console.log('Nothing to redo');
+        }
+    }
+    
+    // Apply an undo/redo locally, redraw, and tell everyone else
+    sendToggle(type, strokeId) {
+        const message = { type, data: { strokeId, timestamp: Date.now(), clientId: this.clientId, clock: this.board.tick() } };
+        
+        if (this.board.apply(message)) {
+            this.redraw();
+            this.sendMessage(message);
+        }
+    }
+    
+    // ===== SELECT, MOVE, SCALE, RECOLOR AND DELETE =====
+    // Works on anyone's items, not just our own. Edits are sent as 'move',
+    // 'scale', 'recolor' and 'delete' messages listing the items' IDs, and
+    // every client and the server apply them with the same rules (board-state.js).
+    
+    // Items the select tool can pick: visible, and on a layer that isn't
+    // locked. Eraser strokes can't be seen, so they can't be picked either.
+    selectableItems() {
+        return BoardState.visibleItems(this.board.getItems(), this.board.getLayers())
+            .filter(item => item.tool !== 'eraser' && !this.board.getLayer(item.layer).locked);
+    }
+    
+    // The selected items, in painting order
+    // Items someone else deleted (or locked or hid) since are dropped from the selection
+    selectedItems() {
+        const items = this.selectableItems().filter(item => this.selection.has(item.id));
+        this.selection = new Set(items.map(item => item.id));
+        return items;
+    }
+    
+    clearSelection() {
+        this.selection.clear();
+        this.selectDrag = null;
+        this.clearPreview();
+        document.getElementById('delete-btn').disabled = true;
+    }
+    
+    // Pointer down with the select tool. What happens depends on where:
+    //   the handle at the corner of the selection box - scale the selection
+    //   an item - select it (shift: add it, or take it out again) and drag it
+    //   an empty spot - start a lasso
+    startSelecting(pos, extend) {
+        const bounds = BoardSelection.selectionBounds(this.selectedItems());
+        if (bounds && this.onScaleHandle(pos, bounds)) {
+            // Scaled around the opposite (top-left) corner, which stays put
+            this.selectDrag = { mode: 'scale', start: pos, current: pos, origin: { x: bounds.x, y: bounds.y } };
+        } else {
+            const hit = BoardSelection.itemAt(this.selectableItems(), pos.x, pos.y, SELECT_TOLERANCE / this.view.zoom);
+            if (hit && extend && this.selection.has(hit.id)) {
+                this.selection.delete(hit.id);
+                this.drawSelection();
+                return;
+            }
+            
+            if (!extend && !(hit && this.selection.has(hit.id))) {
+                this.selection.clear();
+            }
+            if (hit) {
+                this.selection.add(hit.id);
+                this.selectDrag = { mode: 'move', start: pos, current: pos };
+            } else {
+                this.selectDrag = { mode: 'lasso', points: [pos.x, pos.y] };
+            }
+        }
+        
+        this.isDrawing = true;
+        
+        // Items being moved or scaled come off their layers (see redraw)
+        if (this.selectDrag.mode === 'lasso') {
+            this.drawSelection();
+        } else {
+            this.redraw();
+        }
     }
     
-    // ===== CLEAR THE CANVAS =====
-    clearCanvas() {
-        // Clear the entire canvas (make it blank)
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        console.log('Canvas cleared');
+    // Is `pos` on the scale handle of the selection box `bounds`?
+    // The handle can be grabbed a little outside of where it is drawn
+    onScaleHandle(pos, bounds) {
+        const reach = SCALE_HANDLE_SIZE / this.view.zoom;
+        return Math.abs(pos.x - (bounds.x + bounds.width)) <= reach &&
+            Math.abs(pos.y - (bounds.y + bounds.height)) <= reach;
     }
     
-    // ===== GET MOUSE POSITION RELATIVE TO CANVAS =====
-    // Converts mouse coordinates to canvas coordinates
+    dragSelection(pos) {
+        if (this.selectDrag.mode === 'lasso') {
+            this.selectDrag.points.push(pos.x, pos.y);
+        } else {
+            this.selectDrag.current = pos;
+        }
+        this.drawSelection();
+    }
+    
+    // Pointer up: select what the lasso went around, or send the move or scale
+    finishSelecting() {
+        const drag = this.selectDrag;
+        this.selectDrag = null;
+        
+        // Either way, the dragged items are drawn on their layers again
+        if (drag.mode !== 'lasso') {
+            const edit = this.dragEdit(drag);
+            if (edit) {
+                this.editSelection(edit.type, edit.data);
+            } else {
+                this.redraw();
+            }
+            return;
+        }
+        
+        BoardSelection.itemsInLasso(this.selectableItems(), drag.points).forEach(item => this.selection.add(item.id));
+        if (this.selection.size > MAX_SELECTION) {
+            this.showNotice(`At most ${MAX_SELECTION} items can be selected at once`);
+            this.selection = new Set([...this.selection].slice(0, MAX_SELECTION));
+        }
+        this.drawSelection();
+    }
+    
+    // The edit a move or scale drag makes: { type, data }, or null if it changes nothing
+    dragEdit(drag) {
+        const { start, current } = drag;
+        const precision = this.pointPrecision();
+        
+        if (drag.mode === 'move') {
+            const dx = Math.round((current.x - start.x) * precision) / precision;
+            const dy = Math.round((current.y - start.y) * precision) / precision;
+            return dx || dy ? { type: 'move', data: { dx, dy } } : null;
+        }
+        
+        // How much further from the fixed corner the pointer is now than where it started
+        const { origin } = drag;
+        const ratio = Math.hypot(current.x - origin.x, current.y - origin.y) /
+            Math.max(Math.hypot(start.x - origin.x, start.y - origin.y), 1e-6);
+        const factor = Math.round(Math.min(MAX_SELECT_SCALE, Math.max(MIN_SELECT_SCALE, ratio)) * 1000) / 1000;
+        return factor !== 1 ? { type: 'scale', data: { x: origin.x, y: origin.y, factor } } : null;
+    }
+    
+    // Change the selected items here straight away, then tell everyone else
+    // type: 'move', 'scale', 'recolor' or 'delete'
+    editSelection(type, fields) {
+        const ids = this.selectedItems().map(item => item.id);
+        if (!this.permissions.draw || ids.length === 0) return;
+        
+        const message = { type, data: { ids, ...fields, timestamp: Date.now(), clientId: this.clientId, clock: this.board.tick() } };
+        if (this.board.apply(message)) {
+            this.sendMessage(message);
+        }
+        this.redraw();
+    }
+    
+    // The selection box (with the scale handle at its bottom-right corner) or
+    // the lasso, on the preview canvas. Items being moved or scaled are drawn
+    // here too, where they would end up, until the pointer is released.
+    drawSelection() {
+        if (this.currentTool !== 'select') return;
+        
+        const ctx = this.previewCtx;
+        this.clearPreview();
+        
+        let items = this.selectedItems();
+        document.getElementById('delete-btn').disabled = items.length === 0;
+        
+        const drag = this.selectDrag;
+        if (drag && drag.mode !== 'lasso') {
+            const edit = this.dragEdit(drag);
+            if (edit) {
+                items = items.map(item => BoardState.editedCopy(item, edit.type, edit.data));
+            }
+            items.forEach(item => this.drawItem(item, ctx));
+        }
+        
+        // Lines one screen pixel wide, whatever the zoom
+        const pixel = 1 / this.view.zoom;
+        ctx.strokeStyle = '#1a73e8';
+        ctx.fillStyle = '#1a73e8';
+        ctx.lineWidth = pixel;
+        ctx.setLineDash([4 * pixel, 4 * pixel]);
+        
+        if (drag && drag.mode === 'lasso') {
+            ctx.beginPath();
+            ctx.moveTo(drag.points[0], drag.points[1]);
+            for (let i = 2; i < drag.points.length; i += 2) {
+                ctx.lineTo(drag.points[i], drag.points[i + 1]);
+            }
+            ctx.stroke();
+        }
+        
+        const bounds = BoardSelection.selectionBounds(items);
+        if (bounds) {
+            ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+            const handle = SCALE_HANDLE_SIZE * pixel;
+            ctx.fillRect(bounds.x + bounds.width - handle / 2, bounds.y + bounds.height - handle / 2, handle, handle);
+        }
+        ctx.setLineDash([]);
+    }
+    
+    // ===== EXPORT THE BOARD =====
+    // png: everything drawn (not just what's on screen), on the board's background
+    // svg: rebuilt from the board's strokes, shapes, text and images (images
+    //      are put inside the file, so it can be opened anywhere)
+    // json: every item and layer on the board and the background, can be imported again
+    // Hidden layers are left out of pictures, like on screen
+    async exportBoard(format) {
+        const fileName = `${this.roomName}.${format}`;
+        
+        switch (format) {
+            case 'png': {
+                // Draw the area around everything on the board at 100% zoom
+                // (smaller if it's huge), the same area the SVG export covers
+                const items = BoardState.visibleItems(this.board.getItems(), this.board.getLayers());
+                const bounds = BoardExport.boardBounds(items);
+                const scale = BoardExport.exportScale(bounds);
+                const drawing = document.createElement('canvas');
+                drawing.width = Math.max(1, Math.ceil(bounds.width * scale));
+                drawing.height = Math.max(1, Math.ceil(bounds.height * scale));
+                const drawingCtx = drawing.getContext('2d');
+                drawingCtx.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale);
+                this.drawLayered(items, this.board.getLayers(), drawingCtx);
+                
+                // The drawing is transparent where nothing (or the eraser) was drawn,
+                // so copy it onto a white canvas with the background on it
+                const exportCanvas = document.createElement('canvas');
+                exportCanvas.width = drawing.width;
+                exportCanvas.height = drawing.height;
+                const exportCtx = exportCanvas.getContext('2d');
+                exportCtx.fillStyle = '#ffffff';
+                exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+                exportCtx.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale);
+                this.drawBackground(exportCtx, this.board.getBackground(), bounds, scale);
+                exportCtx.setTransform(1, 0, 0, 1, 0, 0);
+                exportCtx.drawImage(drawing, 0, 0);
+                exportCanvas.toBlob(blob => this.downloadFile(blob, fileName), 'image/png');
+                break;
+            }
+            
+            case 'svg': {
+                const items = BoardState.visibleItems(this.board.getItems(), this.board.getLayers());
+                const dataUrls = await this.imageDataUrls(items);
+                const svg = BoardExport.toSvg(items, {
+                    pattern: this.board.getBackground(),
+                    imageHref: url => dataUrls.get(url) || url
+                });
+                this.downloadFile(new Blob([svg], { type: 'image/svg+xml' }), fileName);
+                break;
+            }
+            
+            case 'json': {
+                const doc = BoardExport.toJson(this.board.getItems(), {
+                    room: this.roomName,
+                    layers: this.board.getLayers(),
+                    background: this.board.getBackground()
+                });
+                this.downloadFile(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), fileName);
+                break;
+            }
+        }
+    }
+    
+    // The pictures of the image items in `items` as data: URLs, by URL
+    // (an image that can't be fetched is left out, and keeps its URL)
+    async imageDataUrls(items) {
+        const urls = new Set(items.filter(item => item.kind === 'image' && !item.undone).map(item => item.url));
+        const dataUrls = new Map();
+        
+        await Promise.all([...urls].map(async url => {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) return;
+                const blob = await response.blob();
+                dataUrls.set(url, await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = () => reject(reader.error);
+                    reader.readAsDataURL(blob);
+                }));
+            } catch (error) {
+                console.log('Could not fetch image for the export:', url);
+            }
+        }));
+        
+        return dataUrls;
+    }
+    
+    // Save a Blob as a file by clicking a temporary download link
+    downloadFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        
+        // Give the browser a moment to start the download before freeing the memory
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    // ===== IMPORT A JSON EXPORT =====
+    // Replaces the board for everyone in the room, so like a clear it is for owners only
+    async importBoard(file) {
+        if (!this.permissions.clear) return;
+        
+        let doc;
+        try {
+            doc = BoardExport.parseJson(JSON.parse(await file.text()));
+        } catch (error) {
+            alert(`Could not import ${file.name}: ${error.message}`);
+            return;
+        }
+        
+        // The server refuses an import with an image it doesn't have, and we
+        // apply the import to our board before it answers - so check first
+        const urls = [...new Set(doc.items.filter(item => item.kind === 'image').map(item => item.url))];
+        if (!await this.imagesUploaded(urls)) {
+            alert(`Could not import ${file.name}: it has images that were not uploaded to this server`);
+            return;
+        }
+        
+        if (!confirm('Importing replaces the whole board for everyone in this room. Continue?')) {
+            return;
+        }
+        
+        // Like a clear, it replaces what we have seen (see board-state.js)
+        const data = {
+            items: doc.items,
+            ...(doc.layers ? { layers: doc.layers } : {}),
+            ...(doc.background ? { background: doc.background } : {}),
+            seen: this.board.seenClocks(),
+            clock: this.board.tick(),
+            timestamp: Date.now(),
+            clientId: this.clientId
+        };
+        const message = { type: 'import', data };
+        this.board.apply(message);
+        this.redoStack = [];
+        this.redraw();
+        this.sendMessage(message);
+    }
+    
+    // Have all these image URLs been uploaded to this server?
+    async imagesUploaded(urls) {
+        const found = await Promise.all(urls.map(async url => {
+            if (!UPLOAD_URL.test(url)) return false;
+            try {
+                return (await fetch(url, { method: 'HEAD' })).ok;
+            } catch (error) {
+                return false;
+            }
+        }));
+        return found.every(Boolean);
+    }
+    
+    // ===== LAYERS =====
+    // The canvas context items on a layer are drawn with
+    // (items on a layer that no longer exists end up on the default layer)
+    layerContext(layerId) {
+        const id = this.board.getLayer(layerId).id;
+        if (!this.layerCanvases.has(id)) {
+            this.updateLayers();
+        }
+        return this.layerCanvases.get(id).ctx;
+    }
+    
+    // Bring the layer canvases and the layer list up to date with the board's layers
+    updateLayers() {
+        const layers = this.board.getLayers();
+        
+        // Make sure we always draw on a layer that exists
+        if (!layers.some(layer => layer.id === this.activeLayer)) {
+            this.activeLayer = BoardState.DEFAULT_LAYER_ID;
+        }
+        
+        this.syncLayerCanvases(layers);
+        
+        // Rebuilding the list on every redraw would be slow, so only do it when something changed
+        const key = JSON.stringify([layers, this.activeLayer]);
+        if (key !== this.renderedLayers) {
+            this.renderedLayers = key;
+            this.renderLayerList(layers);
+        }
+    }
+    
+    // One canvas per layer, stacked in the layers' order just under the preview canvas
+    syncLayerCanvases(layers) {
+        const ids = new Set(layers.map(layer => layer.id));
+        this.layerCanvases.forEach((layer, id) => {
+            if (!ids.has(id)) {
+                layer.canvas.remove();
+                this.layerCanvases.delete(id);
+            }
+        });
+        
+        layers.forEach(layer => {
+            let entry = this.layerCanvases.get(layer.id);
+            if (!entry) {
+                const canvas = document.createElement('canvas');
+                canvas.className = 'layer-canvas';
+                canvas.width = this.canvas.width;
+                canvas.height = this.canvas.height;
+                canvas.style.width = this.previewCanvas.style.width;
+                canvas.style.height = this.previewCanvas.style.height;
+                entry = { canvas, ctx: canvas.getContext('2d') };
+                this.layerCanvases.set(layer.id, entry);
+            }
+            entry.canvas.hidden = layer.hidden;
+            
+            // insertBefore moves a canvas that is already there, so this also reorders them
+            this.previewCanvas.parentNode.insertBefore(entry.canvas, this.previewCanvas);
+        });
+    }
+    
+    // The layer list in the sidebar, top layer first (like most drawing apps)
+    // Click a name to draw on that layer, double-click it to rename it
+    renderLayerList(layers) {
+        const list = document.getElementById('layer-list');
+        list.innerHTML = '';
+        
+        layers.slice().reverse().forEach(layer => {
+            const item = document.createElement('li');
+            item.classList.toggle('active', layer.id === this.activeLayer);
+            item.classList.toggle('layer-hidden', layer.hidden);
+            
+            // textContent (not innerHTML) so names can't inject HTML
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.locked ? `${layer.name} (locked)` : layer.name;
+            name.title = 'Click to draw on this layer, double-click to rename it';
+            name.addEventListener('click', () => {
+                this.activeLayer = layer.id;
+                this.updateLayers();
+            });
+            item.appendChild(name);
+            
+            // Viewers see the layers but can't change them
+            if (this.permissions.draw) {
+                name.addEventListener('dblclick', () => {
+                    const newName = prompt('Layer name:', layer.name);
+                    if (newName && newName.trim()) {
+                        this.changeLayer({ op: 'rename', id: layer.id, name: newName.trim() });
+                    }
+                });
+                
+                const index = layers.indexOf(layer);
+                item.append(
+                    this.layerButton('\u25B2', 'Move up', index === layers.length - 1,
+                        () => this.changeLayer({ op: 'move', id: layer.id, index: index + 1 })),
+                    this.layerButton('\u25BC', 'Move down', index === 0,
+                        () => this.changeLayer({ op: 'move', id: layer.id, index: index - 1 })),
+                    this.layerButton(layer.hidden ? 'Show' : 'Hide', 'Show or hide this layer', false,
+                        () => this.changeLayer({ op: 'hide', id: layer.id, hidden: !layer.hidden })),
+                    this.layerButton(layer.locked ? 'Unlock' : 'Lock', 'Stop or allow changes to this layer', false,
+                        () => this.changeLayer({ op: 'lock', id: layer.id, locked: !layer.locked }))
+                );
+            }
+            list.appendChild(item);
+        });
+    }
+    
+    layerButton(label, title, disabled, onClick) {
+        const button = document.createElement('button');
+        button.className = 'tool-btn layer-btn';
+        button.textContent = label;
+        button.title = title;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    // Add a layer on top of the others and start drawing on it
+    addLayer() {
+        const layers = this.board.getLayers();
+        if (layers.length >= BoardState.MAX_LAYERS) {
+            this.showNotice(`A board can have at most ${BoardState.MAX_LAYERS} layers`);
+            return;
+        }
+        const id = this.makeItemId();
+        if (this.changeLayer({ op: 'add', id, name: `Layer ${layers.length + 1}` })) {
+            this.activeLayer = id;
+            this.updateLayers();
+        }
+    }
+    
+    // Change a layer here straight away, then tell everyone else
+    // Returns false if the board refused the change
+    changeLayer(data) {
+        const message = { type: 'layer', data: { ...data, clientId: this.clientId, clock: this.board.tick() } };
+        if (!this.board.apply(message)) {
+            return false;
+        }
+        this.redraw();
+        this.sendMessage(message);
+        return true;
+    }
+    
+    // Draw `items` onto `ctx` one layer at a time, skipping hidden layers
+    // Each layer is drawn on the scratch canvas first, so the eraser only
+    // erases its own layer (like on screen). Used by replays and PNG exports.
+    drawLayered(items, layers, ctx) {
+        const scratch = this.scratchCanvas;
+        scratch.width = ctx.canvas.width;
+        scratch.height = ctx.canvas.height;
+        const scratchCtx = scratch.getContext('2d');
+        
+        BoardState.itemsByLayer(items, layers).forEach(({ layer, items: layerItems }) => {
+            if (layer.hidden) return;
+            
+            scratchCtx.setTransform(1, 0, 0, 1, 0, 0);
+            scratchCtx.clearRect(0, 0, scratch.width, scratch.height);
+            scratchCtx.setTransform(ctx.getTransform());
+            layerItems.filter(item => !item.undone).forEach(item => this.drawItem(item, scratchCtx));
+            
+            // Copy the layer across pixel for pixel
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.drawImage(scratch, 0, 0);
+            ctx.restore();
+        });
+    }
+    
+    // ===== GET MOUSE POSITION ON THE BOARD =====
+    // Converts mouse coordinates to world coordinates (what we store and send)
     getMousePos(e) {
+        const world = this.screenToWorld(this.getScreenPos(e));
+        const precision = this.pointPrecision();
+        return {
+            x: Math.round(world.x * precision) / precision,
+            y: Math.round(world.y * precision) / precision
+        };
+    }
+    
+    // Whole world pixels are precise enough and keep messages short,
+    // unless we're zoomed in and one world pixel covers several screen pixels
+    pointPrecision() {
+        return this.view.zoom > 1 ? 10 : 1;
+    }
+    
+    // Mouse (or touch) position in CSS pixels from the canvas's top-left corner,
+    // inside its border
+    getScreenPos(e) {
         // Get canvas position on the page
         const rect = this.canvas.getBoundingClientRect();
-        
-        // Calculate position relative to canvas
         return {
-            x: e.clientX - rect.left,
-            y: e.clientY - rect.top
+            x: e.clientX - rect.left - this.canvas.clientLeft,
+            y: e.clientY - rect.top - this.canvas.clientTop
         };
     }
     
-    // ===== HANDLE TOUCH EVENTS (FOR MOBILE) =====
-    // Converts touch events to mouse events
-    handleTouch(e) {
-        // Prevent default touch behavior (like scrolling)
-        e.preventDefault();
+    // ===== POINTER DOWN =====
+    // The mouse button, a finger or a pen touches the canvas
+    handlePointerDown(e) {
+        if (e.pointerType === 'pen') {
+            this.lastPenTime = Date.now();
+            
+            // A pen takes over from a finger (probably the palm that landed first)
+            if (this.drawingPointerType === 'touch') {
+                this.stopDrawing();
+            }
+        }
         
-        // Get the first touch point
-        const touch = e.touches[0];
+        if (e.pointerType === 'touch') {
+            if (this.isPalm(e)) return;
+            this.touches.set(e.pointerId, this.getScreenPos(e));
+            
+            // A second finger ends whatever the first one was drawing and starts a pinch
+            if (this.touches.size >= 2) {
+                this.stopDrawing();
+                this.pinch = this.pinchState();
+                return;
+            }
+            
+            // One finger left after a pinch - wait for it to lift instead of drawing
+            if (this.pinch) return;
+        }
         
-        // Create equivalent mouse event
-        const mouseEvent = new MouseEvent(
-            // Convert touch event type to mouse event type
-            e.type === 'touchstart' ? 'mousedown' : 
-            e.type === 'touchmove' ? 'mousemove' : 'mouseup', 
-            {
-                clientX: touch.clientX,
-                clientY: touch.clientY
+        // Only one pointer draws at a time
+        if (this.drawingPointerId !== null) return;
+        
+        // Keep getting this pointer's events even when it leaves the canvas
+        // (the stroke goes on until it is released)
+        this.canvas.setPointerCapture(e.pointerId);
+        
+        // Start panning, with space held down or the middle mouse button
+        if (this.spaceDown || e.button === 1) {
+            this.startPan(e);
+            return;
+        }
+        
+        // Only the main button (or the pen tip) draws
+        if (e.button !== 0) return;
+        
+        this.startDrawing(e);
+        if (this.isDrawing) {
+            this.drawingPointerId = e.pointerId;
+            this.drawingPointerType = e.pointerType;
+        }
+    }
+    
+    // ===== POINTER MOVE =====
+    handlePointerMove(e) {
+        if (e.pointerType === 'pen') {
+            this.lastPenTime = Date.now();
+        }
+        
+        if (e.pointerType === 'touch') {
+            // Ignore fingers we rejected as a palm
+            if (!this.touches.has(e.pointerId)) return;
+            this.touches.set(e.pointerId, this.getScreenPos(e));
+            if (this.touches.size >= 2) {
+                this.handlePinch();
+                return;
             }
-        );
+        }
         
-        // Trigger the mouse event
-        this.canvas.dispatchEvent(mouseEvent);
+        this.pan(e);
+        
+        if (e.pointerId === this.drawingPointerId) {
+            // Browsers send at most one move per frame, but pens and fast mice
+            // report positions more often: getCoalescedEvents() has all of them
+            const moves = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+            (moves.length > 0 ? moves : [e]).forEach(move => this.draw(move));
+        }
+        
+        // Share our cursor position with the others (whether drawing or not)
+        this.queueCursor(this.getMousePos(e));
+    }
+    
+    // ===== POINTER UP (OR CANCELLED) =====
+    handlePointerUp(e) {
+        if (e.pointerType === 'pen') {
+            this.lastPenTime = Date.now();
+        }
+        
+        // All fingers lifted: the pinch is over. Fingers left: pinch from where they are now.
+        if (this.touches.delete(e.pointerId)) {
+            if (this.touches.size === 0) {
+                this.pinch = null;
+            } else if (this.pinch && this.touches.size >= 2) {
+                this.pinch = this.pinchState();
+            }
+        }
+        
+        if (e.pointerId === this.drawingPointerId) {
+            this.stopDrawing();
+        }
+        this.stopPan();
+    }
+    
+    // ===== PALM REJECTION =====
+    // A hand resting on a tablet while writing with a pen touches the screen
+    // too. Touches are ignored while a pen is in use (and shortly after), and
+    // so are contacts much bigger than a fingertip.
+    isPalm(e) {
+        const penInUse = this.drawingPointerType === 'pen' || Date.now() - this.lastPenTime < PALM_REJECT_MS;
+        return penInUse || e.width > MAX_FINGER_SIZE || e.height > MAX_FINGER_SIZE;
+    }
+    
+    // ===== TWO-FINGER PAN AND ZOOM =====
+    // Moving both fingers pans, spreading or pinching them zooms around the
+    // point between them
+    handlePinch() {
+        const { center, distance } = this.pinchState();
+        
+        // Keep the world point that was between the fingers between them
+        const world = this.screenToWorld(this.pinch.center);
+        const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.view.zoom * distance / this.pinch.distance));
+        this.setView(world.x - center.x / zoom, world.y - center.y / zoom, zoom);
+        
+        this.pinch = { center, distance };
+    }
+    
+    // Midpoint and distance of the first two fingers on the canvas
+    pinchState() {
+        const [a, b] = this.touches.values();
+        return {
+            center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y))
+        };
     }
     
     // ===== SEND MESSAGE TO SERVER =====
     sendMessage(message) {
-        // Check if WebSocket is connected and ready
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            // Convert message object to JSON string and send
-            this.ws.send(JSON.stringify(message));
+        const connected = this.ws && this.ws.readyState === WebSocket.OPEN;
+        
+        // Changes get a number and are queued while we're offline (or still catching up)
+        if (QUEUED_TYPES.includes(message.type)) {
+            message = { ...message, msgSeq: ++this.msgSeq };
             
-            // Update message counter
-            this.messageCount++;
-            document.getElementById('message-count').textContent = this.messageCount;
-        } else {
+            if (!connected || !this.synced || this.outbox.length > 0) {
+                this.outbox.push(message);
+                this.updateConnectionStatus(connected);
+                return;
+            }
+        } else if (!connected) {
             console.warn('Cannot send message - WebSocket not connected');
+            return;
+        }
+        
+        this.sendNow(message);
+    }
+    
+    // Send a message right away
+    sendNow(message) {
+        // Numbered messages are kept until the server confirms them (see resumeAfterSync)
+        if (message.msgSeq !== undefined) {
+            this.unacked.push(message);
         }
+        
+        // Convert message object to JSON string and send
+        this.ws.send(JSON.stringify(message));
+        
+        // Update message counter
+        this.messageCount++;
+        document.getElementById('message-count').textContent = this.messageCount;
+    }
+    
+    // ===== SHOW ONLY THE CONTROLS WE MAY USE =====
+    // Controls are marked in index.html with data-permission="draw", "clear" or "lock"
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.hidden = !this.permissions[element.dataset.permission];
+        });
+        
+        document.getElementById('lock-btn').textContent = this.locked ? 'Unlock board' : 'Lock board';
+        document.getElementById('role-badge').textContent =
+            this.locked ? `${this.role} (board locked)` : this.role;
+        this.canvas.classList.toggle('read-only', !this.permissions.draw);
+        
+        // The layer controls are only shown to users who can draw
+        this.renderedLayers = null;
+        this.updateLayers();
+        
+        // Stop anything we were in the middle of
+        if (!this.permissions.draw) {
+            this.clearSelection();
+            this.stopDrawing();
+            this.closeTextInput();
+        }
+    }
+    
+    // ===== PRESENCE: USER LIST =====
+    // Lists everyone in the room with their color and role
+    // Owners get a role menu next to everyone else, to make them viewers, editors or owners
+    renderUserList() {
+        const list = document.getElementById('user-list');
+        list.innerHTML = '';
+        
+        this.users.forEach(user => {
+            const item = document.createElement('li');
+            
+            const dot = document.createElement('span');
+            dot.className = 'user-dot';
+            dot.style.background = user.color;
+            
+            // textContent (not innerHTML) so names can't inject HTML
+            const name = document.createElement('span');
+            name.textContent = user.id === this.myId ? `${user.name} (you)` : user.name;
+            
+            item.append(dot, name, this.renderRole(user));
+            list.appendChild(item);
+        });
+    }
+    
+    // A user's role: a menu for owners (except for themselves), plain text for everyone else
+    renderRole(user) {
+        if (!this.permissions.setRole || user.id === this.myId) {
+            const role = document.createElement('span');
+            role.className = 'user-role';
+            role.textContent = user.role;
+            return role;
+        }
+        
+        const select = document.createElement('select');
+        select.className = 'user-role';
+        select.title = `Role of ${user.name}`;
+        ['viewer', 'editor', 'owner'].forEach(roleName => {
+            select.add(new Option(roleName, roleName, false, roleName === user.role));
+        });
+        select.addEventListener('change', () => {
+            this.sendMessage({ type: 'setRole', id: user.id, role: select.value });
+        });
+        return select;
+    }
+    
+    // ===== PRESENCE: OUR CURSOR =====
+    // Mouse moves fire very often, so we only send the latest position
+    // at most every 50ms (null = the mouse left the canvas)
+    queueCursor(pos) {
+        this.pendingCursor = pos || { hidden: true };
+        
+        if (!this.cursorTimer) {
+            this.sendPendingCursor();
+        }
+    }
+    
+    sendPendingCursor() {
+        if (!this.pendingCursor) {
+            // Nothing new since the last send - stop the timer
+            this.cursorTimer = null;
+            return;
+        }
+        
+        const cursor = this.pendingCursor;
+        this.pendingCursor = null;
+        
+        // Cursor moves aren't worth counting or warning about, so send them directly
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(cursor.hidden
+                ? { type: 'cursor', hidden: true }
+                : { type: 'cursor', x: Math.round(cursor.x), y: Math.round(cursor.y) }));
+        }
+        
+        // Check again shortly, so the final position is always sent
+        this.cursorTimer = setTimeout(() => this.sendPendingCursor(), 50);
+    }
+    
+    // ===== PRESENCE: OTHER USERS' CURSORS =====
+    // Each cursor is a small colored dot with the user's name, placed over the canvas
+    showRemoteCursor(id, x, y) {
+        let element = this.cursorElements.get(id);
+        
+        if (!element) {
+            element = document.createElement('div');
+            element.className = 'remote-cursor';
+            element.appendChild(document.createElement('span'));
+            document.getElementById('cursor-layer').appendChild(element);
+            this.cursorElements.set(id, element);
+            this.updateCursorLabel(this.users.get(id) || { id, name: '?', color: '#999999' });
+        }
+        
+        // Remember the world position, so the cursor can move when we pan or zoom
+        element.dataset.x = x;
+        element.dataset.y = y;
+        this.positionCursor(element);
+    }
+    
+    // Place a cursor over its world position on our screen
+    positionCursor(element) {
+        const screen = this.worldToScreen({ x: Number(element.dataset.x), y: Number(element.dataset.y) });
+        element.style.transform = `translate(${screen.x}px, ${screen.y}px)`;
+    }
+    
+    // Set a cursor's name label and color (e.g. after a name change)
+    updateCursorLabel(user) {
+        const element = this.cursorElements.get(user.id);
+        if (element) {
+            element.style.setProperty('--cursor-color', user.color);
+            element.firstChild.textContent = user.name;
+        }
+    }
+    
+    removeRemoteCursor(id) {
+        const element = this.cursorElements.get(id);
+        if (element) {
+            element.remove();
+            this.cursorElements.delete(id);
+        }
+    }
+    
+    clearRemoteCursors() {
+        this.cursorElements.forEach(element => element.remove());
+        this.cursorElements.clear();
+    }
+    
+    // ===== SHOW A WARNING BANNER =====
+    // Shows a message under the header for a few seconds
+    showNotice(text) {
+        const notice = document.getElementById('notice');
+        notice.textContent = text;
+        notice.hidden = false;
+        
+        // Restart the timer if a new warning arrives while one is showing
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => {
+            notice.hidden = true;
+        }, 4000);
     }
     
     // ===== UPDATE CONNECTION STATUS DISPLAY =====
@@ -352,12 +2897,12 @@ class DrawingApp {
         const status = document.getElementById('connection-status');
         
         // Update text and CSS class based on connection state
-        if (connected) {
-            status.textContent = 'Connected';
-            status.className = 'connected';
-        } else {
-            status.textContent = 'Disconnected';
-            status.className = 'disconnected';
+        status.textContent = connected ? 'Connected' : (this.reconnectText || 'Disconnected');
+        status.className = connected ? 'connected' : 'disconnected';
+        
+        // Show how many of our changes are still waiting to be sent
+        if (this.outbox.length > 0) {
+            status.textContent += ` (${this.outbox.length} unsent)`;
         }
     }
     
@@ -367,12 +2912,17 @@ class DrawingApp {
     
     startHeartbeat() {
         console.log('Starting heartbeat');
+        this.lastMessageAt = Date.now();
         
-        // Send a ping every 30 seconds
+        // Send a ping every 20 seconds, and check something came back soon after
         this.heartbeatInterval = setInterval(() => {
+            const sentAt = Date.now();
             this.sendMessage({ type: 'ping' });
             console.log('Heartbeat ping sent');
-        }, 30000); // 30000ms = 30 seconds
+            
+            clearTimeout(this.stallTimer);
+            this.stallTimer = setTimeout(() => this.checkStalled(sentAt), STALL_TIMEOUT_MS);
+        }, HEARTBEAT_INTERVAL_MS);
     }
     
     stopHeartbeat() {
@@ -382,6 +2932,29 @@ class DrawingApp {
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
         }
+        clearTimeout(this.stallTimer);
+        this.stallTimer = null;
+    }
+    
+    // ===== DETECT A STALLED CONNECTION =====
+    // When the network drops, the browser can keep a dead connection "open"
+    // for minutes before onclose runs, and everything we draw meanwhile goes
+    // nowhere. If the server sent nothing at all since our last ping (not even
+    // the pong), we stop waiting: drop this connection and connect again.
+    checkStalled(sentAt) {
+        if (this.lastMessageAt >= sentAt) return;
+        
+        console.warn('No answer from the server - reconnecting');
+        const ws = this.ws;
+        const onclose = ws.onclose;
+        
+        // The old connection's own close event may come much later (or never) -
+        // it mustn't start a second reconnect when it does
+        ws.onopen = ws.onmessage = ws.onclose = ws.onerror = null;
+        ws.close(STALLED_CLOSE_CODE, 'No answer from the server');
+        
+        // Same as a normal disconnect: stop the heartbeat and reconnect
+        onclose({ code: STALLED_CLOSE_CODE });
     }
 }
 
@@ -0,0 +1,392 @@
+// ===== BOARD EXPORT HELPERS =====
+// Turns a board's items into an SVG picture or a JSON document, and works
+// out what the board's background (grid, dots, kanban) looks like.
+// Shared like board-state.js: the browser uses it for the Export menu and
+// the server uses it for the /export.svg and /export.json routes.
+(function (root, factory) {
+    // Node.js (server) gets a module export, the browser gets a global
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BoardExport = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    
+    // The board has no edges, so exports cover the area that has something
+    // drawn on it (see boardBounds). An empty board exports as this size.
+    const BOARD_WIDTH = 800;
+    const BOARD_HEIGHT = 600;
+    
+    // White space around the drawing in exports
+    const EXPORT_PADDING = 20;
+    
+    // Longest side of an exported PNG in pixels - bigger drawings are scaled down
+    const MAX_EXPORT_SIZE = 4096;
+    
+    // Exported JSON documents are tagged so imports can recognise them
+    const JSON_FORMAT = 'collaborative-drawing-board';
+    const JSON_VERSION = 1;
+    
+    // ===== BACKGROUNDS =====
+    // Drawn under every layer (see BoardState.BACKGROUNDS):
+    //   grid   - lines every GRID_SPACING
+    //   dots   - dot paper, a dot every DOT_SPACING
+    //   kanban - a column per KANBAN_COLUMNS title, starting at the origin
+    const GRID_SPACING = 40;
+    const DOT_SPACING = 20;
+    const DOT_RADIUS = 1.5;
+    const KANBAN_COLUMNS = ['To do', 'Doing', 'Done'];
+    const KANBAN_COLUMN_WIDTH = 320;
+    const KANBAN_HEADER_HEIGHT = 48;
+    const KANBAN_FONT_SIZE = 20;
+    const PATTERN_COLOR = '#d5d9df';
+    const PATTERN_TEXT_COLOR = '#6b7280';
+    
+    // Zoomed far out, lines or dots closer than this (in screen pixels) would
+    // blur into gray, and a huge area would need far too many of them: every
+    // other one is left out until there are few enough
+    const MIN_PATTERN_SPACING = 8;
+    const MAX_PATTERN_LINES = 1000;
+    const MAX_PATTERN_DOTS = 10000;
+    
+    // ===== SHARED GEOMETRY =====
+    // The canvas, SVG and PNG renderers all use these, so every export looks the same
+    
+    // Text font size in pixels for a brush size (size 3 -> 18px)
+    function textFontSize(size) {
+        return 12 + size * 2;
+    }
+    
+    // The two short lines at the end of an arrow, 25 degrees either side
+    // Returns [[x, y], [x, y]] - each is drawn as a line to the arrow's tip (x2, y2)
+    function arrowHeadPoints(shape) {
+        const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1);
+        const headLength = Math.max(10, shape.size * 3);
+        return [-1, 1].map(side => [
+            shape.x2 - headLength * Math.cos(angle + side * Math.PI / 7),
+            shape.y2 - headLength * Math.sin(angle + side * Math.PI / 7)
+        ]);
+    }
+    
+    // ===== BACKGROUND PATTERNS =====
+    
+    // Multiples of `spacing` from `start` to `end`
+    function steps(start, end, spacing) {
+        const values = [];
+        for (let value = Math.ceil(start / spacing) * spacing; value <= end; value += spacing) {
+            values.push(value);
+        }
+        return values;
+    }
+    
+    // What a background looks like inside `bounds` (world coordinates, seen
+    // at `zoom` screen pixels per world unit), for any renderer to draw:
+    //   { lines: [[x0, y0, x1, y1], ...], dots: [[x, y], ...], labels: [{ x, y, text }, ...],
+    //     color, dotRadius, textColor, fontSize }
+    // Lines are 1 world unit wide, and labels hang down from (x, y), like text items.
+    // 'blank' (or anything unknown) has nothing in it.
+    function backgroundPattern(background, bounds, zoom = 1) {
+        const pattern = {
+            lines: [],
+            dots: [],
+            labels: [],
+            color: PATTERN_COLOR,
+            dotRadius: DOT_RADIUS,
+            textColor: PATTERN_TEXT_COLOR,
+            fontSize: KANBAN_FONT_SIZE
+        };
+        const left = bounds.x;
+        const top = bounds.y;
+        const right = bounds.x + bounds.width;
+        const bottom = bounds.y + bounds.height;
+        
+        // `base`, doubled until the marks are far enough apart and few enough
+        const spacingFor = (base, count) => {
+            let spacing = base;
+            while (spacing * zoom < MIN_PATTERN_SPACING || count(spacing) > 1) {
+                spacing *= 2;
+            }
+            return spacing;
+        };
+        
+        switch (background) {
+            case 'grid': {
+                const spacing = spacingFor(GRID_SPACING, s => (bounds.width / s + bounds.height / s) / MAX_PATTERN_LINES);
+                steps(left, right, spacing).forEach(x => pattern.lines.push([x, top, x, bottom]));
+                steps(top, bottom, spacing).forEach(y => pattern.lines.push([left, y, right, y]));
+                break;
+            }
+            
+            case 'dots': {
+                const spacing = spacingFor(DOT_SPACING, s => (bounds.width / s) * (bounds.height / s) / MAX_PATTERN_DOTS);
+                const xs = steps(left, right, spacing);
+                steps(top, bottom, spacing).forEach(y => xs.forEach(x => pattern.dots.push([x, y])));
+                break;
+            }
+            
+            // The columns go down from the origin as far as can be seen
+            case 'kanban': {
+                const width = KANBAN_COLUMNS.length * KANBAN_COLUMN_WIDTH;
+                if (bottom <= 0 || right <= 0 || left >= width) break;
+                
+                const columnTop = Math.max(top, 0);
+                for (let i = 0; i <= KANBAN_COLUMNS.length; i++) {
+                    pattern.lines.push([i * KANBAN_COLUMN_WIDTH, columnTop, i * KANBAN_COLUMN_WIDTH, bottom]);
+                }
+                [0, KANBAN_HEADER_HEIGHT].forEach(y => pattern.lines.push([0, y, width, y]));
+                KANBAN_COLUMNS.forEach((text, i) => pattern.labels.push({
+                    x: i * KANBAN_COLUMN_WIDTH + 16,
+                    y: (KANBAN_HEADER_HEIGHT - KANBAN_FONT_SIZE) / 2,
+                    text
+                }));
+                break;
+            }
+        }
+        return pattern;
+    }
+    
+    // ===== DRAWING BOUNDS =====
+    // The smallest rectangle (in world coordinates) around every visible item,
+    // plus some padding: { x, y, width, height }
+    function boardBounds(items) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        
+        // Grow the rectangle to include (x, y) with `margin` around it
+        const include = (x, y, margin) => {
+            minX = Math.min(minX, x - margin);
+            minY = Math.min(minY, y - margin);
+            maxX = Math.max(maxX, x + margin);
+            maxY = Math.max(maxY, y + margin);
+        };
+        
+        items.filter(item => !item.undone).forEach(item => {
+            switch (item.kind) {
+                case 'stroke':
+                    for (let i = 0; i < item.points.length; i += 2) {
+                        include(item.points[i], item.points[i + 1], (item.widths ? item.widths[i / 2] : item.size) / 2);
+                    }
+                    break;
+                
+                case 'shape':
+                    include(item.x1, item.y1, item.size / 2);
+                    include(item.x2, item.y2, item.size / 2);
+                    if (item.shape === 'arrow') {
+                        arrowHeadPoints(item).forEach(([x, y]) => include(x, y, item.size / 2));
+                    }
+                    break;
+                
+                case 'text': {
+                    // A rough guess at the text's size (we can't measure fonts here)
+                    const fontSize = textFontSize(item.size);
+                    include(item.x, item.y, 0);
+                    include(item.x + item.text.length * fontSize * 0.6, item.y + fontSize * 1.2, 0);
+                    break;
+                }
+                
+                case 'image':
+                    include(item.x, item.y, 0);
+                    include(item.x + item.width, item.y + item.height, 0);
+                    break;
+            }
+        });
+        
+        if (minX > maxX) {
+            return { x: 0, y: 0, width: BOARD_WIDTH, height: BOARD_HEIGHT };
+        }
+        
+        const x = Math.floor(minX - EXPORT_PADDING);
+        const y = Math.floor(minY - EXPORT_PADDING);
+        return {
+            x,
+            y,
+            width: Math.ceil(maxX + EXPORT_PADDING) - x,
+            height: Math.ceil(maxY + EXPORT_PADDING) - y
+        };
+    }
+    
+    // How much to shrink a PNG export of `bounds` so it fits MAX_EXPORT_SIZE (1 = full size)
+    function exportScale(bounds) {
+        return Math.min(1, MAX_EXPORT_SIZE / Math.max(bounds.width, bounds.height));
+    }
+    
+    // ===== SVG EXPORT =====
+    
+    // Escape text so it's safe inside SVG/XML
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    // Round coordinates so the SVG stays small
+    function num(value) {
+        return Math.round(value * 100) / 100;
+    }
+    
+    // Line style shared by strokes and shapes (round ends like the canvas)
+    function lineAttrs(color, size) {
+        return `fill="none" stroke="${escapeXml(color)}" stroke-width="${num(size)}" ` +
+            'stroke-linecap="round" stroke-linejoin="round"';
+    }
+    
+    // A stroke drawn with pen pressure changes width along the way, which a
+    // single <polyline> can't do: each segment becomes its own <line>, as wide
+    // as the average of its two ends (the same as on the canvas)
+    function pressureStrokeToSvg(item, color) {
+        const { points, widths } = item;
+        const lines = [];
+        for (let i = 2; i < points.length; i += 2) {
+            const width = (widths[i / 2 - 1] + widths[i / 2]) / 2;
+            lines.push(`<line x1="${num(points[i - 2])}" y1="${num(points[i - 1])}" x2="${num(points[i])}" y2="${num(points[i + 1])}" ` +
+                `stroke-width="${num(width)}"/>`);
+        }
+        return `<g ${lineAttrs(color, item.size)}>${lines.join('')}</g>`;
+    }
+    
+    // The lines, dots and column titles of a background, as SVG elements
+    function patternToSvg(pattern) {
+        const lines = pattern.lines.map(([x1, y1, x2, y2]) =>
+            `<line x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}"/>`);
+        const dots = pattern.dots.map(([x, y]) => `<circle cx="${num(x)}" cy="${num(y)}" r="${pattern.dotRadius}"/>`);
+        const labels = pattern.labels.map(label =>
+            `<text x="${num(label.x)}" y="${num(label.y)}" dominant-baseline="text-before-edge">${escapeXml(label.text)}</text>`);
+        
+        return [
+            lines.length > 0 ? `<g stroke="${pattern.color}" stroke-width="1">${lines.join('')}</g>` : '',
+            dots.length > 0 ? `<g fill="${pattern.color}">${dots.join('')}</g>` : '',
+            labels.length > 0 ? `<g fill="${pattern.textColor}" font-family="Arial, sans-serif" font-weight="bold" ` +
+                `font-size="${pattern.fontSize}">${labels.join('')}</g>` : ''
+        ].filter(Boolean).map(group => `  ${group}\n`).join('');
+    }
+    
+    // One SVG element for one board item
+    // imageHref(url) gives the address to put in an <image> (e.g. a data: URL)
+    function itemToSvg(item, background, imageHref) {
+        const strokeAttrs = lineAttrs(item.color, item.size);
+        
+        switch (item.kind) {
+            case 'stroke': {
+                const points = [];
+                for (let i = 0; i < item.points.length; i += 2) {
+                    points.push(`${num(item.points[i])},${num(item.points[i + 1])}`);
+                }
+                // The eraser is drawn in the background color, which looks the same on export
+                const color = item.tool === 'eraser' ? background : item.color;
+                if (item.widths) {
+                    return pressureStrokeToSvg(item, color);
+                }
+                return `<polyline points="${points.join(' ')}" ${lineAttrs(color, item.size)}/>`;
+            }
+            
+            case 'shape': {
+                const { x1, y1, x2, y2 } = item;
+                switch (item.shape) {
+                    case 'line':
+                        return `<line x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}" ${strokeAttrs}/>`;
+                    case 'rect':
+                        return `<rect x="${num(Math.min(x1, x2))}" y="${num(Math.min(y1, y2))}" ` +
+                            `width="${num(Math.abs(x2 - x1))}" height="${num(Math.abs(y2 - y1))}" ${strokeAttrs}/>`;
+                    case 'ellipse':
+                        return `<ellipse cx="${num((x1 + x2) / 2)}" cy="${num((y1 + y2) / 2)}" ` +
+                            `rx="${num(Math.abs(x2 - x1) / 2)}" ry="${num(Math.abs(y2 - y1) / 2)}" ${strokeAttrs}/>`;
+                    case 'arrow': {
+                        const [left, right] = arrowHeadPoints(item);
+                        return `<path d="M${num(x1)} ${num(y1)} L${num(x2)} ${num(y2)} ` +
+                            `M${num(left[0])} ${num(left[1])} L${num(x2)} ${num(y2)} L${num(right[0])} ${num(right[1])}" ${strokeAttrs}/>`;
+                    }
+                    default:
+                        return '';
+                }
+            }
+            
+            case 'text':
+                return `<text x="${num(item.x)}" y="${num(item.y)}" fill="${escapeXml(item.color)}" ` +
+                    `font-family="Arial, sans-serif" font-size="${textFontSize(item.size)}" ` +
+                    `dominant-baseline="text-before-edge">${escapeXml(item.text)}</text>`;
+            
+            case 'image':
+                return `<image href="${escapeXml(imageHref(item.url))}" x="${num(item.x)}" y="${num(item.y)}" ` +
+                    `width="${num(item.width)}" height="${num(item.height)}" preserveAspectRatio="none"/>`;
+            
+            default:
+                return '';
+        }
+    }
+    
+    // A complete SVG document for a list of board items (undone items are skipped)
+    // The picture covers options.bounds, or everything that is drawn
+    //   background - the paper color (the eraser paints with it, covering the pattern too)
+    //   pattern    - the board's background: 'blank', 'grid', 'dots' or 'kanban'
+    //   imageHref  - the address of an image item's picture, by its URL
+    //                (the URL itself by default, which only works next to the server)
+    function toSvg(items, options = {}) {
+        const bounds = options.bounds || boardBounds(items);
+        const { x, y, width, height } = bounds;
+        const background = options.background || '#ffffff';
+        const imageHref = options.imageHref || (url => url);
+        
+        const body = items
+            .filter(item => !item.undone)
+            .map(item => '  ' + itemToSvg(item, background, imageHref))
+            .join('\n');
+        
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">\n` +
+            `  <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${background}"/>\n` +
+            patternToSvg(backgroundPattern(options.pattern, bounds)) +
+            `${body}\n</svg>\n`;
+    }
+    
+    // ===== JSON EXPORT / IMPORT =====
+    
+    // A JSON document with every item on the board (including undone ones, so
+    // an imported board can still be redone), its layers and its background
+    // Images are kept as their URLs: the pictures stay on the server they
+    // were uploaded to
+    function toJson(items, options = {}) {
+        return {
+            format: JSON_FORMAT,
+            version: JSON_VERSION,
+            room: options.room,
+            exportedAt: new Date().toISOString(),
+            bounds: boardBounds(items),
+            layers: options.layers,
+            background: options.background,
+            items
+        };
+    }
+    
+    // Check an imported document and return { items, layers, background }
+    // (layers and background are undefined for exports made before boards had them)
+    // Throws an Error with a readable message if it isn't one of our exports
+    function parseJson(doc) {
+        if (!doc || doc.format !== JSON_FORMAT) {
+            throw new Error('Not a drawing board export');
+        }
+        if (doc.version > JSON_VERSION) {
+            throw new Error(`Export version ${doc.version} is newer than this app supports`);
+        }
+        if (!Array.isArray(doc.items)) {
+            throw new Error('Export has no items');
+        }
+        return { items: doc.items, layers: doc.layers, background: doc.background };
+    }
+    
+    return {
+        BOARD_WIDTH,
+        BOARD_HEIGHT,
+        MAX_EXPORT_SIZE,
+        boardBounds,
+        exportScale,
+        textFontSize,
+        arrowHeadPoints,
+        backgroundPattern,
+        toSvg,
+        toJson,
+        parseJson
+    };
+});
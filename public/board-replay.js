@@ -0,0 +1,165 @@
+// ===== BOARD REPLAY =====
+// Works out what a board looked like at any moment, from its history
+// (BoardState's getHistory()): every item as it was drawn, the changes made
+// to it, and for items a clear removed, when that was. The server records
+// the times:
+//
+//   createdAt - when the item was started (for strokes: the first points)
+//   endedAt   - strokes only: when the last points arrived
+//   author    - display name of whoever drew it
+//   timestamp - on each change (undo, redo, move, scale, recolor, delete):
+//               when it was made
+//   clearedAt - when a clear removed the item
+//
+// So a replay shows items that were later cleared, edited items as they
+// were at the time, and undone items until they were undone (and again
+// once redone).
+//
+// An exported JSON file only holds the board as it is now, so
+// historyFromItems() turns its items into a history without changes. An
+// undone item there is hidden from its `undoneAt`. Items and changes without
+// times (from boards saved before times were recorded) count from the start.
+// Shared like board-state.js, so the server could replay a board too.
+(function (root, factory) {
+    // Node.js (server) gets a module export, the browser gets a global
+    // (board-state.js is loaded first, see index.html)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./board-state'));
+    } else {
+        root.BoardReplay = factory(root.BoardState);
+    }
+})(typeof self !== 'undefined' ? self : this, function (BoardState) {
+    
+    // ===== WHO DREW IT =====
+    // Items are grouped by the client ID that drew them, not by name: two
+    // people can both be called "Guest", and anyone can rename themselves.
+    // The name is only the label (see buildTimeline).
+    function contributorKey(item) {
+        return item.clientId || 'unknown';
+    }
+    
+    // A history for items that only show how the board is now (e.g. from
+    // an exported JSON file): each item as it is, without changes
+    function historyFromItems(items) {
+        return items.map(item => ({ item, changes: [] }));
+    }
+    
+    // ===== THE TIMELINE =====
+    // Returns {
+    //   start, end,                         first and last moment anything happened (ms)
+    //   activity: [ [from, to], ... ],      when something was drawn, changed or cleared, sorted
+    //   contributors: [ { key, name, count } ]   everyone who drew, most items first
+    // }
+    // A contributor's name is the one on the last item they drew; when two
+    // contributors have the same name, their keys tell them apart.
+    function buildTimeline(history) {
+        const activity = [];
+        const contributors = new Map();
+        
+        history.forEach(({ item, changes, clearedAt }) => {
+            if (item.createdAt !== undefined) {
+                activity.push([item.createdAt, item.endedAt !== undefined ? item.endedAt : item.createdAt]);
+            }
+            if (item.undoneAt !== undefined) {
+                activity.push([item.undoneAt, item.undoneAt]);
+            }
+            changes.forEach(change => {
+                if (change.timestamp !== undefined) {
+                    activity.push([change.timestamp, change.timestamp]);
+                }
+            });
+            if (clearedAt !== undefined) {
+                activity.push([clearedAt, clearedAt]);
+            }
+            
+            const key = contributorKey(item);
+            if (!contributors.has(key)) {
+                contributors.set(key, { key, name: null, count: 0 });
+            }
+            const contributor = contributors.get(key);
+            contributor.count++;
+            if (item.author) {
+                contributor.name = item.author;
+            }
+        });
+        
+        activity.sort((a, b) => a[0] - b[0]);
+        
+        const names = new Map();
+        contributors.forEach(contributor => {
+            contributor.name = contributor.name || 'Unknown';
+            names.set(contributor.name, (names.get(contributor.name) || 0) + 1);
+        });
+        contributors.forEach(contributor => {
+            if (contributor.name === 'Unknown' || names.get(contributor.name) > 1) {
+                contributor.name = `${contributor.name} (${contributor.key})`;
+            }
+        });
+        
+        return {
+            start: activity.length > 0 ? activity[0][0] : 0,
+            end: activity.reduce((end, [, to]) => Math.max(end, to), activity.length > 0 ? activity[0][0] : 0),
+            activity,
+            contributors: [...contributors.values()].sort((a, b) => b.count - a.count)
+        };
+    }
+    
+    // ===== THE BOARD AT ONE MOMENT =====
+    // The items that were visible at `time`, in drawing order, with the
+    // changes made to them by then. Strokes that were still being drawn are
+    // cut short (their points are spread evenly over the time the stroke
+    // took). `contributors` is a Set of keys to show, or null for everyone.
+    function itemsAt(history, time, contributors = null) {
+        const visible = [];
+        
+        history.forEach(({ item: drawn, changes, clearedAt }) => {
+            if (contributors && !contributors.has(contributorKey(drawn))) return;
+            
+            // Not drawn yet, or already cleared
+            if (drawn.createdAt !== undefined && time < drawn.createdAt) return;
+            if (clearedAt !== undefined && time >= clearedAt) return;
+            
+            // As it was then: with the changes made so far, in their usual order
+            const made = changes.filter(change => change.timestamp === undefined || change.timestamp <= time);
+            const item = made.length > 0 ? BoardState.changedCopy(drawn, made) : drawn;
+            
+            // Undone by then (an undone item without a time is hidden all along)
+            if (item.undone && (item.undoneAt === undefined || time >= item.undoneAt)) return;
+            
+            if (item.kind === 'stroke' && item.endedAt > item.createdAt && time < item.endedAt) {
+                const progress = (time - item.createdAt) / (item.endedAt - item.createdAt);
+                const pointCount = Math.max(1, Math.ceil(progress * item.points.length / 2));
+                const partial = { ...item, points: item.points.slice(0, pointCount * 2) };
+                if (item.widths) {
+                    partial.widths = item.widths.slice(0, pointCount);
+                }
+                visible.push(partial);
+            } else {
+                visible.push(item);
+            }
+        });
+        
+        return visible;
+    }
+    
+    // ===== SKIP THE PAUSES =====
+    // A board drawn over an afternoon has long stretches where nothing
+    // happens. Returns `time` moved forward so that playback never waits
+    // longer than `maxPause` ms for the next thing to happen.
+    function skipPause(timeline, time, maxPause) {
+        // The next stretch of activity that hasn't finished by `time`
+        const next = timeline.activity.find(([, to]) => to >= time);
+        if (next && next[0] - time > maxPause) {
+            return next[0] - maxPause;
+        }
+        return time;
+    }
+    
+    return {
+        contributorKey,
+        historyFromItems,
+        buildTimeline,
+        itemsAt,
+        skipPause
+    };
+});
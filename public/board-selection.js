@@ -0,0 +1,219 @@
+// ===== BOARD SELECTION HELPERS =====
+// Geometry for the select tool: which item was clicked, which items a
+// lasso goes around, and the rectangle around a selection. Everything is in
+// world coordinates, like the items themselves (see board-state.js).
+// Written like board-state.js, so it works in the browser and in Node.js.
+(function (root, factory) {
+    // Node.js (server) gets a module export, the browser gets a global
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BoardSelection = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    
+    // Text is 12 + 2 * size pixels high (see textFontSize in board-export.js),
+    // and we guess each character is 0.6 times as wide as that
+    function textBox(item) {
+        const fontSize = 12 + item.size * 2;
+        return {
+            x: item.x,
+            y: item.y,
+            width: item.text.length * fontSize * 0.6,
+            height: fontSize * 1.2
+        };
+    }
+    
+    // Text and images have no line width around their box
+    function lineMargin(item) {
+        return item.kind === 'text' || item.kind === 'image' ? 0 : item.size / 2;
+    }
+    
+    // ===== OUTLINE POINTS =====
+    // The points that outline an item: [x0, y0, x1, y1, ...]
+    // A lasso selects an item when all of them are inside it
+    function outlinePoints(item) {
+        switch (item.kind) {
+            case 'stroke':
+                return item.points;
+            
+            case 'shape':
+                // Lines and arrows are their two ends; rectangles and ellipses
+                // fit in the box the two corners make
+                if (item.shape === 'line' || item.shape === 'arrow') {
+                    return [item.x1, item.y1, item.x2, item.y2];
+                }
+                return [item.x1, item.y1, item.x2, item.y1, item.x2, item.y2, item.x1, item.y2];
+            
+            case 'text': {
+                const { x, y, width, height } = textBox(item);
+                return [x, y, x + width, y, x + width, y + height, x, y + height];
+            }
+            
+            case 'image': {
+                const { x, y, width, height } = item;
+                return [x, y, x + width, y, x + width, y + height, x, y + height];
+            }
+            
+            default:
+                return [];
+        }
+    }
+    
+    // ===== BOUNDS =====
+    // The smallest rectangle around some items, line widths included:
+    // { x, y, width, height }, or null for no items
+    function selectionBounds(items) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        
+        items.forEach(item => {
+            const margin = lineMargin(item);
+            const points = outlinePoints(item);
+            for (let i = 0; i < points.length; i += 2) {
+                minX = Math.min(minX, points[i] - margin);
+                minY = Math.min(minY, points[i + 1] - margin);
+                maxX = Math.max(maxX, points[i] + margin);
+                maxY = Math.max(maxY, points[i + 1] + margin);
+            }
+        });
+        
+        if (minX > maxX) {
+            return null;
+        }
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+    
+    // ===== HIT TESTING =====
+    
+    // Distance from (px, py) to the line segment from (x1, y1) to (x2, y2)
+    function distanceToSegment(px, py, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        
+        // How far along the segment the closest point is (0 = start, 1 = end)
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSquared));
+        return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+    }
+    
+    // Distance from (px, py) to a line through the points [x0, y0, x1, y1, ...]
+    function distanceToPolyline(px, py, points, closed) {
+        if (points.length === 2) {
+            return Math.hypot(px - points[0], py - points[1]);
+        }
+        
+        let distance = Infinity;
+        const end = closed ? points.length : points.length - 2;
+        for (let i = 0; i < end; i += 2) {
+            const next = (i + 2) % points.length;
+            distance = Math.min(distance, distanceToSegment(px, py, points[i], points[i + 1], points[next], points[next + 1]));
+        }
+        return distance;
+    }
+    
+    // Does clicking (x, y) hit the item? `tolerance` is how far off the line a
+    // click may be (so thin lines can still be picked)
+    // Rectangles and ellipses aren't filled, so only their outline counts
+    // (text and images count anywhere inside their box)
+    function hitTest(item, x, y, tolerance) {
+        const reach = lineMargin(item) + tolerance;
+        
+        switch (item.kind) {
+            case 'stroke':
+                return distanceToPolyline(x, y, item.points, false) <= reach;
+            
+            case 'shape': {
+                const { x1, y1, x2, y2 } = item;
+                switch (item.shape) {
+                    case 'rect':
+                        return distanceToPolyline(x, y, outlinePoints(item), true) <= reach;
+                    
+                    case 'ellipse': {
+                        // Roughly: how far the point is from the outline, measured
+                        // along the line from the middle of the ellipse
+                        const rx = Math.abs(x2 - x1) / 2;
+                        const ry = Math.abs(y2 - y1) / 2;
+                        const dx = x - (x1 + x2) / 2;
+                        const dy = y - (y1 + y2) / 2;
+                        if (rx === 0 || ry === 0) {
+                            return distanceToSegment(x, y, x1, y1, x2, y2) <= reach;
+                        }
+                        const along = Math.hypot(dx / rx, dy / ry);   // 1 on the outline, 0 in the middle
+                        const distance = along === 0 ? Math.min(rx, ry) : Math.abs(along - 1) * Math.hypot(dx, dy) / along;
+                        return distance <= reach;
+                    }
+                    
+                    // Lines and arrows (the arrow head is close enough to the line)
+                    default:
+                        return distanceToSegment(x, y, x1, y1, x2, y2) <= reach;
+                }
+            }
+            
+            case 'text':
+            case 'image': {
+                const box = item.kind === 'text' ? textBox(item) : item;
+                return x >= box.x - reach && x <= box.x + box.width + reach &&
+                    y >= box.y - reach && y <= box.y + box.height + reach;
+            }
+            
+            default:
+                return false;
+        }
+    }
+    
+    // The topmost of `items` at (x, y), or null
+    // `items` are in painting order, so the last one that is hit is on top
+    function itemAt(items, x, y, tolerance) {
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (hitTest(items[i], x, y, tolerance)) {
+                return items[i];
+            }
+        }
+        return null;
+    }
+    
+    // ===== LASSO =====
+    
+    // Is (x, y) inside the polygon [x0, y0, x1, y1, ...]?
+    // Counts how many edges a line from the point to the right crosses: odd means inside
+    function insidePolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 2; i < polygon.length; j = i, i += 2) {
+            const xi = polygon[i];
+            const yi = polygon[i + 1];
+            const xj = polygon[j];
+            const yj = polygon[j + 1];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
+    // The items the lasso [x0, y0, x1, y1, ...] goes all the way around
+    function itemsInLasso(items, lasso) {
+        if (lasso.length < 6) {
+            return [];
+        }
+        return items.filter(item => {
+            const points = outlinePoints(item);
+            for (let i = 0; i < points.length; i += 2) {
+                if (!insidePolygon(points[i], points[i + 1], lasso)) {
+                    return false;
+                }
+            }
+            return points.length > 0;
+        });
+    }
+    
+    return {
+        selectionBounds,
+        hitTest,
+        itemAt,
+        insidePolygon,
+        itemsInLasso
+    };
+});
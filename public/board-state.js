@@ -0,0 +1,1079 @@
+// ===== BOARD STATE: A CRDT OF ITEMS AND LAYERS =====
+// Holds everything drawn on one board. This file is shared: the server
+// loads it with require() and the browser loads it with a <script> tag, so
+// both sides merge changes with exactly the same rules.
+//
+// The board is a list of "items", each with its own ID:
+//   - stroke: one mousedown-to-mouseup gesture with the pen or eraser
+//   - shape:  a line, rectangle, ellipse or arrow
+//   - text:   a piece of text placed on the board
+//   - image:  an uploaded picture (a screenshot, a photo), by its URL on
+//             the server (see lib/uploads.js)
+//
+//   items: [
+//       { kind: 'stroke', id, clientId, clock, layer, tool, color, size, points: [x0, y0, x1, y1, ...], undone },
+//       { kind: 'shape', id, clientId, clock, layer, shape, x1, y1, x2, y2, color, size, undone },
+//       { kind: 'text', id, clientId, clock, layer, x, y, text, color, size, undone },
+//       { kind: 'image', id, clientId, clock, layer, url, x, y, width, height, undone }
+//   ]
+//   layers: [ { id, name, hidden, locked }, ... ]   bottom to top
+//
+// Strokes drawn with a pressure-sensitive pen also have `widths`: the line
+// width at each point (one per x, y pair) instead of one `size` for all.
+//
+// Items also remember who drew them and when, for replaying the board
+// (see board-replay.js): author, createdAt, endedAt (strokes) and undoneAt.
+// Their changes keep the time they were made (`timestamp`), and the board
+// keeps the last items removed by clears (up to MAX_REMOVED of them, and
+// MAX_REMOVED_BYTES), with the time of the clear, so a replay can show them
+// too (see getHistory()). These are only kept in memory: they are not part
+// of a saved board, so nobody who joins gets what was cleared.
+//
+// Strokes arrive as 'polyline' messages (several points at once) or, from
+// older clients and saved logs, as 'draw' messages (one segment each).
+//
+// Every item is on a layer (`layer` is the layer's ID). Layers are changed
+// with 'layer' messages: { op: 'add' | 'rename' | 'move' | 'hide' | 'lock', id, ... }.
+// The default layer always exists; items without a layer (or whose layer
+// is unknown) are on it. Nothing can be drawn on, undone or redone on a
+// locked layer.
+//
+// The board also has a background, drawn under every layer: 'blank',
+// 'grid', 'dots' or 'kanban' (see backgroundPattern in board-export.js).
+// It is changed with 'background' messages: { background }.
+//
+// Undone items stay on the board (marked `undone: true`) so they can be
+// redone later, but they are not drawn.
+//
+// Items already on the board can be changed with edit messages, each
+// listing the IDs of the items it applies to:
+//   move    { ids, dx, dy }        shift them
+//   scale   { ids, x, y, factor }  grow or shrink them around the point (x, y)
+//   recolor { ids, color }         give them a new color
+//   delete  { ids }                remove them (kept as undone, with `deleted: true`,
+//                                  so nobody can redo them)
+// Anyone who may draw can edit anyone's items. Items on a locked layer are
+// left alone.
+//
+// ===== MERGING CHANGES (CRDT) =====
+// Every copy of the board - the server's and each browser's - applies a
+// change as soon as it has it: our own straight away, everyone else's when
+// the server passes them on. So copies get changes in different orders
+// (someone's stroke can reach us before our own clear reaches the server).
+// The board is a CRDT ("conflict-free replicated data type"): the same
+// changes give the same board, whatever order they arrive in, so every copy
+// ends up the same without asking the server who was first.
+//
+// Every change carries a Lamport clock (`clock`): one more than the highest
+// clock its sender had seen (see tick()). Sorting changes by clock, then by
+// clientId, puts them in one order that every copy agrees on:
+//   - items are drawn in the order of the change that added them, not the
+//     order they arrived in (all pieces of a stroke share the stroke's clock)
+//   - each item keeps its changes (undo, redo, move, scale, recolor,
+//     delete) and applies them in that order to the item as it was drawn, so
+//     a change that arrives late is put in its place instead of on top
+//   - layer changes are kept too, and replayed in that order
+//   - a drawing or change on a layer that was locked before it (in that
+//     order) is kept but ignored, even if the lock arrives after it
+//   - clear doesn't remove "everything": it lists the items its sender had
+//     seen (`seen`: the highest clock of each client's items) and removes
+//     those. A stroke nobody had seen yet survives the clear everywhere.
+//   - import is a clear followed by the file's items, with new IDs and the
+//     clocks right after the import's own
+//   - once deleted, an item ignores later changes (delete beats a
+//     concurrent move or redo)
+//   - the background is the one set by the latest change (clear keeps it,
+//     an import sets the file's)
+// Messages from one sender arrive in the order they were sent, so the
+// pieces of a stroke are joined in order, and an item always arrives before
+// changes to it (nobody can change an item they haven't seen).
+//
+// A saved board ('snapshot' event, or the snapshot of a 'history' message):
+//   { items, layers, clock, cleared: { clientId: clock },
+//     background: { value, clock, clientId },
+//     layerChanges: [ ...every layer change, in order ],
+//     changedItems: [ { id, base, changes: [...] } ] }
+// `cleared` adds up every clear so far, and `base` is how a changed item was drawn.
+(function (root, factory) {
+    // Node.js (server) gets a module export, the browser gets a global
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BoardState = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    
+    // Messages that change items already on the board
+    const EDIT_TYPES = ['move', 'scale', 'recolor', 'delete'];
+    
+    // Sizes stay within what lib/validation.js accepts for new items
+    const MIN_SIZE = 1;
+    const MAX_SIZE = 50;
+    const MIN_WIDTH = 0.1;
+    const MAX_IMAGE_SIZE = 20000;
+    
+    // The layer every board starts with
+    const DEFAULT_LAYER_ID = 'default';
+    
+    // Most layers on one board
+    const MAX_LAYERS = 20;
+    
+    // What can be drawn under the layers (a new board is blank)
+    const BACKGROUNDS = ['blank', 'grid', 'dots', 'kanban'];
+    
+    // Most cleared items kept for replays, and most bytes (as JSON) they may
+    // take up together (the first ones drawn are dropped first)
+    const MAX_REMOVED = 2000;
+    const MAX_REMOVED_BYTES = 2 * 1024 * 1024;
+    
+    // Copy items so later changes can't change an event that was already saved
+    function copyItems(items) {
+        return items.map(item => {
+            const copy = { ...item };
+            if (item.points) {
+                copy.points = item.points.slice();
+            }
+            if (item.widths) {
+                copy.widths = item.widths.slice();
+            }
+            return copy;
+        });
+    }
+    
+    // Copy a cleared item's history: { item, changes, clearedAt }
+    function copyRemoved({ item, changes, clearedAt }) {
+        const [copy] = copyItems([item]);
+        return { item: copy, changes: changes.map(change => ({ ...change })), clearedAt };
+    }
+    
+    // Roughly how much room a cleared item's history takes up
+    function removedBytes(removed) {
+        return JSON.stringify(removed).length;
+    }
+    
+    // ===== LAMPORT ORDER =====
+    
+    function compareStrings(a = '', b = '') {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+    
+    // The order of two changes: by clock, then by who made them
+    // (two clients can pick the same clock, but one client never does)
+    function compareStamps(a, b) {
+        return a.clock - b.clock || compareStrings(a.clientId, b.clientId);
+    }
+    
+    // The drawing order of two items (an item's stamp is the change that added it)
+    function compareItems(a, b) {
+        return compareStamps(a, b) || compareStrings(a.id, b.id);
+    }
+    
+    // Put `value` into a list sorted by `compare`, after any equal values,
+    // and return where it went. New values nearly always go at the end, so look from there.
+    function insertSorted(list, value, compare) {
+        let index = list.length;
+        while (index > 0 && compare(list[index - 1], value) > 0) {
+            index--;
+        }
+        list.splice(index, 0, value);
+        return index;
+    }
+    
+    // ===== LAYERS =====
+    
+    function defaultLayers() {
+        return [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', hidden: false, locked: false }];
+    }
+    
+    function copyLayers(layers) {
+        return layers.map(layer => ({ ...layer }));
+    }
+    
+    // A copy of `layers` that is sure to have the default layer
+    function withDefaultLayer(layers) {
+        const copy = copyLayers(layers);
+        if (!copy.some(layer => layer.id === DEFAULT_LAYER_ID)) {
+            copy.unshift(defaultLayers()[0]);
+        }
+        return copy;
+    }
+    
+    // The layer an item is on (the default layer if it has none, or an unknown one)
+    function findLayer(layers, id) {
+        return layers.find(layer => layer.id === id) ||
+            layers.find(layer => layer.id === DEFAULT_LAYER_ID);
+    }
+    
+    // Apply the data of a 'layer' message to a list of layers
+    // Returns false if it can't be applied (unknown layer, or adding one that exists)
+    function changeLayers(layers, data) {
+        const index = layers.findIndex(layer => layer.id === data.id);
+        
+        if (data.op === 'add') {
+            if (index !== -1 || layers.length >= MAX_LAYERS) return false;
+            
+            // New layers go on top
+            layers.push({ id: data.id, name: data.name, hidden: false, locked: false });
+            return true;
+        }
+        
+        if (index === -1) return false;
+        const layer = layers[index];
+        
+        switch (data.op) {
+            case 'rename':
+                layer.name = data.name;
+                return true;
+            
+            case 'hide':
+                layer.hidden = data.hidden;
+                return true;
+            
+            case 'lock':
+                layer.locked = data.locked;
+                return true;
+            
+            // index: the layer's new position, 0 = bottom
+            case 'move':
+                layers.splice(index, 1);
+                layers.splice(Math.max(0, Math.min(layers.length, data.index)), 0, layer);
+                return true;
+            
+            default:
+                return false;
+        }
+    }
+    
+    // Replay every layer change, in Lamport order, starting from a new board
+    // Returns the layers, and for each layer ID when it was locked or
+    // unlocked: [ { clock, clientId, locked } ] in order
+    //
+    // Besides 'layer' messages, the list holds { op: 'set', layers, count },
+    // which replaces all layers: an import of `count` items, or a board saved
+    // before boards were CRDTs. Its items have the clocks right after it, and
+    // are never hidden by a lock (they were on the board before it).
+    function foldLayers(changes) {
+        let layers = defaultLayers();
+        const locks = new Map();
+        const note = (id, stamp, locked) => {
+            if (!locks.has(id)) {
+                locks.set(id, []);
+            }
+            locks.get(id).push({ clock: stamp.clock, clientId: stamp.clientId, locked });
+        };
+        
+        changes.forEach(change => {
+            if (change.op === 'set') {
+                layers.forEach(layer => note(layer.id, change, false));
+                layers = withDefaultLayer(change.layers);
+                layers.forEach(layer => note(layer.id, change, false));
+                
+                // The locks only start after the set's own items
+                const after = { clock: change.clock + change.count, clientId: change.clientId };
+                layers.forEach(layer => note(layer.id, after, layer.locked));
+            } else if (changeLayers(layers, change) && change.op === 'lock') {
+                note(change.id, change, change.locked);
+            }
+        });
+        return { layers, locks };
+    }
+    
+    // ===== EDITING ITEMS =====
+    // These change `item` itself - they are only used on copies kept by the board
+    
+    // Edited coordinates are rounded, so saved boards don't fill up with digits
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+    
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+    
+    // Shift an item by (dx, dy)
+    function moveItem(item, dx, dy) {
+        transformPoints(item, (x, y) => [round(x + dx), round(y + dy)]);
+    }
+    
+    // Grow (factor > 1) or shrink an item around the point (x, y)
+    // Line widths and text grow with it; images have no line width, only a size
+    function scaleItem(item, x, y, factor) {
+        transformPoints(item, (px, py) => [round(x + (px - x) * factor), round(y + (py - y) * factor)]);
+        
+        if (item.kind === 'image') {
+            item.width = round(clamp(item.width * factor, MIN_SIZE, MAX_IMAGE_SIZE));
+            item.height = round(clamp(item.height * factor, MIN_SIZE, MAX_IMAGE_SIZE));
+        } else if (item.kind === 'text') {
+            // Text is 12 + 2 * size pixels high (see textFontSize in board-export.js)
+            item.size = round(clamp(((12 + item.size * 2) * factor - 12) / 2, MIN_SIZE, MAX_SIZE));
+        } else {
+            item.size = round(clamp(item.size * factor, MIN_SIZE, MAX_SIZE));
+        }
+        if (item.widths) {
+            item.widths = item.widths.map(width => round(clamp(width * factor, MIN_WIDTH, MAX_SIZE)));
+        }
+    }
+    
+    // Replace every (x, y) of an item with transform(x, y)
+    function transformPoints(item, transform) {
+        switch (item.kind) {
+            case 'stroke':
+                for (let i = 0; i < item.points.length; i += 2) {
+                    [item.points[i], item.points[i + 1]] = transform(item.points[i], item.points[i + 1]);
+                }
+                break;
+            case 'shape':
+                [item.x1, item.y1] = transform(item.x1, item.y1);
+                [item.x2, item.y2] = transform(item.x2, item.y2);
+                break;
+            case 'text':
+            case 'image':
+                [item.x, item.y] = transform(item.x, item.y);
+                break;
+        }
+    }
+    
+    // Apply one change (undo, redo or an edit) to an item
+    function changeItem(item, change) {
+        // Deleted items stay as they were deleted
+        if (item.deleted) return;
+        
+        switch (change.type) {
+            case 'undo':
+            case 'redo':
+                item.undone = change.type === 'undo';
+                item.undoneAt = item.undone ? change.timestamp : undefined;
+                break;
+            
+            case 'move':
+                moveItem(item, change.dx, change.dy);
+                break;
+            
+            case 'scale':
+                scaleItem(item, change.x, change.y, change.factor);
+                break;
+            
+            // Eraser strokes and images have no color of their own
+            case 'recolor':
+                if (item.tool !== 'eraser' && item.kind !== 'image') {
+                    item.color = change.color;
+                }
+                break;
+            
+            case 'delete':
+                item.undone = true;
+                item.undoneAt = change.timestamp;
+                item.deleted = true;
+                break;
+        }
+    }
+    
+    // What an item keeps of a change message: everything but the IDs it applies to
+    function toChange(type, data) {
+        const { ids, strokeId, ...change } = data;
+        return { type, ...change };
+    }
+    
+    // Add points [x0, y0, x1, y1, ...] to the end of a stroke
+    function appendPoints(stroke, data, points) {
+        stroke.endedAt = data.timestamp;
+        stroke.author = stroke.author || data.author;
+        
+        // Continue the stroke from wherever these points start
+        // (skipping the first point if the stroke already ends there)
+        const endX = stroke.points[stroke.points.length - 2];
+        const endY = stroke.points[stroke.points.length - 1];
+        const start = endX === points[0] && endY === points[1] ? 2 : 0;
+        for (let i = start; i < points.length; i++) {
+            stroke.points.push(points[i]);
+        }
+        
+        // Pen pressure: one width per point. Points sent without widths are `size` wide.
+        if (stroke.widths || data.widths) {
+            const widths = stroke.widths || new Array((stroke.points.length - points.length + start) / 2).fill(stroke.size);
+            for (let i = start / 2; i < points.length / 2; i++) {
+                widths.push(data.widths ? data.widths[i] : stroke.size);
+            }
+            stroke.widths = widths;
+        }
+    }
+    
+    class BoardState {
+        constructor() {
+            this.reset();
+        }
+        
+        // Rebuild a board from a list of recorded events
+        static fromEvents(events) {
+            const board = new BoardState();
+            events.forEach(event => board.apply(event));
+            return board;
+        }
+        
+        // Rebuild a board from a 'history' message sent by the server
+        static fromHistoryMessage(message) {
+            const board = new BoardState();
+            if (message.snapshot) {
+                board.apply({ type: 'snapshot', data: message.snapshot });
+            }
+            message.data.forEach(event => board.apply(event));
+            return board;
+        }
+        
+        // Forget everything
+        reset() {
+            // Every item, in drawing order (including ones hidden by a lock, see below)
+            this.items = [];
+            
+            // Map of item ID -> { item, blocked, base, changes }
+            //   item    - the item as it is now (the same object as in this.items)
+            //   blocked - drawn on a layer that was locked at the time: kept, but not shown
+            //   base    - a copy of the item as it was drawn (only once it has changes)
+            //   changes - its undo, redo and edits, in Lamport order
+            this.records = new Map();
+            this.blockedCount = 0;
+            
+            // Every layer change in Lamport order, and the layers they add up to
+            this.layerChanges = [];
+            this.layers = defaultLayers();
+            this.layerLocks = new Map();
+            
+            // The highest Lamport clock seen so far
+            this.clock = 0;
+            
+            // Items up to these clocks were cleared: Map of clientId -> clock
+            this.cleared = new Map();
+            
+            // Items removed by clears, for replays, in drawing order:
+            // [ { item (as drawn), changes, clearedAt } ], and their size
+            this.removed = [];
+            this.removedBytes = 0;
+            
+            // What is drawn under the layers, and the change that chose it
+            this.background = { value: 'blank', clock: 0, clientId: '' };
+            
+            // Counter for naming strokes from old logs that had no stroke IDs
+            this.legacyCount = 0;
+        }
+        
+        // True if nothing is drawn and the background was never changed
+        isEmpty() {
+            return this.items.length === 0 && this.background.clock === 0;
+        }
+        
+        // The clock for a change we are about to make: higher than any we have seen
+        tick() {
+            this.clock++;
+            return this.clock;
+        }
+        
+        // The highest clock of each client's items that we have seen, for a
+        // clear: { clientId: clock }
+        seenClocks() {
+            const seen = new Map(this.cleared);
+            this.items.forEach(item => {
+                if (!(seen.get(item.clientId) >= item.clock)) {
+                    seen.set(item.clientId, item.clock);
+                }
+            });
+            return Object.fromEntries(seen);
+        }
+        
+        // Apply one event (draw, polyline, shape, text, image, undo, redo, move,
+        // scale, recolor, delete, layer, background, clear, import or snapshot)
+        // Returns false if the event was ignored because it can never change
+        // anything (e.g. undoing someone else's stroke, or moving items that
+        // were cleared) - the server doesn't save or pass on those
+        apply(event) {
+            if (event.type === 'snapshot') {
+                this.reset();
+                this.loadSnapshot(event.data);
+                return true;
+            }
+            
+            const data = this.stamp(event);
+            switch (event.type) {
+                case 'draw':
+                    return this.addSegment(data);
+                
+                case 'polyline':
+                    return this.addPoints(data, data.points);
+                
+                case 'shape':
+                    return this.addItem({
+                        kind: 'shape',
+                        id: data.id,
+                        clientId: data.clientId,
+                        clock: data.clock,
+                        layer: data.layer,
+                        shape: data.shape,
+                        x1: data.x1,
+                        y1: data.y1,
+                        x2: data.x2,
+                        y2: data.y2,
+                        color: data.color,
+                        size: data.size,
+                        author: data.author,
+                        createdAt: data.timestamp,
+                        undone: false
+                    });
+                
+                case 'text':
+                    return this.addItem({
+                        kind: 'text',
+                        id: data.id,
+                        clientId: data.clientId,
+                        clock: data.clock,
+                        layer: data.layer,
+                        x: data.x,
+                        y: data.y,
+                        text: data.text,
+                        color: data.color,
+                        size: data.size,
+                        author: data.author,
+                        createdAt: data.timestamp,
+                        undone: false
+                    });
+                
+                case 'image':
+                    return this.addItem({
+                        kind: 'image',
+                        id: data.id,
+                        clientId: data.clientId,
+                        clock: data.clock,
+                        layer: data.layer,
+                        url: data.url,
+                        x: data.x,
+                        y: data.y,
+                        width: data.width,
+                        height: data.height,
+                        author: data.author,
+                        createdAt: data.timestamp,
+                        undone: false
+                    });
+                
+                case 'undo':
+                case 'redo':
+                    return this.canToggle(event.type, data) && this.addChange([data.strokeId], toChange(event.type, data));
+                
+                case 'move':
+                case 'scale':
+                case 'recolor':
+                case 'delete':
+                    return this.canEdit(data) && this.addChange(data.ids, toChange(event.type, data));
+                
+                case 'layer':
+                    return this.addLayerChange({ ...data });
+                
+                case 'background':
+                    return this.setBackground(data.background, data);
+                
+                case 'clear':
+                    this.clear(data.seen, data.timestamp);
+                    return true;
+                
+                // Sent by a client importing an exported JSON board
+                case 'import':
+                    this.importItems(data);
+                    return true;
+                
+                default:
+                    return false;
+            }
+        }
+        
+        // The data of an event, with its Lamport clock
+        // Events from older clients and saved logs have no clock. They get one
+        // here, as if they happened just now, so they keep the order they
+        // arrived in. A clear or import without `seen` clears everything we have.
+        // The event itself is changed, so it is saved and passed on like that.
+        stamp(event) {
+            if (!event.data) {
+                event.data = {};
+            }
+            const data = event.data;
+            if (typeof data.clock !== 'number') {
+                // Later pieces of a stroke share its clock
+                const stroke = data.strokeId && (event.type === 'polyline' || event.type === 'draw') &&
+                    this.records.get(data.strokeId);
+                data.clock = stroke ? stroke.item.clock : this.clock + 1;
+            }
+            if ((event.type === 'clear' || event.type === 'import') && !data.seen) {
+                data.seen = this.seenClocks();
+            }
+            this.clock = Math.max(this.clock, data.clock);
+            return data;
+        }
+        
+        // ===== ITEMS =====
+        
+        // Has this item been removed by a clear?
+        isCleared(item) {
+            return this.cleared.get(item.clientId) >= item.clock;
+        }
+        
+        // Add a new item in its place in the drawing order
+        // Returns false if a clear already removed it, or it is already there
+        addItem(item) {
+            if (this.isCleared(item) || this.records.has(item.id)) return false;
+            
+            const record = { item, blocked: this.lockedAt(item.layer, item), base: null, changes: [] };
+            this.records.set(item.id, record);
+            insertSorted(this.items, item, compareItems);
+            if (record.blocked) {
+                this.blockedCount++;
+            }
+            return true;
+        }
+        
+        // Remove every item for which test(item) is true
+        // With a `clearedAt` time, they are kept in this.removed for replays
+        removeItems(test, clearedAt) {
+            this.items = this.items.filter(item => {
+                if (!test(item)) return true;
+                
+                const record = this.records.get(item.id);
+                if (record.blocked) {
+                    this.blockedCount--;
+                } else if (clearedAt !== undefined) {
+                    const removed = { ...this.historyOf(record), clearedAt };
+                    insertSorted(this.removed, removed, (a, b) => compareItems(a.item, b.item));
+                    this.removedBytes += removedBytes(removed);
+                }
+                this.records.delete(item.id);
+                return false;
+            });
+            while (this.removed.length > MAX_REMOVED || this.removedBytes > MAX_REMOVED_BYTES) {
+                this.removedBytes -= removedBytes(this.removed.shift());
+            }
+        }
+        
+        // Add one line segment to its stroke (creating the stroke if needed)
+        addSegment(data) {
+            // Segments from old logs have no stroke ID - join them to the last
+            // stroke when they continue it, otherwise start a new one
+            let strokeId = data.strokeId;
+            if (!strokeId) {
+                const last = this.items[this.items.length - 1];
+                const continues = last &&
+                    last.id.startsWith('legacy-') &&
+                    last.clientId === data.clientId &&
+                    last.points[last.points.length - 2] === data.fromX &&
+                    last.points[last.points.length - 1] === data.fromY;
+                strokeId = continues ? last.id : `legacy-${this.legacyCount++}`;
+                
+                // Like one stroke, a continued segment shares its stroke's clock
+                data.clock = continues ? last.clock : data.clock;
+            }
+            
+            return this.addPoints({ ...data, strokeId }, [data.fromX, data.fromY, data.toX, data.toY]);
+        }
+        
+        // Add points [x0, y0, x1, y1, ...] to a stroke (creating the stroke if needed)
+        addPoints(data, points) {
+            const record = this.records.get(data.strokeId);
+            if (!record) {
+                return this.addItem({
+                    kind: 'stroke',
+                    id: data.strokeId,
+                    clientId: data.clientId,
+                    clock: data.clock,
+                    layer: data.layer,
+                    tool: data.tool || 'pen',   // 'pen' or 'eraser'
+                    color: data.color,
+                    size: data.size,
+                    points: points.slice(),
+                    ...(data.widths ? { widths: data.widths.slice() } : {}),
+                    author: data.author,
+                    createdAt: data.timestamp,
+                    endedAt: data.timestamp,
+                    undone: false
+                });
+            }
+            // Only the stroke's own client can add to it - anyone else sending
+            // its strokeId is refused, like undo (see canToggle)
+            if (record.item.kind !== 'stroke' || record.item.clientId !== data.clientId) return false;
+            
+            // A changed stroke grows as it was drawn, then gets its changes again
+            appendPoints(record.base || record.item, data, points);
+            if (record.base) {
+                this.rebuild(record);
+            }
+            return true;
+        }
+        
+        // ===== CHANGES TO ITEMS =====
+        
+        // Undo/redo is only allowed for an item drawn by the same client
+        // (Changes to deleted items are kept, but do nothing - they may have
+        // come before the delete, see changeItem)
+        canToggle(type, data) {
+            const record = this.records.get(data.strokeId);
+            return Boolean(record) && record.item.clientId === data.clientId;
+        }
+        
+        // An edit is allowed if at least one of its items is still there
+        canEdit(data) {
+            return data.ids.some(id => this.records.has(id));
+        }
+        
+        // Give a change to each of the items with these IDs
+        addChange(ids, change) {
+            ids.forEach(id => {
+                const record = this.records.get(id);
+                if (!record) return;
+                
+                if (!record.base) {
+                    [record.base] = copyItems([record.item]);
+                }
+                
+                // The same change twice (e.g. a message that was sent again) counts once
+                const index = insertSorted(record.changes, change, compareStamps);
+                if (index > 0 && compareStamps(record.changes[index - 1], change) === 0) {
+                    record.changes.splice(index, 1);
+                    return;
+                }
+                
+                // The latest change goes on top; an earlier one means working it out again
+                if (index < record.changes.length - 1) {
+                    this.rebuild(record);
+                } else if (!this.lockedAt(record.item.layer, change)) {
+                    changeItem(record.item, change);
+                }
+            });
+            return true;
+        }
+        
+        // Work out how an item looks now: as it was drawn, with its changes
+        // applied in order (except those made while its layer was locked)
+        rebuild(record) {
+            const [item] = copyItems([record.base]);
+            record.changes.forEach(change => {
+                if (!this.lockedAt(item.layer, change)) {
+                    changeItem(item, change);
+                }
+            });
+            
+            // Keep the same object - it is also in this.items
+            Object.keys(record.item).forEach(key => delete record.item[key]);
+            Object.assign(record.item, item);
+        }
+        
+        // ===== CLEAR AND IMPORT =====
+        
+        // Remove the items a clear's sender had seen: { clientId: clock }
+        // `timestamp` is when the clear was made (a clear from an old log has none)
+        clear(seen, timestamp) {
+            Object.entries(seen).forEach(([clientId, clock]) => {
+                if (!(this.cleared.get(clientId) >= clock)) {
+                    this.cleared.set(clientId, clock);
+                }
+            });
+            this.removeItems(item => this.isCleared(item), timestamp);
+        }
+        
+        // Replace the board with the items, layers and background of an
+        // exported JSON board: { items, layers, background, seen, clock, clientId }
+        // It is a clear, then the file's layers, then its items, which take
+        // the clocks right after the import's own. They get new IDs too: the
+        // same file imported twice, or an item of it that is still on the
+        // board somewhere, must not be mixed up with them.
+        importItems(data) {
+            this.clear(data.seen, data.timestamp);
+            this.setBackground(data.background || 'blank', data);
+            
+            this.addLayerChange({
+                op: 'set',
+                layers: data.layers || defaultLayers(),
+                count: data.items.length,
+                clock: data.clock,
+                clientId: data.clientId
+            });
+            copyItems(data.items).forEach((item, i) => {
+                const clock = data.clock + 1 + i;
+                this.addItem({ ...item, id: `${String(data.clientId).slice(0, 40)}-${clock.toString(36)}`, clock });
+            });
+            this.clock = Math.max(this.clock, data.clock + data.items.length);
+        }
+        
+        // ===== BACKGROUND =====
+        
+        // Use `value` as the background if `stamp` ({ clock, clientId }) comes
+        // after the change that set the current one
+        // Returns false if a later change has already set it
+        setBackground(value, stamp) {
+            if (compareStamps(stamp, this.background) <= 0) return false;
+            
+            this.background = { value, clock: stamp.clock, clientId: stamp.clientId };
+            return true;
+        }
+        
+        // 'blank', 'grid', 'dots' or 'kanban'
+        getBackground() {
+            return this.background.value;
+        }
+        
+        // ===== LAYERS =====
+        
+        // Add a layer change in its place, and work the layers out again
+        // Changes to a layer that was never added are refused. (Whether a
+        // change still applies - e.g. to a layer an import removed - is up to
+        // foldLayers, so every board decides the same way.)
+        addLayerChange(change) {
+            if (change.op !== 'add' && change.op !== 'set' && !this.knownLayer(change.id)) return false;
+            
+            const index = insertSorted(this.layerChanges, change, compareStamps);
+            if (index > 0 && compareStamps(this.layerChanges[index - 1], change) === 0) {
+                this.layerChanges.splice(index, 1);
+                return false;
+            }
+            this.updateLayers();
+            
+            // A lock can arrive after drawings and changes it came before, and
+            // adding layers can change which layer an item is on: check every item again
+            if (change.op === 'lock' || change.op === 'set' || change.op === 'add') {
+                this.recheckLocks();
+            }
+            return true;
+        }
+        
+        // Has a layer with this ID ever been added?
+        knownLayer(id) {
+            return id === DEFAULT_LAYER_ID || this.layerChanges.some(change => (change.op === 'set'
+                ? change.layers.some(layer => layer.id === id)
+                : change.op === 'add' && change.id === id));
+        }
+        
+        updateLayers() {
+            const { layers, locks } = foldLayers(this.layerChanges);
+            this.layers = layers;
+            this.layerLocks = locks;
+        }
+        
+        // Was this layer locked just before `stamp` ({ clock, clientId }) in Lamport order?
+        lockedAt(layerId, stamp) {
+            const history = this.layerLocks.get(findLayer(this.layers, layerId).id) || [];
+            for (let i = history.length - 1; i >= 0; i--) {
+                if (compareStamps(history[i], stamp) < 0) {
+                    return history[i].locked;
+                }
+            }
+            return false;
+        }
+        
+        // Work out again which items are hidden by a lock, and which changes count
+        recheckLocks() {
+            this.records.forEach(record => {
+                const blocked = this.lockedAt(record.item.layer, record.item);
+                if (blocked !== record.blocked) {
+                    this.blockedCount += blocked ? 1 : -1;
+                    record.blocked = blocked;
+                }
+                if (record.base) {
+                    this.rebuild(record);
+                }
+            });
+        }
+        
+        // Replace the layers (the default layer is added if it is missing)
+        // Used for boards that are only looked at, e.g. a replayed export
+        setLayers(layers) {
+            this.layerChanges = [{ op: 'set', layers: withDefaultLayer(layers), count: 0, clock: this.clock + 1, clientId: '' }];
+            this.updateLayers();
+            this.recheckLocks();
+        }
+        
+        // All layers, bottom to top: [ { id, name, hidden, locked } ]
+        getLayers() {
+            return this.layers;
+        }
+        
+        // The layer with this ID (or the default layer)
+        getLayer(id) {
+            return findLayer(this.layers, id);
+        }
+        
+        // ===== READING THE BOARD =====
+        
+        // Find an item by ID
+        getItem(id) {
+            const record = this.records.get(id);
+            return record && !record.blocked ? record.item : undefined;
+        }
+        
+        // All items in drawing order (undone ones too, but not ones hidden by a lock)
+        // Don't change them - copy them first
+        getItems() {
+            if (this.blockedCount === 0) {
+                return this.items;
+            }
+            return this.items.filter(item => !this.records.get(item.id).blocked);
+        }
+        
+        // ===== HISTORY, FOR REPLAYS =====
+        
+        // An item as it was drawn, and the changes that count for it (those
+        // made while its layer was locked don't): { item, changes }
+        historyOf(record) {
+            const [item] = copyItems([record.base || record.item]);
+            const changes = record.changes
+                .filter(change => !this.lockedAt(item.layer, change))
+                .map(change => ({ ...change }));
+            return { item, changes };
+        }
+        
+        // Every item on the board and every item cleared from it (up to
+        // MAX_REMOVED and MAX_REMOVED_BYTES), in drawing order: [ { item, changes, clearedAt } ]
+        // `item` is how it was drawn and `changes` (undo, redo, move, ...)
+        // have the time they were made; clearedAt is only set for cleared items.
+        // Used by board-replay.js to show the board at any moment.
+        getHistory() {
+            const current = this.items
+                .filter(item => !this.records.get(item.id).blocked)
+                .map(item => this.historyOf(this.records.get(item.id)));
+            return this.removed.map(copyRemoved).concat(current).sort((a, b) => compareItems(a.item, b.item));
+        }
+        
+        // ===== SAVING AND LOADING =====
+        
+        // Everything needed to rebuild this board (see the top of this file)
+        toSnapshot() {
+            const changedItems = [];
+            this.items.forEach(({ id }) => {
+                const record = this.records.get(id);
+                if (record.base) {
+                    const [base] = copyItems([record.base]);
+                    changedItems.push({ id, base, changes: record.changes.map(change => ({ ...change })) });
+                }
+            });
+            
+            return {
+                items: copyItems(this.items),
+                layers: copyLayers(this.layers),
+                clock: this.clock,
+                cleared: Object.fromEntries(this.cleared),
+                background: { ...this.background },
+                layerChanges: this.layerChanges.map(change => (change.layers
+                    ? { ...change, layers: copyLayers(change.layers) }
+                    : { ...change })),
+                changedItems
+            };
+        }
+        
+        // Put a saved snapshot's items and layers into this (empty) board
+        loadSnapshot(snapshot) {
+            if (typeof snapshot.clock !== 'number') {
+                this.loadOldSnapshot(snapshot);
+                return;
+            }
+            
+            this.clock = snapshot.clock;
+            this.cleared = new Map(Object.entries(snapshot.cleared || {}));
+            if (snapshot.background) {
+                this.background = { ...snapshot.background };
+            }
+            this.layerChanges = snapshot.layerChanges.map(change => (change.layers
+                ? { ...change, layers: copyLayers(change.layers) }
+                : { ...change }));
+            this.updateLayers();
+            
+            copyItems(snapshot.items).forEach(item => this.addItem(item));
+            (snapshot.changedItems || []).forEach(({ id, base, changes }) => {
+                const record = this.records.get(id);
+                if (record) {
+                    [record.base] = copyItems([base]);
+                    record.changes = changes.map(change => ({ ...change }));
+                }
+            });
+        }
+        
+        // Snapshots saved before boards were CRDTs have no clocks: their items
+        // get clocks in drawing order, and their layers come right after them
+        // Even older snapshots contain `strokes` (before shapes and text
+        // existed) or `paths` (before strokes had IDs)
+        loadOldSnapshot(snapshot) {
+            const items = snapshot.items ||
+                (snapshot.strokes || []).map(stroke => ({ kind: 'stroke', tool: 'pen', ...stroke }));
+            const paths = (snapshot.paths || []).map(path => ({
+                kind: 'stroke',
+                tool: 'pen',
+                id: `legacy-${this.legacyCount++}`,
+                ...path
+            }));
+            
+            copyItems(items.concat(paths)).forEach(item => this.addItem({ ...item, clock: this.tick() }));
+            if (snapshot.layers) {
+                this.setLayers(snapshot.layers);
+            }
+        }
+        
+        // The payload sent to a client that joins
+        // (`data` held recent messages before boards were CRDTs; it is kept so
+        // older pages still understand the message)
+        toHistoryMessage() {
+            return {
+                type: 'history',
+                snapshot: this.toSnapshot(),
+                data: []
+            };
+        }
+        
+        // The shortest list of events that recreates this board
+        // Used when compacting a saved log
+        toEvents() {
+            return this.hasSnapshot() ? [{ type: 'snapshot', data: this.toSnapshot() }] : [];
+        }
+        
+        // Number of events toEvents() would produce (without building them)
+        eventCount() {
+            return this.hasSnapshot() ? 1 : 0;
+        }
+        
+        // Does the board hold anything a new board wouldn't?
+        hasSnapshot() {
+            return this.items.length > 0 || this.layerChanges.length > 0 || this.cleared.size > 0 ||
+                this.background.clock > 0;
+        }
+        
+        // Items grouped by layer, bottom to top: [ { layer, items: [...] } ]
+        // Items keep their drawing order within each layer
+        static itemsByLayer(items, layers) {
+            const groups = layers.map(layer => ({ layer, items: [] }));
+            items.forEach(item => {
+                const layer = findLayer(layers, item.layer);
+                groups.find(group => group.layer === layer).items.push(item);
+            });
+            return groups;
+        }
+        
+        // The items that can be seen, in the order they are painted:
+        // not undone, not on a hidden layer, lower layers first
+        static visibleItems(items, layers = defaultLayers()) {
+            return BoardState.itemsByLayer(items, layers)
+                .filter(group => !group.layer.hidden)
+                .flatMap(group => group.items.filter(item => !item.undone));
+        }
+    }
+    
+    BoardState.DEFAULT_LAYER_ID = DEFAULT_LAYER_ID;
+    BoardState.MAX_LAYERS = MAX_LAYERS;
+    BoardState.EDIT_TYPES = EDIT_TYPES;
+    BoardState.BACKGROUNDS = BACKGROUNDS;
+    
+    // A copy of `item` with an edit applied, e.g. to preview a move while dragging
+    BoardState.editedCopy = (item, type, data) => {
+        const [copy] = copyItems([item]);
+        changeItem(copy, { type, ...data });
+        return copy;
+    };
+    
+    // A copy of `item` with `changes` applied in order, e.g. an item as it
+    // was at some moment of a replay (see getHistory())
+    BoardState.changedCopy = (item, changes) => {
+        const [copy] = copyItems([item]);
+        changes.forEach(change => changeItem(copy, change));
+        return copy;
+    };
+    
+    return BoardState;
+});
@@ -0,0 +1,140 @@
+// ===== STROKE SMOOTHING =====
+// Turns the positions a mouse, finger or pen reports into a smooth curve.
+// Input devices report a position every few milliseconds; joining those with
+// straight lines gives visible corners on fast curves. A Catmull-Rom spline
+// goes through every reported position and bends smoothly in between: each
+// piece from p1 to p2 is shaped by the points before and after it (p0, p3).
+//
+// The curve is turned back into many short straight pieces here, on the
+// client that draws, and those points are what is sent. Every other client,
+// the server's PNG export and the SVG export just join the points with
+// straight lines, so they all show exactly the same curve.
+//
+//   const smoother = new StrokeSmoother();
+//   smoother.addPoint(x, y, width)   -> { points: [x0, y0, ...], widths: [w0, ...] }
+//   smoother.finish()                -> the last piece of the curve (for a tap, a dot)
+//
+// A piece can only be drawn once the point after it is known, so the curve
+// is one reported position behind the pen until finish() is called.
+(function (root, factory) {
+    // Node.js (server) gets a module export, the browser gets a global
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.StrokeSmoother = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    
+    // Length of the straight pieces a curve is split into (world pixels)
+    const DEFAULT_STEP = 3;
+    
+    // Most pieces per curve section (very fast moves don't create hundreds of points)
+    const MAX_STEPS = 16;
+    
+    // Catmull-Rom: the point at t (0..1) on the curve from p1 to p2
+    function catmullRom(p0, p1, p2, p3, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return 0.5 * (
+            2 * p1 +
+            (p2 - p0) * t +
+            (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+            (3 * p1 - p0 - 3 * p2 + p3) * t3
+        );
+    }
+    
+    class StrokeSmoother {
+        // precision: points are rounded to 1/precision world pixels (see getMousePos)
+        constructor(options = {}) {
+            this.step = options.step || DEFAULT_STEP;
+            this.precision = options.precision || 1;
+            this.raw = [];   // Reported positions not yet fully drawn: { x, y, width }
+        }
+        
+        round(value) {
+            return Math.round(value * this.precision) / this.precision;
+        }
+        
+        // Add a reported position; returns the new part of the smoothed stroke
+        addPoint(x, y, width) {
+            const last = this.raw[this.raw.length - 1];
+            
+            // Ignore positions that didn't move (but let the width change)
+            if (last && last.x === x && last.y === y) {
+                last.width = width;
+                return { points: [], widths: [] };
+            }
+            
+            this.raw.push({ x, y, width });
+            
+            // The very first position starts the stroke
+            if (this.raw.length === 1) {
+                return { points: [x, y], widths: [this.roundWidth(width)] };
+            }
+            
+            // With three positions we know enough to draw the piece between the first two
+            // (the start of the stroke counts as its own "point before")
+            if (this.raw.length < 3) {
+                return { points: [], widths: [] };
+            }
+            
+            const [p0, p1, p2] = this.raw.length === 3
+                ? [this.raw[0], this.raw[0], this.raw[1]]
+                : this.raw.slice(-4, -1);
+            const result = this.curve(p0, p1, p2, this.raw[this.raw.length - 1]);
+            
+            // Only the last four positions are ever needed
+            if (this.raw.length > 4) {
+                this.raw.shift();
+            }
+            return result;
+        }
+        
+        // The stroke has ended: draw the last piece (or two, for a short stroke)
+        // A tap that never moved gets its start again, so it draws a dot:
+        // a piece from the start to itself, which round line ends draw as a circle
+        finish() {
+            const raw = this.raw;
+            this.raw = [];
+            if (raw.length === 0) {
+                return { points: [], widths: [] };
+            }
+            if (raw.length === 1) {
+                return { points: [raw[0].x, raw[0].y], widths: [this.roundWidth(raw[0].width)] };
+            }
+            
+            // A stroke of just two positions hasn't drawn anything but its start yet
+            const n = raw.length;
+            const before = n > 2 ? raw[n - 3] : raw[n - 2];
+            return this.curve(before, raw[n - 2], raw[n - 1], raw[n - 1]);
+        }
+        
+        // Points along the curve from p1 to p2 (not including p1, which was already sent)
+        curve(p0, p1, p2, p3) {
+            const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+            const steps = Math.max(1, Math.min(MAX_STEPS, Math.ceil(length / this.step)));
+            const points = [];
+            const widths = [];
+            
+            for (let i = 1; i <= steps; i++) {
+                const t = i / steps;
+                const x = this.round(catmullRom(p0.x, p1.x, p2.x, p3.x, t));
+                const y = this.round(catmullRom(p0.y, p1.y, p2.y, p3.y, t));
+                
+                // Skip points that round to the one before
+                if (points.length > 0 && x === points[points.length - 2] && y === points[points.length - 1]) {
+                    continue;
+                }
+                points.push(x, y);
+                widths.push(this.roundWidth(p1.width + (p2.width - p1.width) * t));
+            }
+            return { points, widths };
+        }
+        
+        roundWidth(width) {
+            return Math.round(width * 10) / 10;
+        }
+    }
+    
+    return StrokeSmoother;
+});
@@ -0,0 +1,249 @@
+// ===== DRAWING BANDWIDTH BENCHMARK =====
+// Measures how many WebSocket messages and bytes one typical pen stroke
+// takes, comparing:
+//
+//   draw      - the old protocol: one 'draw' message per mouse move
+//   polyline  - the current protocol: one 'polyline' message per animation frame
+//
+// each with and without permessage-deflate compression (WS_COMPRESSION).
+// It starts the real server (with STORAGE=memory, so nothing is saved),
+// connects two clients to a room and counts the bytes that actually go over
+// the sockets, including WebSocket frame headers:
+//
+//   npm run bench
+
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const WebSocket = require('ws');
+
+// ===== THE TEST STROKE =====
+// A 1.5 second wavy stroke. Mice usually report moves every 8ms (125Hz);
+// the browser draws a frame every 16.7ms (60Hz).
+const STROKE_MS = 1500;
+const MOUSE_INTERVAL_MS = 8;
+const FRAME_MS = 1000 / 60;
+
+function makeStroke() {
+    const points = [];
+    for (let t = 0; t <= STROKE_MS; t += MOUSE_INTERVAL_MS) {
+        const progress = t / STROKE_MS;
+        points.push({
+            t,
+            x: Math.round(100 + progress * 600),
+            y: Math.round(300 + 120 * Math.sin(progress * Math.PI * 4))
+        });
+    }
+    return points;
+}
+
+const STYLE = { tool: 'pen', color: '#1e88e5', size: 3 };
+
+// The messages the old client sent: one per mouse move, each with its own
+// timestamp and clientId
+function drawMessages(stroke, clientId) {
+    const messages = [];
+    for (let i = 1; i < stroke.length; i++) {
+        messages.push({
+            type: 'draw',
+            data: {
+                strokeId: 'bench-draw',
+                tool: STYLE.tool,
+                fromX: stroke[i - 1].x,
+                fromY: stroke[i - 1].y,
+                toX: stroke[i].x,
+                toY: stroke[i].y,
+                color: STYLE.color,
+                size: STYLE.size,
+                timestamp: Date.now(),
+                clientId
+            }
+        });
+    }
+    return messages;
+}
+
+// The messages the current client sends: all points from one animation
+// frame together, starting where the previous batch ended
+function polylineMessages(stroke) {
+    const messages = [];
+    let current = null;
+    let currentFrame = -1;
+    
+    for (let i = 1; i < stroke.length; i++) {
+        const frame = Math.floor(stroke[i].t / FRAME_MS);
+        if (frame !== currentFrame) {
+            current = {
+                type: 'polyline',
+                data: { strokeId: 'bench-polyline', ...STYLE, points: [stroke[i - 1].x, stroke[i - 1].y] }
+            };
+            messages.push(current);
+            currentFrame = frame;
+        }
+        current.data.points.push(stroke[i].x, stroke[i].y);
+    }
+    return messages;
+}
+
+// ===== SERVER =====
+
+// Ask the OS for a port nobody is using
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Start server.js and wait until it is listening
+function startServer(port, compression) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: {
+                ...process.env,
+                PORT: String(port),
+                STORAGE: 'memory',
+                WS_COMPRESSION: String(compression),
+                DEV_LOGIN: 'true',
+                AUTH_SECRET: process.env.AUTH_SECRET || 'bench-secret'
+            },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        
+        child.once('error', reject);
+        child.stdout.on('data', chunk => {
+            if (chunk.toString().includes('Server running')) {
+                resolve(child);
+            }
+        });
+    });
+}
+
+function stopServer(child) {
+    return new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+    });
+}
+
+// ===== ONE MEASUREMENT =====
+
+// Log in with the development login and join `room`
+async function connect(port, room, clientId) {
+    const response = await fetch(`http://localhost:${port}/auth/dev-login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: clientId })
+    });
+    const { token } = await response.json();
+    
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws?room=${room}&clientId=${clientId}&token=${token}`);
+        ws.once('error', reject);
+        
+        // Wait for the history message, so the join messages aren't counted
+        ws.once('message', () => resolve(ws));
+    });
+}
+
+// Wait until `ws` has received `count` messages of `type`
+function receive(ws, type, count) {
+    return new Promise((resolve, reject) => {
+        let received = 0;
+        const timer = setTimeout(() => reject(new Error(`only received ${received} of ${count} ${type} messages`)), 10000);
+        
+        ws.on('message', raw => {
+            if (JSON.parse(raw).type === type && ++received === count) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+    });
+}
+
+async function measure(port, format) {
+    const room = `bench-${format}`;
+    const sender = await connect(port, room, 'bench-sender');
+    const receiver = await connect(port, room, 'bench-receiver');
+    
+    // Let the presence messages about the second client arrive first
+    await new Promise(resolve => setTimeout(resolve, 100));
+    
+    const messages = format === 'draw'
+        ? drawMessages(makeStroke(), 'bench-sender')
+        : polylineMessages(makeStroke());
+    
+    // Count bytes on the underlying TCP sockets from here on
+    const sent = sender._socket.bytesWritten;
+    const received = receiver._socket.bytesRead;
+    const echoed = sender._socket.bytesRead;
+    
+    const done = receive(receiver, format, messages.length);
+    
+    // The old protocol also sent every message back to the sender
+    const echoDone = format === 'draw' ? receive(sender, format, messages.length) : Promise.resolve();
+    
+    messages.forEach(message => sender.send(JSON.stringify(message)));
+    await Promise.all([done, echoDone]);
+    
+    const result = {
+        messages: messages.length,
+        upload: sender._socket.bytesWritten - sent,
+        download: receiver._socket.bytesRead - received,
+        echo: sender._socket.bytesRead - echoed
+    };
+    
+    sender.close();
+    receiver.close();
+    return result;
+}
+
+// ===== RUN ALL FOUR COMBINATIONS =====
+
+async function main() {
+    const stroke = makeStroke();
+    console.log(`Test stroke: ${stroke.length} mouse positions over ${STROKE_MS}ms, ` +
+        `${Math.ceil(STROKE_MS / FRAME_MS)} animation frames\n`);
+    
+    const rows = [];
+    for (const compression of [false, true]) {
+        const port = await freePort();
+        const server = await startServer(port, compression);
+        try {
+            for (const format of ['draw', 'polyline']) {
+                const result = await measure(port, format);
+                rows.push({ format, compression: compression ? 'on' : 'off', ...result });
+            }
+        } finally {
+            await stopServer(server);
+        }
+    }
+    
+    console.log('Format    Compression  Messages  Upload (B)  Per other user (B)  Echo to sender (B)');
+    rows.forEach(row => {
+        console.log(
+            row.format.padEnd(10) +
+            row.compression.padEnd(13) +
+            String(row.messages).padStart(8) +
+            String(row.upload).padStart(12) +
+            String(row.download).padStart(20) +
+            String(row.echo).padStart(20)
+        );
+    });
+    
+    const before = rows[0];
+    const after = rows[rows.length - 1];
+    const total = row => row.upload + row.download + row.echo;
+    console.log(`\npolyline + compression vs. draw: ${before.messages - after.messages} fewer messages ` +
+        `per stroke, ${Math.round((1 - total(after) / total(before)) * 100)}% fewer bytes ` +
+        '(upload + one other user + echo)');
+}
+
+main().catch(error => {
+    console.error('Benchmark failed:', error.message);
+    process.exit(1);
+});
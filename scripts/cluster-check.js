@@ -0,0 +1,272 @@
+// ===== CLUSTER CHECK =====
+// Runs two copies of the server that share rooms through the Redis backplane
+// (using the stand-in from scripts/redis-standin.js, so no Redis is needed)
+// and checks that users connected to different nodes see the same room:
+//
+//   - each node counts and lists the users on the other node
+//   - drawings, clears and role changes reach everyone, in the same order
+//   - a node that gets its first user for a room fetches the board from the other node
+//   - users of a node that shuts down disappear from the other node
+//
+//   npm run cluster-check
+
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const WebSocket = require('ws');
+const { createStandin } = require('./redis-standin');
+
+// How long to wait for something to happen before the check fails
+const WAIT_MS = 5000;
+
+// ===== SERVERS =====
+
+// Ask the OS for a port nobody is using
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Start server.js as one node of the cluster and wait until it is listening
+function startNode(port, redisPort) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: {
+                ...process.env,
+                PORT: String(port),
+                STORAGE: 'memory',
+                BACKPLANE: 'redis',
+                REDIS_URL: `redis://localhost:${redisPort}`,
+                DEV_LOGIN: 'true',
+                AUTH_SECRET: process.env.AUTH_SECRET || 'cluster-secret'
+            },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        
+        child.once('error', reject);
+        child.stdout.on('data', chunk => {
+            if (chunk.toString().includes('Server running')) {
+                resolve(child);
+            }
+        });
+    });
+}
+
+function stopNode(child) {
+    if (child.exitCode !== null) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+    });
+}
+
+// ===== CLIENTS =====
+
+// Log in with the development login and join `room` on the node at `port`.
+// Every message the client receives is kept in `client.messages`.
+async function connect(port, room, name) {
+    const response = await fetch(`http://localhost:${port}/auth/dev-login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+    });
+    const { token } = await response.json();
+    
+    const ws = new WebSocket(`ws://localhost:${port}/ws?room=${room}&clientId=${name}&token=${token}`);
+    const client = { ws, name, messages: [], listeners: new Set() };
+    ws.on('message', raw => {
+        const message = JSON.parse(raw);
+        client.messages.push(message);
+        client.listeners.forEach(listener => listener());
+    });
+    
+    // The history comes right after the welcome
+    await waitFor(client, message => message.type === 'history', `${name} to join`);
+    client.user = client.messages.find(message => message.type === 'welcome').user;
+    return client;
+}
+
+// Wait until `client` has received a message matching `test` (or the last
+// one, if there are several)
+function waitFor(client, test, what) {
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            const found = client.messages.filter(test);
+            if (found.length > 0) {
+                client.listeners.delete(check);
+                clearTimeout(timer);
+                resolve(found[found.length - 1]);
+            }
+        };
+        const timer = setTimeout(() => {
+            client.listeners.delete(check);
+            reject(new Error(`timed out waiting for ${what}`));
+        }, WAIT_MS);
+        
+        client.listeners.add(check);
+        check();
+    });
+}
+
+// Wait until the client's latest userCount is `count`
+function waitForCount(client, count) {
+    return new Promise((resolve, reject) => {
+        const latest = () => [...client.messages].reverse().find(message => message.type === 'userCount');
+        const check = () => {
+            const message = latest();
+            if (message && message.count === count) {
+                client.listeners.delete(check);
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        const timer = setTimeout(() => {
+            client.listeners.delete(check);
+            const message = latest();
+            reject(new Error(`${client.name} sees ${message ? message.count : '?'} users instead of ${count}`));
+        }, WAIT_MS);
+        
+        client.listeners.add(check);
+        check();
+    });
+}
+
+// What `client` was last told about the user with connection ID `id`
+function userSeenBy(client, id) {
+    let user = null;
+    client.messages.forEach(message => {
+        if (message.type === 'presence') {
+            user = message.users.find(entry => entry.id === id) || user;
+        } else if ((message.type === 'userJoined' || message.type === 'userUpdated') && message.user.id === id) {
+            user = message.user;
+        }
+    });
+    return user;
+}
+
+function send(client, message) {
+    client.ws.send(JSON.stringify(message));
+}
+
+function shape(id, x) {
+    return { type: 'shape', data: { id, shape: 'rect', x1: x, y1: 10, x2: x + 20, y2: 30, color: '#e53935', size: 2 } };
+}
+
+// Board changes the client received, in order: "type:id"
+function changes(client) {
+    return client.messages
+        .filter(message => message.seq !== undefined)
+        .map(message => `${message.type}:${(message.data && message.data.id) || ''}`);
+}
+
+function pass(description) {
+    console.log(`  ok  ${description}`);
+}
+
+// ===== THE CHECKS =====
+
+async function check(ports) {
+    const [portA, portB] = ports;
+    const room = 'cluster-check';
+    
+    // Presence across nodes
+    const alice = await connect(portA, room, 'alice');
+    const bob = await connect(portB, room, 'bob');
+    await Promise.all([waitForCount(alice, 2), waitForCount(bob, 2)]);
+    await waitFor(alice, message => message.type === 'userJoined' && message.user.id === bob.user.id, 'alice to hear about bob');
+    pass('users on both nodes are counted and listed');
+    
+    // The first user (alice) owns the board - on bob's node too
+    await waitFor(bob, () => (userSeenBy(bob, alice.user.id) || {}).role === 'owner', 'bob to see alice as owner');
+    pass('ownership is shared');
+    
+    // Drawings both ways
+    send(alice, shape('a-1', 10));
+    await waitFor(bob, message => message.type === 'shape' && message.data.id === 'a-1', 'bob to get alice\'s shape');
+    send(bob, shape('b-1', 50));
+    await waitFor(alice, message => message.type === 'shape' && message.data.id === 'b-1', 'alice to get bob\'s shape');
+    pass('drawings reach the other node');
+    
+    // Changes sent at the same moment on both nodes arrive in the same order everywhere
+    // (15 shapes each stays within the rate limiter's burst)
+    for (let i = 0; i < 15; i++) {
+        send(alice, shape(`a-burst-${i}`, i * 5));
+        send(bob, shape(`b-burst-${i}`, i * 5));
+    }
+    send(alice, { type: 'clear' });
+    const total = 2 + 2 * 15 + 1;
+    await Promise.all([alice, bob].map(client =>
+        waitFor(client, () => changes(client).length === total, `${client.name} to get all ${total} changes`)));
+    const aliceOrder = changes(alice).join(',');
+    const bobOrder = changes(bob).join(',');
+    if (aliceOrder !== bobOrder) {
+        throw new Error(`nodes applied changes in different orders:\n  alice: ${aliceOrder}\n  bob:   ${bobOrder}`);
+    }
+    pass(`${changes(alice).length} changes arrive in the same order on both nodes`);
+    
+    // Role changes made on one node apply on the other
+    send(alice, { type: 'setRole', id: bob.user.id, role: 'viewer' });
+    await waitFor(bob, message => message.type === 'permissions' && message.role === 'viewer', 'bob to become a viewer');
+    pass('role changes reach the other node');
+    
+    // A room only node A has is fetched when node B gets its first user
+    const lateRoom = 'cluster-check-late';
+    const carol = await connect(portA, lateRoom, 'carol');
+    send(carol, shape('c-1', 100));
+    await waitFor(carol, message => message.type === 'shape' && message.data.id === 'c-1', 'carol to get her own shape');
+    const dave = await connect(portB, lateRoom, 'dave');
+    const history = dave.messages.find(message => message.type === 'history');
+    if (!history || !JSON.stringify(history).includes('c-1')) {
+        throw new Error('dave\'s history is missing carol\'s drawing');
+    }
+    pass('a node that joins a room late gets the board from the other node');
+    
+    // Leaving on one node
+    dave.ws.close();
+    await waitForCount(carol, 1);
+    pass('users who leave are removed on the other node');
+    
+    carol.ws.close();
+    return { alice, bob };
+}
+
+async function main() {
+    const redisPort = await freePort();
+    const standin = createStandin();
+    await new Promise(resolve => standin.listen(redisPort, resolve));
+    
+    const ports = [await freePort(), await freePort()];
+    const nodes = [];
+    try {
+        for (const port of ports) {
+            nodes.push(await startNode(port, redisPort));
+        }
+        console.log(`Two nodes on ports ${ports.join(' and ')}, Redis stand-in on port ${redisPort}\n`);
+        
+        const { alice } = await check(ports);
+        
+        // A node that shuts down says goodbye, so its users disappear at once
+        await stopNode(nodes[1]);
+        await waitForCount(alice, 1);
+        pass('users of a node that shuts down are removed');
+        alice.ws.close();
+        
+        console.log('\nCluster check passed');
+    } finally {
+        await Promise.all(nodes.map(stopNode));
+        standin.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Cluster check failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,25 @@
+// ===== COMPACT SAVED BOARDS =====
+// Rewrites every saved board log so it only contains the events needed to
+// rebuild the current drawing. Run it while the server is stopped:
+//
+//   npm run compact
+//
+// The server also compacts logs on its own once they grow large
+// (see COMPACT_THRESHOLD in server.js), so this is only needed for
+// occasional housekeeping.
+
+require('dotenv').config({ quiet: true });
+
+const { createStore } = require('../lib/storage');
+const BoardState = require('../public/board-state');
+
+const store = createStore();
+
+store.loadAll().forEach((events, room) => {
+    const board = BoardState.fromEvents(events);
+    const compacted = board.toEvents();
+    store.compact(room, compacted);
+    console.log(`${room}: ${events.length} -> ${compacted.length} events`);
+});
+
+store.close();
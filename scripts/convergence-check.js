@@ -0,0 +1,490 @@
+// ===== CONVERGENCE CHECK =====
+// Simulates many clients editing one board at once, with messages that
+// arrive late and in different orders, and checks that every copy of the
+// board ends up the same (see "Merging changes" in public/board-state.js).
+// Each round is run two ways:
+//
+//   - peer to peer: every change goes straight to every other client, after
+//     a random delay. A change only waits for the changes its sender had
+//     seen, so clients get them in very different orders.
+//   - through a server, like server.js: the server checks every message
+//     (lib/validation.js), applies it and passes it on. Links have random
+//     latency, clients go offline for a while, and some come back by
+//     loading the server's board instead of catching up.
+//
+// Clients draw strokes (in pieces), shapes, text and images, undo and redo,
+// move, scale, recolor and delete anyone's items, add, rename, move, hide and
+// lock layers, change the background, clear the board and import boards - all
+// at random.
+//
+//   npm run convergence-check
+//   npm run convergence-check -- 100      (more rounds)
+//
+// Every round has its own seed, so a failure can be repeated exactly.
+// npm test runs a few rounds of it too (test/convergence.test.js).
+
+// lib/validation.js loads lib/auth.js, which warns when there is no secret
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'convergence-secret';
+
+const BoardState = require('../public/board-state');
+const { validateMessage } = require('../lib/validation');
+
+const ROUNDS = parseInt(process.argv[2], 10) || 30;
+const CLIENTS = 5;
+const STEPS = 600;
+
+const COLORS = ['#000000', '#e63946', '#2a9d8f', '#264653', '#f4a261'];
+const SHAPES = ['line', 'rect', 'ellipse', 'arrow'];
+
+// A made-up upload URL (see lib/uploads.js) - nothing is ever fetched
+function imageUrl(random) {
+    const hex = Array.from({ length: 32 }, () => random.int(16).toString(16)).join('');
+    return `/uploads/${hex}.png`;
+}
+
+// ===== RANDOM NUMBERS =====
+// A small seeded generator (mulberry32), so every round can be run again
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    
+    return {
+        next,
+        int: max => Math.floor(next() * max),
+        chance: probability => next() < probability,
+        pick: list => list[Math.floor(next() * list.length)],
+        coordinate: () => Math.round(next() * 2000 - 1000)
+    };
+}
+
+// ===== SIMULATED CLIENTS =====
+// Each one makes changes the way public/app.js does: applied to its own
+// board first (and only sent if the board accepted them), with a clock from
+// board.tick()
+function createClient(id, random) {
+    return { id, random, board: new BoardState(), itemCount: 0, layerCount: 0, stroke: null };
+}
+
+// The next change a client makes, already applied to its own board, or null
+function makeChange(client) {
+    const { random, board } = client;
+    
+    // Strokes arrive in pieces - keep drawing the current one most of the time
+    if (client.stroke && random.chance(0.7)) {
+        return continueStroke(client);
+    }
+    client.stroke = null;
+    
+    const message = randomChange(client);
+    if (!message || !board.apply(message)) {
+        return null;
+    }
+    if (message.type === 'polyline') {
+        client.stroke = { data: message.data, pieces: 1 + random.int(6) };
+    }
+    return message;
+}
+
+function randomChange(client) {
+    const { id, random, board } = client;
+    const items = board.getItems();
+    const layers = board.getLayers();
+    const base = () => ({ timestamp: Date.now(), clientId: id });
+    
+    // Anyone's item, or null if the board is empty
+    const anyItem = () => (items.length > 0 ? random.pick(items) : null);
+    
+    const roll = random.next();
+    
+    // A new stroke (its first piece)
+    if (roll < 0.3) {
+        const points = [random.coordinate(), random.coordinate(), random.coordinate(), random.coordinate()];
+        const withPressure = random.chance(0.3);
+        return {
+            type: 'polyline',
+            data: {
+                strokeId: `${id}-s${client.itemCount++}`,
+                layer: random.pick(layers).id,
+                tool: random.chance(0.1) ? 'eraser' : 'pen',
+                color: random.pick(COLORS),
+                size: 1 + random.int(20),
+                points,
+                ...(withPressure ? { widths: [1 + random.int(10), 1 + random.int(10)] } : {}),
+                ...base(),
+                clock: board.tick()
+            }
+        };
+    }
+    
+    if (roll < 0.4) {
+        return {
+            type: 'shape',
+            data: {
+                id: `${id}-i${client.itemCount++}`,
+                layer: random.pick(layers).id,
+                shape: random.pick(SHAPES),
+                x1: random.coordinate(),
+                y1: random.coordinate(),
+                x2: random.coordinate(),
+                y2: random.coordinate(),
+                color: random.pick(COLORS),
+                size: 1 + random.int(20),
+                ...base(),
+                clock: board.tick()
+            }
+        };
+    }
+    
+    if (roll < 0.45) {
+        return {
+            type: 'text',
+            data: {
+                id: `${id}-i${client.itemCount++}`,
+                layer: random.pick(layers).id,
+                x: random.coordinate(),
+                y: random.coordinate(),
+                text: `note ${client.itemCount}`,
+                color: random.pick(COLORS),
+                size: 1 + random.int(20),
+                ...base(),
+                clock: board.tick()
+            }
+        };
+    }
+    
+    if (roll < 0.48) {
+        return {
+            type: 'image',
+            data: {
+                id: `${id}-i${client.itemCount++}`,
+                layer: random.pick(layers).id,
+                url: imageUrl(random),
+                x: random.coordinate(),
+                y: random.coordinate(),
+                width: 1 + random.int(800),
+                height: 1 + random.int(800),
+                ...base(),
+                clock: board.tick()
+            }
+        };
+    }
+    
+    // Undo or redo one of our own items
+    if (roll < 0.58) {
+        const own = items.filter(item => item.clientId === id);
+        if (own.length === 0) return null;
+        const item = random.pick(own);
+        return { type: item.undone ? 'redo' : 'undo', data: { strokeId: item.id, ...base(), clock: board.tick() } };
+    }
+    
+    // Edit a few of anyone's items
+    if (roll < 0.76) {
+        if (!anyItem()) return null;
+        const ids = [...new Set([anyItem().id, anyItem().id, anyItem().id])];
+        const edits = [
+            { type: 'move', data: { ids, dx: random.coordinate() / 10, dy: random.coordinate() / 10 } },
+            { type: 'scale', data: { ids, x: random.coordinate(), y: random.coordinate(), factor: 0.5 + random.int(16) / 10 } },
+            { type: 'recolor', data: { ids, color: random.pick(COLORS) } },
+            { type: 'delete', data: { ids } }
+        ];
+        const edit = random.pick(edits);
+        return { type: edit.type, data: { ...edit.data, ...base(), clock: board.tick() } };
+    }
+    
+    // Change a layer
+    if (roll < 0.92) {
+        const layer = random.pick(layers);
+        const changes = [
+            { op: 'add', id: `${id}-L${client.layerCount++}`, name: `Layer ${client.layerCount}` },
+            { op: 'rename', id: layer.id, name: `Renamed by ${id}` },
+            { op: 'move', id: layer.id, index: random.int(layers.length) },
+            { op: 'hide', id: layer.id, hidden: !layer.hidden },
+            { op: 'lock', id: layer.id, locked: !layer.locked },
+            { op: 'lock', id: layer.id, locked: !layer.locked }
+        ];
+        return { type: 'layer', data: { ...random.pick(changes), ...base(), clock: board.tick() } };
+    }
+    
+    if (roll < 0.94) {
+        return { type: 'background', data: { background: random.pick(BoardState.BACKGROUNDS), ...base(), clock: board.tick() } };
+    }
+    
+    if (roll < 0.97) {
+        return { type: 'clear', data: { seen: board.seenClocks(), ...base(), clock: board.tick() } };
+    }
+    
+    // Import some of the items we have (like exporting part of the board and
+    // importing it again)
+    const imported = items.slice(0, random.int(6)).map(item => {
+        const { clock, ...copy } = JSON.parse(JSON.stringify(item));
+        return copy;
+    });
+    return {
+        type: 'import',
+        data: {
+            items: imported,
+            ...(random.chance(0.5) ? { layers: JSON.parse(JSON.stringify(layers)) } : {}),
+            ...(random.chance(0.5) ? { background: random.pick(BoardState.BACKGROUNDS) } : {}),
+            seen: board.seenClocks(),
+            ...base(),
+            clock: board.tick()
+        }
+    };
+}
+
+// The next piece of the client's current stroke
+function continueStroke(client) {
+    const { random, board, stroke } = client;
+    const last = stroke.data.points.slice(-2);
+    const points = last.concat([random.coordinate(), random.coordinate(), random.coordinate(), random.coordinate()]);
+    const data = {
+        ...stroke.data,
+        points,
+        ...(stroke.data.widths ? { widths: [1, 1 + random.int(10), 1 + random.int(10)] } : {}),
+        timestamp: Date.now()
+    };
+    stroke.data = data;
+    if (--stroke.pieces === 0) {
+        client.stroke = null;
+    }
+    
+    const message = { type: 'polyline', data };
+    board.apply(message);
+    return message;
+}
+
+// Every message is copied as it goes over the "network", like JSON over a WebSocket
+function copy(message) {
+    return JSON.parse(JSON.stringify(message));
+}
+
+// ===== COMPARING BOARDS =====
+
+// A copy of `value` with every object's keys sorted, so objects built in a
+// different order still compare equal
+function sortKeys(value) {
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+}
+
+// What a user sees of a board: its items, layers and background
+// `server` leaves out what the server fills in itself (times and authors),
+// which clients don't know for their own changes
+function boardView(board, server) {
+    const items = board.getItems().map(item => {
+        if (!server) return item;
+        const { createdAt, endedAt, undoneAt, author, ...rest } = item;
+        return rest;
+    });
+    return JSON.stringify(sortKeys({ items, layers: board.getLayers(), background: board.getBackground() }));
+}
+
+// Throws unless every board looks the same
+function compareBoards(boards, what, server) {
+    const expected = boardView(boards[0], server);
+    boards.forEach((board, i) => {
+        if (boardView(board, server) !== expected) {
+            throw new Error(`${what}: board ${i} is different from board 0`);
+        }
+    });
+}
+
+// Throws unless saving and loading a board (as a log and as a 'history' message) keeps it the same
+function checkRoundTrip(board, what) {
+    const snapshot = JSON.stringify(board.toSnapshot());
+    const fromLog = BoardState.fromEvents(copy(board.toEvents()));
+    const fromHistory = BoardState.fromHistoryMessage(copy(board.toHistoryMessage()));
+    if (JSON.stringify(fromLog.toSnapshot()) !== snapshot || JSON.stringify(fromHistory.toSnapshot()) !== snapshot) {
+        throw new Error(`${what}: the board changes when it is saved and loaded`);
+    }
+}
+
+// ===== PEER TO PEER =====
+// Every change is sent to every other client with its own delay. It is only
+// applied once the receiver has everything its sender had seen (causal
+// delivery: nobody can change an item they haven't seen yet).
+function runPeerToPeer(seed) {
+    const random = createRandom(seed);
+    const clients = Array.from({ length: CLIENTS }, (_, i) => createClient(`c${i}`, createRandom(seed * 31 + i)));
+    
+    // seen[i][j]: how many of client j's changes client i has applied
+    const seen = clients.map(() => clients.map(() => 0));
+    
+    // Messages on their way: { to, from, deps, message }, in no particular order
+    let inFlight = [];
+    
+    // Messages that arrived before what they depend on
+    const waiting = clients.map(() => []);
+    
+    const isReady = (to, entry) => entry.deps.every((count, j) => (j === entry.from ? seen[to][j] === count - 1 : seen[to][j] >= count));
+    
+    // Apply every waiting message of client `to` that can be applied now
+    const deliverReady = to => {
+        let progress = true;
+        while (progress) {
+            progress = false;
+            waiting[to].forEach((entry, index) => {
+                if (progress || !isReady(to, entry)) return;
+                waiting[to].splice(index, 1);
+                clients[to].board.apply(entry.message);
+                seen[to][entry.from]++;
+                progress = true;
+            });
+        }
+    };
+    
+    const deliverOne = () => {
+        const [entry] = inFlight.splice(random.int(inFlight.length), 1);
+        waiting[entry.to].push(entry);
+        deliverReady(entry.to);
+    };
+    
+    for (let step = 0; step < STEPS; step++) {
+        if (inFlight.length > 0 && random.chance(0.5)) {
+            deliverOne();
+            continue;
+        }
+        
+        const from = random.int(CLIENTS);
+        const message = makeChange(clients[from]);
+        if (!message) continue;
+        
+        seen[from][from]++;
+        const deps = seen[from].slice();
+        clients.forEach((_, to) => {
+            if (to !== from) {
+                inFlight.push({ to, from, deps, message: copy(message) });
+            }
+        });
+    }
+    
+    while (inFlight.length > 0) {
+        deliverOne();
+    }
+    if (waiting.some(list => list.length > 0)) {
+        throw new Error('peer to peer: some messages were never delivered');
+    }
+    
+    const boards = clients.map(client => client.board);
+    compareBoards(boards, 'peer to peer', false);
+    boards.forEach((board, i) => checkRoundTrip(board, `peer to peer, board ${i}`));
+    return boards[0].getItems().length;
+}
+
+// ===== THROUGH A SERVER =====
+// Like the real thing: each client has a queue of messages to the server
+// and one from the server, and each queue keeps its order (like a WebSocket).
+// Offline clients' queues wait until they are back.
+function runThroughServer(seed) {
+    const random = createRandom(seed);
+    const clients = Array.from({ length: CLIENTS }, (_, i) => createClient(`c${i}`, createRandom(seed * 17 + i)));
+    const server = new BoardState();
+    
+    const toServer = clients.map(() => []);
+    const fromServer = clients.map(() => []);
+    const offline = clients.map(() => false);
+    
+    // The server checks the message, applies it and passes it on to everyone else
+    const receive = from => {
+        const message = validateMessage(JSON.stringify(toServer[from].shift()), clients[from].id);
+        if (server.apply(message)) {
+            clients.forEach((_, to) => {
+                if (to !== from) {
+                    fromServer[to].push(copy(message));
+                }
+            });
+        }
+    };
+    
+    // Coming back after a long time away: the client gets the server's whole
+    // board, then puts back the changes the server doesn't have yet (see
+    // resumeAfterSync in app.js)
+    const reload = i => {
+        fromServer[i] = [];
+        clients[i].board = BoardState.fromHistoryMessage(copy(server.toHistoryMessage()));
+        clients[i].stroke = null;
+        toServer[i].forEach(message => clients[i].board.apply(copy(message)));
+    };
+    
+    const busyLinks = () => clients.flatMap((_, i) => (offline[i] ? [] : [
+        ...(toServer[i].length > 0 ? [() => receive(i)] : []),
+        ...(fromServer[i].length > 0 ? [() => clients[i].board.apply(fromServer[i].shift())] : [])
+    ]));
+    
+    for (let step = 0; step < STEPS; step++) {
+        const links = busyLinks();
+        if (links.length > 0 && random.chance(0.5)) {
+            random.pick(links)();
+            continue;
+        }
+        
+        const i = random.int(CLIENTS);
+        if (random.chance(0.03)) {
+            offline[i] = !offline[i];
+            if (!offline[i] && random.chance(0.3)) {
+                reload(i);
+            }
+            continue;
+        }
+        
+        const message = makeChange(clients[i]);
+        if (message) {
+            toServer[i].push(copy(message));
+        }
+    }
+    
+    offline.fill(false);
+    for (let links = busyLinks(); links.length > 0; links = busyLinks()) {
+        random.pick(links)();
+    }
+    
+    const boards = [server, ...clients.map(client => client.board)];
+    compareBoards(boards, 'through a server', true);
+    checkRoundTrip(server, 'through a server');
+    return server.getItems().length;
+}
+
+function pass(description) {
+    console.log(`  ok  ${description}`);
+}
+
+function main() {
+    const firstSeed = parseInt(process.env.SEED, 10) || 1;
+    console.log(`${ROUNDS} rounds of ${CLIENTS} clients and ${STEPS} steps, seeds ${firstSeed}-${firstSeed + ROUNDS - 1}\n`);
+    
+    for (let seed = firstSeed; seed < firstSeed + ROUNDS; seed++) {
+        try {
+            const peerItems = runPeerToPeer(seed);
+            const serverItems = runThroughServer(seed);
+            pass(`seed ${seed}: ${peerItems} items peer to peer, ${serverItems} through a server`);
+        } catch (error) {
+            error.message = `seed ${seed}: ${error.message} (run again with SEED=${seed})`;
+            throw error;
+        }
+    }
+    
+    console.log('\nConvergence check passed');
+}
+
+// Started directly (not required by the tests): run every round
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error('Convergence check failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { runPeerToPeer, runThroughServer };
@@ -0,0 +1,151 @@
+// ===== LOCAL REDIS STAND-IN =====
+// A tiny server that speaks enough of the Redis protocol for the Redis
+// backplane (lib/backplane/redis-backplane.js), so several server processes
+// can be tried out on one machine without installing Redis:
+//
+//   npm run redis-standin                       (listens on port 6379)
+//   PORT=6380 node scripts/redis-standin.js
+//
+// Supported commands: PING, AUTH, SELECT, GET, SET, SETNX, INCR, DEL,
+// PUBLISH, SUBSCRIBE, UNSUBSCRIBE and QUIT. Everything is kept in memory and
+// there is only one database. Use a real Redis server in production.
+
+const net = require('net');
+const { encodeCommand, parseReply } = require('../lib/backplane/redis-backplane');
+
+// ===== REPLIES =====
+const reply = {
+    ok: () => '+OK\r\n',
+    error: message => `-ERR ${message}\r\n`,
+    integer: value => `:${value}\r\n`,
+    string: value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`),
+    array: values => encodeCommand(values) // Same format as a command: an array of strings
+};
+
+function createStandin() {
+    const keys = new Map();            // Key -> string value
+    const channels = new Map();        // Channel -> Set of sockets
+    
+    // Run one command from `socket`; returns the reply to send back
+    function run(socket, [name, ...args]) {
+        switch (String(name).toUpperCase()) {
+            case 'PING':
+                return args.length > 0 ? reply.string(args[0]) : '+PONG\r\n';
+            
+            // No passwords or databases here - accept whatever the client asks for
+            case 'AUTH':
+            case 'SELECT':
+                return reply.ok();
+            
+            case 'GET':
+                return reply.string(keys.has(args[0]) ? keys.get(args[0]) : null);
+            
+            case 'SET':
+                if (args.slice(2).some(option => option.toUpperCase() === 'NX') && keys.has(args[0])) {
+                    return reply.string(null);
+                }
+                keys.set(args[0], args[1]);
+                return reply.ok();
+            
+            case 'SETNX':
+                if (keys.has(args[0])) {
+                    return reply.integer(0);
+                }
+                keys.set(args[0], args[1]);
+                return reply.integer(1);
+            
+            case 'INCR': {
+                const value = Number(keys.get(args[0]) || 0) + 1;
+                if (!Number.isSafeInteger(value)) {
+                    return reply.error('value is not an integer or out of range');
+                }
+                keys.set(args[0], String(value));
+                return reply.integer(value);
+            }
+            
+            case 'DEL': {
+                const deleted = args.filter(key => keys.delete(key)).length;
+                return reply.integer(deleted);
+            }
+            
+            case 'PUBLISH': {
+                const subscribers = channels.get(args[0]) || new Set();
+                const message = reply.array(['message', args[0], args[1]]);
+                subscribers.forEach(subscriber => subscriber.write(message));
+                return reply.integer(subscribers.size);
+            }
+            
+            // Each channel is confirmed with [ 'subscribe', channel, number of our channels ]
+            case 'SUBSCRIBE':
+                return args.map(channel => {
+                    if (!channels.has(channel)) {
+                        channels.set(channel, new Set());
+                    }
+                    channels.get(channel).add(socket);
+                    socket.channels.add(channel);
+                    return `*3\r\n${reply.string('subscribe')}${reply.string(channel)}${reply.integer(socket.channels.size)}`;
+                }).join('');
+            
+            case 'UNSUBSCRIBE':
+                return (args.length > 0 ? args : [...socket.channels]).map(channel => {
+                    unsubscribe(socket, channel);
+                    return `*3\r\n${reply.string('unsubscribe')}${reply.string(channel)}${reply.integer(socket.channels.size)}`;
+                }).join('');
+            
+            case 'QUIT':
+                socket.end(reply.ok());
+                return '';
+            
+            default:
+                return reply.error(`unknown command '${name}'`);
+        }
+    }
+    
+    function unsubscribe(socket, channel) {
+        socket.channels.delete(channel);
+        const subscribers = channels.get(channel);
+        if (subscribers) {
+            subscribers.delete(socket);
+            if (subscribers.size === 0) {
+                channels.delete(channel);
+            }
+        }
+    }
+    
+    return net.createServer(socket => {
+        socket.setNoDelay(true);
+        socket.channels = new Set();
+        let buffer = Buffer.alloc(0);
+        
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            
+            // Commands arrive in the same format as array replies
+            let offset = 0;
+            let command;
+            try {
+                while ((command = parseReply(buffer, offset))) {
+                    offset = command.offset;
+                    socket.write(run(socket, command.value));
+                }
+            } catch (error) {
+                socket.end(reply.error('Protocol error'));
+                return;
+            }
+            buffer = buffer.subarray(offset);
+        });
+        
+        socket.on('close', () => [...socket.channels].forEach(channel => unsubscribe(socket, channel)));
+        socket.on('error', () => {}); // A client that disappears just closes
+    });
+}
+
+// Started directly (not required by another script): listen on PORT
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 6379;
+    createStandin().listen(port, () => {
+        console.log(`Redis stand-in listening on port ${port} (REDIS_URL=redis://localhost:${port})`);
+    });
+}
+
+module.exports = { createStandin };
@@ -1,10 +1,41 @@
+// ===== LOAD ENVIRONMENT VARIABLES =====
+// Reads settings such as PORT or STORAGE from a local .env file (if there is one)
+require('dotenv').config({ quiet: true });
+
 // ===== IMPORT REQUIRED PACKAGES =====
 // Express: Web framework for creating HTTP server and serving static files
 const express = require('express');
 // WebSocket: Library for WebSocket protocol implementation
 const WebSocket = require('ws');
+// HTTP: Node.js module that runs the web server Express and WebSocket share
+const http = require('http');
 // Path: Node.js module for working with file paths
 const path = require('path');
+// Crypto: used to give every connection a random ID
+const crypto = require('crypto');
+// Storage: saves each board's draw/clear events so they survive restarts
+const { createStore } = require('./lib/storage');
+// Uploads: images people place on boards, saved as files
+const { MAX_UPLOAD_BYTES, UploadError, createUploadStore, mimeType } = require('./lib/uploads');
+// Backplane: keeps rooms in step between several server processes
+const { createBackplane } = require('./lib/backplane');
+// Board state: a CRDT of items and layers
+// (shared with the browser, which is why it lives in public/)
+const BoardState = require('./public/board-state');
+// Export helpers: SVG/JSON (shared with the browser) and PNG (server only)
+const BoardExport = require('./public/board-export');
+const { renderPng, ExportError } = require('./lib/png-export');
+// Validation: checks every incoming message against its schema
+const { MAX_MESSAGE_BYTES, ValidationError, validateMessage, sanitizeName, isValidId } = require('./lib/validation');
+// Rate limiting: per-connection token buckets for each message type
+const { RateLimiter } = require('./lib/rate-limiter');
+// Authentication: signed tokens that say who a user is
+const { AuthError, signToken, verifyToken, clientKey, checkClientKey, getTokenFromRequest } = require('./lib/auth');
+// Permissions: what owners, editors and viewers may do on a board
+const { roleFor, can, permissionsFor, deniedMessage } = require('./lib/permissions');
+// Logging and metrics: one JSON object per log line, and numbers for Prometheus
+const { logger } = require('./lib/logger');
+const { Registry } = require('./lib/metrics');
 
 // ===== INITIALIZE EXPRESS APPLICATION =====
 const app = express();
@@ -16,98 +47,1477 @@ const PORT = process.env.PORT || 3000;
 // This means when someone visits your site, they'll get these files
 app.use(express.static('public'));
 
-// ===== CREATE HEALTH CHECK ENDPOINT =====
-// Azure App Service uses this to check if your app is running
-// Without this, Azure might think your app is broken
-app.get('/health', (req, res) => {
-    res.status(200).send('OK');
+// ===== DEVELOPMENT LOGIN =====
+// A stand-in for a real login service: hands out a signed token to anyone who asks.
+//   POST /auth/dev-login  { "name": "Sam" }
+//   -> { token, user: { id, name } }
+// Every new login is a new user. To stay the same user (and owner) across
+// visits, the browser sends its current token along (Authorization: Bearer ...):
+// while that token is still valid, the new one keeps its user ID. Nobody can
+// become someone else by just naming their user ID.
+// Only enabled with DEV_LOGIN=true - in production, tokens should come from a
+// real login service that shares AUTH_SECRET.
+const DEV_LOGIN = process.env.DEV_LOGIN === 'true';
+
+// The user ID of a still-valid token sent with the request, or null
+function renewedUserId(req) {
+    try {
+        return verifyToken(getTokenFromRequest(req)).sub;
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+if (DEV_LOGIN) {
+    app.post('/auth/dev-login', express.json({ limit: '1kb' }), (req, res) => {
+        const body = req.body || {};
+        const userId = renewedUserId(req) || crypto.randomUUID();
+        const name = sanitizeName(body.name) || 'Guest';
+        
+        res.json({ token: signToken({ sub: userId, name }), user: { id: userId, name } });
+    });
+}
+
+// ===== REQUIRE A TOKEN =====
+// Express middleware for routes that only logged-in users may use
+// The token's claims end up in req.user
+function requireAuth(req, res, next) {
+    try {
+        req.user = verifyToken(getTokenFromRequest(req));
+        next();
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(401).send(`Unauthorized: ${error.message}`);
+        }
+        next(error);
+    }
+}
+
+// ===== ROOM PAGES =====
+// Rooms can also be opened with a path like /r/design-review
+// We serve the same page; the client reads the room name from the URL
+app.get('/r/:room', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// ===== START HTTP SERVER =====
-// Create HTTP server and listen on specified port
+// ===== CREATE HTTP SERVER =====
+// Create the HTTP server for our Express app
 // We save the server instance because WebSocket needs to attach to it
-const server = app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Open http://localhost:${PORT} in your browser`);
-});
+// It starts listening in start() (see the end of this file)
+const server = http.createServer(app);
+
+// ===== MESSAGE COMPRESSION =====
+// With WS_COMPRESSION=true, messages are compressed with the permessage-deflate
+// extension (browsers support it out of the box). It saves bandwidth on slow
+// links but costs some CPU and memory per connection, so it is off by default.
+const WS_COMPRESSION = process.env.WS_COMPRESSION === 'true';
 
 // ===== CREATE WEBSOCKET SERVER =====
 // WebSocket server attaches to the existing HTTP server
 // The 'path' option means WebSocket connections go to ws://localhost:3000/ws
 const wss = new WebSocket.Server({ 
     server,      // Attach to our Express server
-    path: '/ws'  // WebSocket endpoint path
+    path: '/ws', // WebSocket endpoint path
+    // Frames larger than this close the connection straight away.
+    // Messages between MAX_MESSAGE_BYTES and this limit are rejected with an error instead.
+    maxPayload: MAX_MESSAGE_BYTES * 2,
+    perMessageDeflate: WS_COMPRESSION,
+    // ===== CHECK THE TOKEN DURING THE UPGRADE =====
+    // Runs before the connection is accepted. Without a valid token the
+    // handshake is refused with HTTP 401 and no WebSocket is ever opened.
+    verifyClient: ({ req }, done) => {
+        try {
+            req.user = verifyToken(getTokenFromRequest(req));
+            done(true);
+        } catch (error) {
+            log.warn('Refused WebSocket connection', { reason: error.message, address: clientAddress(req) });
+            done(false, 401, 'Unauthorized');
+        }
+    }
 });
 
 // ===== GLOBAL VARIABLES FOR STATE MANAGEMENT =====
-// Set: A collection that stores unique connected clients
-// Using Set instead of Array because it's easier to add/remove clients
-const clients = new Set();
+// Map of room name -> room object
+// Each room is its own drawing board with its own clients and history
+const rooms = new Map();
+
+// Room used when the URL does not name one
+const DEFAULT_ROOM = 'lobby';
+
+// A client that sends this many invalid messages within BAD_MESSAGE_WINDOW_MS is disconnected
+const MAX_BAD_MESSAGES = parseInt(process.env.MAX_BAD_MESSAGES, 10) || 10;
+const BAD_MESSAGE_WINDOW_MS = 60 * 1000;
+
+// A client that goes over its rate limit this many times within DROPPED_WINDOW_MS is disconnected
+const MAX_DROPPED_MESSAGES = parseInt(process.env.MAX_DROPPED_MESSAGES, 10) || 300;
+const DROPPED_WINDOW_MS = 10 * 1000;
+
+// Tell a throttled client at most once per second
+const THROTTLE_NOTICE_INTERVAL_MS = 1000;
+
+// Every PING_INTERVAL_MS each connection gets a WebSocket ping; one that
+// misses MAX_MISSED_PONGS pings in a row is treated as dead (see checkLiveness)
+const PING_INTERVAL_MS = parseInt(process.env.PING_INTERVAL_MS, 10) || 30 * 1000;
+const MAX_MISSED_PONGS = parseInt(process.env.MAX_MISSED_PONGS, 10) || 2;
+
+// Colors handed out to users in a room (for cursors and the user list)
+const USER_COLORS = [
+    '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4',
+    '#f032e6', '#469990', '#9a6324', '#800000', '#808000', '#000075'
+];
+
+// Counters for messages dropped by the rate limiter (shown at /stats)
+const stats = {
+    droppedMessages: 0,   // Total since the server started
+    droppedByType: {}     // e.g. { draw: 120, clear: 3 }
+};
+
+// ===== METRICS =====
+// Numbers about this node for Prometheus, at GET /metrics (see lib/metrics.js).
+// These are counted as things happen; the ones further down are read from
+// the rooms whenever /metrics is fetched.
+const metricsRegistry = new Registry();
+const metrics = {
+    messagesReceived: metricsRegistry.counter('drawing_messages_received_total',
+        'Valid messages received from clients, by type'),
+    messagesSent: metricsRegistry.counter('drawing_messages_sent_total',
+        'Messages sent to clients, by type'),
+    rejectedMessages: metricsRegistry.counter('drawing_rejected_messages_total',
+        'Messages refused because they were invalid or not allowed, by reason'),
+    broadcastLatency: metricsRegistry.histogram('drawing_broadcast_latency_seconds',
+        'Time from receiving a board change to sending it to the clients on this node, by type'),
+    deadConnections: metricsRegistry.counter('drawing_dead_connections_total',
+        'Connections closed because they stopped answering pings')
+};
+
+metricsRegistry.counter('drawing_dropped_messages_total', 'Messages dropped by the rate limiter, by type',
+    () => Object.entries(stats.droppedByType).map(([type, count]) => [{ type }, count]));
+metricsRegistry.gauge('drawing_connected_clients', 'WebSocket connections to this node',
+    () => [...rooms.values()].reduce((total, room) => total + room.clients.size, 0));
+metricsRegistry.gauge('drawing_rooms', 'Rooms this node has loaded', () => rooms.size);
+metricsRegistry.gauge('drawing_history_events', 'Events in the saved logs of the rooms on this node',
+    () => [...rooms.values()].reduce((total, room) => total + store.logLength(room.name), 0));
+metricsRegistry.gauge('process_resident_memory_bytes', 'Memory used by this process', () => process.memoryUsage().rss);
+metricsRegistry.gauge('process_uptime_seconds', 'Seconds since this process started', () => process.uptime());
+
+// ===== RESYNC AFTER A RECONNECT =====
+// Every board change sent to clients gets a sequence number (seq), counting up
+// per room. A client that reconnects tells us the last seq it saw, and gets
+// only the changes it missed - if we still have them. Older gaps get the full
+// history instead.
+const RESYNC_BUFFER_SIZE = 2000;
+
+// How far ahead of the board's Lamport clock a change's clock may be (see
+// board-state.js), and the clocks a clear or import says it had seen. A
+// client is only ahead by the changes it made offline; a huge clock would
+// make everyone's clocks jump.
+const MAX_CLOCK_LEAD = 100000;
+
+// Most bytes of uploaded images one export reads (an SVG export holds them
+// all, base64-encoded, in one string)
+const MAX_EXPORT_IMAGE_BYTES = parseInt(process.env.MAX_EXPORT_IMAGE_BYTES, 10) || 32 * 1024 * 1024;
+
+// How many clients' "last message received" numbers to remember per room
+// (used to ignore messages a client resends after a reconnect)
+const MAX_TRACKED_SESSIONS = 1000;
+
+// Where each room's draw/clear events are saved (see lib/storage)
+const store = createStore();
+
+// Where uploaded images are saved (see lib/uploads.js)
+const uploads = createUploadStore();
+
+// Compact a room's saved log once it has this many events
+// and at least twice as many events as the board needs
+const COMPACT_THRESHOLD = parseInt(process.env.COMPACT_THRESHOLD, 10) || 5000;
+
+// ===== RUNNING SEVERAL SERVER PROCESSES =====
+// Several copies of this server ("nodes") can run behind a load balancer.
+// Users of one room may then be connected to different nodes, so the nodes
+// share everything through the backplane (see lib/backplane):
+//
+//   - Board changes (and lock/role changes) get the room's next number from
+//     the backplane (the global seq) and are published on the room's channel.
+//     Every node, including the one that received the change, applies them
+//     in seq order, so all copies of the board end up the same.
+//   - A node that starts serving a room asks the nodes that already have it
+//     for their copy (see syncRoom).
+//   - Joins, leaves, name changes and cursors are passed on to the other nodes.
+//
+// With the default in-memory backplane there is just one node and all of
+// this happens inside this process.
+const NODE_ID = crypto.randomUUID().slice(0, 8);
+
+// Every log line says which node wrote it
+const log = logger.child({ node: NODE_ID });
+
+// Created by start() (see connectBackplane), so requiring this file doesn't
+// open any connections
+let backplane = null;
+
+// How long to wait for other nodes to send their copy of a room
+const STATE_TIMEOUT_MS = 1000;
+
+// How long to wait for a missing change before giving up on it (the node
+// that numbered it probably stopped before publishing it)
+const GAP_TIMEOUT_MS = 2000;
+
+// Nodes say they're alive this often; users of a node that stays quiet for
+// NODE_TIMEOUT_MS are removed from every room
+const NODE_HEARTBEAT_MS = 5000;
+const NODE_TIMEOUT_MS = 3 * NODE_HEARTBEAT_MS;
+
+// Backplane channel and key names
+const NODES_CHANNEL = 'drawing:nodes';
+function roomChannel(name) {
+    return `drawing:room:${name}`;
+}
+function roomKey(name, key) {
+    return `drawing:room:${name}:${key}`;
+}
+
+// ===== ROOM HELPERS =====
+// Turn whatever the client sent into a safe room name
+// Only lowercase letters, digits, '-' and '_' are kept (max 48 characters)
+function normalizeRoomName(name) {
+    const cleaned = String(name || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 48);
+    
+    return cleaned || DEFAULT_ROOM;
+}
+
+// Read the room name from the WebSocket URL, e.g. /ws?room=design-review
+function getRoomNameFromRequest(req) {
+    const url = new URL(req.url, 'http://localhost');
+    return normalizeRoomName(url.searchParams.get('room'));
+}
+
+// Pick the client ID for a connection from the WebSocket URL, e.g.
+//   /ws?room=lobby&clientId=abc123&clientKey=...
+// The client keeps its ID across reloads so it can still undo its own strokes.
+// It only gets it back with the key the server gave it (see clientKey in
+// lib/auth.js), and only while no other page of the room is using it.
+// Otherwise the server makes up a new one, sent back in the 'welcome' message.
+// Returns { clientId, isNew }
+function getClientIdFromRequest(req, room, sessionId) {
+    const url = new URL(req.url, 'http://localhost');
+    const clientId = url.searchParams.get('clientId');
+    
+    const owned = isValidId(clientId) && checkClientKey(req.user.sub, clientId, url.searchParams.get('clientKey'));
+    // A page reconnecting while its old connection is still open has the same session
+    // (a duplicated browser tab copies the client ID, but not the session)
+    const taken = [...room.clients].some(client => client.clientId === clientId && client.sessionId !== sessionId);
+    
+    return owned && !taken ? { clientId, isNew: false } : { clientId: crypto.randomUUID().slice(0, 8), isNew: true };
+}
+
+// Read the reconnect details from the WebSocket URL, e.g.
+//   /ws?room=lobby&session=x7f2k&epoch=3fa9c1d2&since=812
+// session: random ID of this page load; epoch + since: the last change the client saw
+function getResumeFromRequest(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const session = url.searchParams.get('session');
+    const since = Number(url.searchParams.get('since'));
+    
+    return {
+        sessionId: isValidId(session) ? session : null,
+        epoch: url.searchParams.get('epoch'),
+        since: url.searchParams.has('since') && Number.isSafeInteger(since) && since >= 0 ? since : null
+    };
+}
+
+// Read the display name from the WebSocket URL, e.g. /ws?room=lobby&name=Sam
+// Falls back to the name in the user's token
+function getNameFromRequest(req) {
+    const url = new URL(req.url, 'http://localhost');
+    return sanitizeName(url.searchParams.get('name')) || sanitizeName(req.user.name) || 'Guest';
+}
+
+// The address a request came from, for logs and /admin
+// Behind a proxy (like Azure's front end) that is the first X-Forwarded-For entry.
+// Clients can fake that header, so it's only for information.
+function clientAddress(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+// Pick a color for a new user: the first one nobody in the room is using
+function pickUserColor(room) {
+    const used = new Set(roomUsers(room).map(user => user.color));
+    return USER_COLORS.find(color => !used.has(color)) ||
+        USER_COLORS[used.size % USER_COLORS.length];
+}
+
+// What other users see about a connection: { id, name, color, role }
+// The user ID stays on the server - knowing someone's would be a step
+// towards pretending to be them
+function userInfo(ws) {
+    return { id: ws.connectionId, name: ws.userName, color: ws.userColor, role: ws.role };
+}
+
+// What the other nodes are told about a connection: userInfo plus the user
+// ID, so a role change can find the user behind a connection on any node
+function memberInfo(ws) {
+    return { ...userInfo(ws), userId: ws.userId };
+}
+
+// The user ID behind a connection in the room (on any node), or null
+function userIdOf(room, connectionId) {
+    const local = [...room.clients].find(client => client.connectionId === connectionId);
+    if (local) {
+        return local.userId;
+    }
+    const remote = room.remoteUsers.get(connectionId);
+    return remote ? remote.userId : null;
+}
+
+// Everyone in a room: our own connections and those on other nodes
+function roomUsers(room) {
+    return [...room.clients].map(userInfo).concat([...room.remoteUsers.values()].map(entry => entry.user));
+}
+
+// Tell a client what it may do on this board:
+// { type: 'permissions', role, locked, can: { draw, clear, lock, setRole } }
+function sendPermissions(ws, room) {
+    sendToClient(ws, {
+        type: 'permissions',
+        role: ws.role,
+        locked: room.access.locked,
+        can: permissionsFor(ws.role, room.access.locked)
+    });
+}
+
+// Get a room by name, creating it the first time someone joins
+function getRoom(name) {
+    if (!rooms.has(name)) {
+        const room = {
+            name,                 // Room name (also shown in the client UI)
+            clients: new Set(),   // WebSocket connections in this room (on this node)
+            board: new BoardState(), // Everything drawn in this room
+            // Who may do what (see lib/permissions): { roles: { userId: role }, locked }
+            access: store.loadAccess(name) || { roles: {}, locked: false },
+            // ===== RESYNC STATE =====
+            // epoch changes whenever the numbering starts again (e.g. after the
+            // backplane restarts), so old sequence numbers from clients can't be
+            // mixed up with new ones. Both come from the backplane (see syncRoom).
+            epoch: null,
+            seq: 0,               // Sequence number of the last change applied
+            recent: [],           // The last RESYNC_BUFFER_SIZE changes sent, with their seq
+            delivered: new Map(), // Session ID -> last msgSeq received from that client
+            // ===== SHARED WITH OTHER NODES =====
+            remoteUsers: new Map(), // Connection ID -> { user, node } for users on other nodes
+            pending: new Map(),   // Seq -> change that arrived before the one in front of it
+            gapTimer: null,
+            ready: false,         // True once we have an up-to-date copy of the room
+            sync: { buffered: [], replies: [], onReply: null }, // Used by syncRoom
+            whenReady: null       // Promise that resolves when `ready` becomes true
+        };
+        rooms.set(name, room);
+        room.whenReady = syncRoom(room).catch(error => {
+            log.error('Could not load room from the backplane', { room: name, error: error.message });
+        });
+        log.info('Room created', { room: name });
+    }
+    
+    return rooms.get(name);
+}
+
+// Forget a room once nobody (on this node) is in it and there is nothing drawn
+function removeRoomIfEmpty(room) {
+    if (room.ready && room.clients.size === 0 && room.board.isEmpty()) {
+        rooms.delete(room.name);
+        clearTimeout(room.gapTimer);
+        backplane.unsubscribe(roomChannel(room.name)).catch(() => {});
+        log.info('Room removed', { room: room.name });
+    }
+}
+
+// Does the room have an owner yet?
+function hasOwner(room) {
+    return Object.values(room.access.roles).includes('owner');
+}
+
+// ===== RECORD A DRAWING EVENT =====
+// Applies a board event (draw, shape, text, image, undo, redo, clear, ...) to the room and saves it
+// Returns false (and saves nothing) if the board rejected the event
+function recordEvent(room, event) {
+    if (!room.board.apply(event)) {
+        return false;
+    }
+    store.append(room.name, event);
+    
+    // A clear or import makes everything before it useless - compact straight away.
+    // Otherwise compact once the log is much longer than the board it rebuilds.
+    const logLength = store.logLength(room.name);
+    if (event.type === 'clear' || event.type === 'import' ||
+        (logLength > COMPACT_THRESHOLD && logLength > 2 * room.board.eventCount())) {
+        compactRoom(room);
+    }
+    
+    return true;
+}
+
+// ===== BROADCAST A BOARD CHANGE =====
+// Numbers the change with its seq, keeps it for clients that reconnect
+// later, and sends it to everyone on this node (or everyone but `skip`)
+function broadcastEvent(room, event, skip) {
+    const message = { ...event, seq: room.seq };
+    
+    room.recent.push(message);
+    if (room.recent.length > RESYNC_BUFFER_SIZE) {
+        room.recent.shift();
+    }
+    
+    if (skip) {
+        broadcastToOthers(room, skip, message);
+    } else {
+        broadcastToAll(room, message);
+    }
+}
+
+// ===== IGNORE RESENT MESSAGES =====
+// Clients number the messages they may resend (msgSeq, counting up per page load).
+// Returns true if we already received this one - it was resent after a reconnect.
+// Called when a change is applied, so every node agrees on what was a duplicate.
+function isDuplicate(room, sessionId, msgSeq) {
+    const last = room.delivered.get(sessionId) || 0;
+    if (msgSeq <= last) {
+        return true;
+    }
+    
+    // Re-insert so the Map stays ordered from least to most recently active
+    room.delivered.delete(sessionId);
+    room.delivered.set(sessionId, msgSeq);
+    if (room.delivered.size > MAX_TRACKED_SESSIONS) {
+        room.delivered.delete(room.delivered.keys().next().value);
+    }
+    return false;
+}
+
+// ===== COMPACT A ROOM'S SAVED LOG =====
+// Rewrites the log as one snapshot event
+function compactRoom(room) {
+    const before = store.logLength(room.name);
+    store.compact(room.name, room.board.toEvents());
+    log.info('Compacted room', { room: room.name, eventsBefore: before, eventsAfter: store.logLength(room.name) });
+}
 
-// Array to store all drawing actions
-// This allows new users to see what was drawn before they joined
-const drawingHistory = [];
+// ===== WHO DREW IT =====
+// Adds the sender's display name to new strokes, shapes, text and images, for the
+// "who drew this" list when replaying a board. A stroke arrives in many
+// pieces; only the first one needs the name.
+function stampAuthor(ws, event) {
+    switch (event.type) {
+        case 'shape':
+        case 'text':
+        case 'image':
+            event.data.author = ws.userName;
+            break;
+        case 'draw':
+        case 'polyline':
+            if (event.data.strokeId !== ws.lastStrokeId) {
+                event.data.author = ws.userName;
+                ws.lastStrokeId = event.data.strokeId;
+            }
+            break;
+    }
+}
+
+// ===== SHARE A CHANGE WITH EVERY NODE =====
+// Gets the room's next seq from the backplane and publishes the change on the
+// room's channel. It is applied when it comes back (see receiveEvent), on
+// this node just like on all the others.
+// origin: { connectionId, sessionId, msgSeq } of the client that sent it
+function submitEvent(room, event, origin = {}) {
+    backplane.increment(roomKey(room.name, 'seq'))
+        .then(seq => backplane.publish(roomChannel(room.name), { kind: 'event', node: NODE_ID, seq, event, origin }))
+        .catch(error => log.error('Could not share a change', { room: room.name, error: error.message }));
+}
+
+// ===== RECEIVE CHANGES IN ORDER =====
+// Changes can arrive out of order (two nodes may publish at the same moment),
+// so they wait in `pending` until every change before them has been applied
+function receiveEvent(room, envelope) {
+    // Still loading the room - applied once syncRoom is done
+    if (!room.ready) {
+        room.sync.buffered.push(envelope);
+        return;
+    }
+    
+    if (envelope.seq > room.seq) {
+        room.pending.set(envelope.seq, envelope);
+        applyPendingEvents(room);
+    }
+}
+
+function applyPendingEvents(room) {
+    const before = room.seq;
+    while (room.pending.has(room.seq + 1)) {
+        const envelope = room.pending.get(room.seq + 1);
+        room.pending.delete(envelope.seq);
+        room.seq = envelope.seq;
+        applyEvent(room, envelope);
+    }
+    
+    // Start waiting for a missing change (or stop, if it just arrived)
+    if (room.seq !== before || room.pending.size === 0) {
+        clearTimeout(room.gapTimer);
+        room.gapTimer = null;
+    }
+    if (room.pending.size > 0 && !room.gapTimer) {
+        room.gapTimer = setTimeout(() => {
+            // Nobody has it - every node skips it the same way
+            room.gapTimer = null;
+            const next = Math.min(...room.pending.keys());
+            log.warn('Changes never arrived, skipping them', { room: room.name, fromSeq: room.seq + 1, toSeq: next - 1 });
+            room.seq = next - 1;
+            applyPendingEvents(room);
+        }, GAP_TIMEOUT_MS);
+    }
+}
+
+// ===== APPLY A CHANGE =====
+// Runs on every node, in seq order: updates the board (or who may do what)
+// and tells this node's clients
+function applyEvent(room, { node, event, origin }) {
+    // A message the client resent after a reconnect, which we already have
+    if (origin.sessionId && origin.msgSeq !== undefined && isDuplicate(room, origin.sessionId, origin.msgSeq)) {
+        return;
+    }
+    
+    // The connection that sent the change, if it is one of ours
+    const sender = node === NODE_ID
+        ? [...room.clients].find(client => client.connectionId === origin.connectionId)
+        : null;
+    
+    switch (event.type) {
+        case 'draw':
+        case 'shape':
+        case 'text':
+        case 'image':
+            // Add it to the room's board, save it and send it to everyone
+            // (the sender of a 'draw' ignores its own message)
+            // The board refuses it if a clear already removed its item
+            if (recordEvent(room, event)) {
+                broadcastEvent(room, event);
+            }
+            break;
+        
+        case 'import':
+        case 'clear':
+            // Replace or empty this room's board (other rooms are untouched)
+            // A clear from an admin has no `seen` yet - the board adds it, so
+            // everyone removes the same items
+            recordEvent(room, event);
+            broadcastEvent(room, event);
+            break;
+        
+        case 'polyline':
+            // The sender already drew these points, so only the others need them
+            if (recordEvent(room, event)) {
+                broadcastEvent(room, event, sender);
+            }
+            break;
+        
+        case 'undo':
+        case 'redo':
+        case 'layer':
+        case 'background':
+            // The board only accepts undo/redo for the client's own items,
+            // layer changes for layers that were added, and the latest background
+            if (recordEvent(room, event)) {
+                broadcastEvent(room, event);
+            }
+            break;
+        
+        case 'move':
+        case 'scale':
+        case 'recolor':
+        case 'delete':
+            // The board refuses an edit when every item is gone - someone
+            // else deleted or cleared them just before
+            if (recordEvent(room, event)) {
+                broadcastEvent(room, event);
+            } else if (sender) {
+                denyMessage(sender, 'Those items can no longer be changed');
+            }
+            break;
+        
+        case 'lock':
+            room.access.locked = event.locked;
+            store.saveAccess(room.name, room.access);
+            log.info(event.locked ? 'Room locked' : 'Room unlocked', { room: room.name });
+            
+            // Everyone's permissions change
+            room.clients.forEach(client => sendPermissions(client, room));
+            break;
+        
+        case 'setRole':
+            room.access.roles[event.userId] = event.role;
+            store.saveAccess(room.name, room.access);
+            updateUserRole(room, event.userId);
+            break;
+        
+        // Sent by the server itself when a user joins a board without an owner
+        // If two users join at once (on different nodes), the first one wins
+        case 'claimOwner':
+            if (!hasOwner(room)) {
+                room.access.roles[event.userId] = 'owner';
+                store.saveAccess(room.name, room.access);
+                log.info('Room has a new owner', { room: room.name, userId: event.userId });
+                updateUserRole(room, event.userId);
+            }
+            break;
+    }
+    
+    // How long the change took to reach our clients. Only measured for
+    // changes this node received: other nodes' clocks may be a little off.
+    if (node === NODE_ID && origin.receivedAt) {
+        metrics.broadcastLatency.observe({ type: event.type }, (Date.now() - origin.receivedAt) / 1000);
+    }
+}
 
-// Limit history to prevent memory issues
-// Once we have 1000 drawing actions, we'll remove the oldest ones
-const MAX_HISTORY = 1000;
+// Give every connection of a user on this node their new role
+function updateUserRole(room, userId) {
+    room.clients.forEach(client => {
+        if (client.userId === userId) {
+            client.role = roleFor(room.access, userId);
+            sendPermissions(client, room);
+            announceUser(room, client, 'update');
+        }
+    });
+}
+
+// ===== LOAD A ROOM FROM THE OTHER NODES =====
+// Before a node can serve a room, it needs the latest copy of it:
+//   1. Subscribe to the room's channel (changes from now on are kept in sync.buffered)
+//   2. Ask the other nodes for their copy. publish() says how many nodes are
+//      subscribed, so we know how many answers to wait for.
+//   3. Take the board from the first node that has one (its seq says where
+//      it is), plus the changes it hadn't applied yet and those we kept.
+//      If no other node has the room, our own saved copy is the latest.
+async function syncRoom(room) {
+    const channel = roomChannel(room.name);
+    await backplane.subscribe(channel, message => handleRoomMessage(room, message));
+    room.epoch = await backplane.setIfMissing(roomKey(room.name, 'epoch'), crypto.randomUUID().slice(0, 8));
+    
+    const others = (await backplane.publish(channel, { kind: 'stateRequest', node: NODE_ID })) - 1;
+    const replies = others > 0 ? await collectStateReplies(room, others) : [];
+    
+    // Users connected to the other nodes
+    replies.forEach(reply => reply.users.forEach(user => addRemoteUser(room, user, reply.node)));
+    
+    let buffered = room.sync.buffered;
+    const state = (replies.find(reply => reply.board) || {}).board;
+    if (state) {
+        room.board = BoardState.fromEvents(state.events);
+        room.access = state.access;
+        room.delivered = new Map(state.delivered);
+        room.seq = state.seq;
+        buffered = state.pending.concat(buffered);
+        
+        // Our saved copy may be out of date - replace it
+        store.compact(room.name, room.board.toEvents());
+        store.saveAccess(room.name, room.access);
+        log.info('Loaded room from another node', { room: room.name, from: replies.find(reply => reply.board).node, seq: room.seq });
+    } else {
+        room.seq = Number(await backplane.get(roomKey(room.name, 'seq'))) || 0;
+    }
+    
+    room.ready = true;
+    room.sync = null;
+    buffered.forEach(envelope => receiveEvent(room, envelope));
+}
+
+// Wait until `count` nodes have answered (or STATE_TIMEOUT_MS have passed)
+function collectStateReplies(room, count) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            room.sync.onReply = null;
+            resolve(room.sync.replies);
+        };
+        const timer = setTimeout(done, STATE_TIMEOUT_MS);
+        
+        room.sync.onReply = () => {
+            if (room.sync.replies.length >= count) {
+                done();
+            }
+        };
+        room.sync.onReply();
+    });
+}
+
+// ===== MESSAGES FROM THE ROOM'S CHANNEL =====
+//   event        - a numbered change (see submitEvent)
+//   stateRequest - another node wants our copy of the room
+//   state        - our copy, sent to the node that asked (`to`)
+//   presence     - a user joined, changed or left on another node
+//   cursor       - a cursor moved on another node
+//   kick         - an admin on another node removed one of our users (`id`)
+function handleRoomMessage(room, message) {
+    if (message.kind === 'event') {
+        receiveEvent(room, message);
+        return;
+    }
+    
+    // Everything else we publish is only for the other nodes
+    if (message.node === NODE_ID) return;
+    
+    switch (message.kind) {
+        case 'stateRequest':
+            backplane.publish(roomChannel(room.name), {
+                kind: 'state',
+                node: NODE_ID,
+                to: message.node,
+                users: [...room.clients].map(memberInfo),
+                // A node that is still loading the room itself has no board to give
+                board: room.ready ? {
+                    seq: room.seq,
+                    events: room.board.toEvents(),
+                    pending: [...room.pending.values()],
+                    access: room.access,
+                    delivered: [...room.delivered]
+                } : null
+            }).catch(error => log.error('Could not send a room to another node', { room: room.name, error: error.message }));
+            break;
+        
+        case 'state':
+            if (message.to === NODE_ID && room.sync) {
+                room.sync.replies.push(message);
+                if (room.sync.onReply) {
+                    room.sync.onReply();
+                }
+            }
+            break;
+        
+        case 'presence':
+            if (message.op === 'leave') {
+                removeRemoteUser(room, message.user.id);
+            } else {
+                addRemoteUser(room, message.user, message.node);
+            }
+            break;
+        
+        case 'cursor':
+            broadcastToAll(room, message.cursor);
+            break;
+        
+        case 'kick':
+            kickClient(room, message.id);
+            break;
+    }
+}
+
+// ===== USERS ON OTHER NODES =====
+// Tell this node's clients about a user who joined (or changed) elsewhere
+// member: what memberInfo() gave the other node - the user ID is kept, not passed on
+function addRemoteUser(room, member, node) {
+    const { userId, ...user } = member;
+    const known = room.remoteUsers.has(user.id);
+    room.remoteUsers.set(user.id, { user, userId, node });
+    if (!nodesSeen.has(node)) {
+        nodesSeen.set(node, Date.now());
+    }
+    
+    broadcastToAll(room, { type: known ? 'userUpdated' : 'userJoined', user });
+    if (!known) {
+        broadcastUserCount(room);
+    }
+}
+
+function removeRemoteUser(room, id) {
+    if (room.remoteUsers.delete(id)) {
+        broadcastToAll(room, { type: 'userLeft', id });
+        broadcastUserCount(room);
+    }
+}
+
+// Tell this node's clients and the other nodes that one of our users
+// joined, changed (name or role) or left
+function announceUser(room, ws, op) {
+    const user = userInfo(ws);
+    switch (op) {
+        case 'join':
+            broadcastToOthers(room, ws, { type: 'userJoined', user });
+            break;
+        case 'update':
+            broadcastToAll(room, { type: 'userUpdated', user });
+            break;
+        case 'leave':
+            broadcastToAll(room, { type: 'userLeft', id: user.id });
+            break;
+    }
+    
+    backplane.publish(roomChannel(room.name), { kind: 'presence', node: NODE_ID, op, user: memberInfo(ws) })
+        .catch(error => log.error('Could not share a presence change', { room: room.name, error: error.message }));
+}
+
+// ===== NODE HEARTBEATS =====
+// Every node says it's alive every NODE_HEARTBEAT_MS. When a node stops
+// (or says goodbye on shutdown), its users are removed from every room.
+const nodesSeen = new Map();   // Node ID -> when we last heard from it
+
+function forgetNode(node) {
+    nodesSeen.delete(node);
+    rooms.forEach(room => {
+        room.remoteUsers.forEach((entry, id) => {
+            if (entry.node === node) {
+                removeRemoteUser(room, id);
+            }
+        });
+    });
+}
+
+// A node that loses the backplane can't know what it missed - shut down and
+// let clients reconnect to a node that still works
+function connectBackplane() {
+    backplane = createBackplane({
+        onError: (error) => {
+            log.error('Backplane failed - shutting down', { error: error.message });
+            store.close();
+            process.exit(1);
+        }
+    });
+    
+    backplane.subscribe(NODES_CHANNEL, message => {
+        if (message.node === NODE_ID) return;
+        
+        if (message.kind === 'bye') {
+            log.info('Node has shut down', { otherNode: message.node });
+            forgetNode(message.node);
+        } else {
+            nodesSeen.set(message.node, Date.now());
+        }
+    }).catch(error => log.error('Could not subscribe to node heartbeats', { error: error.message }));
+}
+
+// Runs every NODE_HEARTBEAT_MS once the server has started
+function sendNodeHeartbeat() {
+    backplane.publish(NODES_CHANNEL, { kind: 'heartbeat', node: NODE_ID }).catch(() => {});
+    
+    const now = Date.now();
+    nodesSeen.forEach((lastSeen, node) => {
+        if (now - lastSeen > NODE_TIMEOUT_MS) {
+            log.warn('Node stopped responding - removing its users', { otherNode: node });
+            forgetNode(node);
+        }
+    });
+}
+
+// ===== LOAD SAVED BOARDS =====
+// Rebuild every saved room so the board looks exactly as it did before the restart
+// Run by start(), once the backplane is there (getRoom shares each room through it)
+function loadSavedRooms() {
+    store.loadAll().forEach((events, name) => {
+        const room = getRoom(name);
+        events.forEach(event => room.board.apply(event));
+        log.info('Loaded saved room', { room: name, events: events.length });
+    });
+}
+
+// ===== HTTP RATE LIMITS =====
+// Rate limiters per user and per address, most recently active last (like room.delivered),
+// for the routes that cost the server the most (uploads and exports). The address comes
+// from X-Forwarded-For, which can be faked, so each route has a limit nobody gets around
+// too (MAX_UPLOAD_TOTAL_BYTES in lib/uploads.js, MAX_RENDER_PIXELS in lib/png-export.js)
+const requestLimiters = new Map();
+
+function allowRequestFrom(key, type) {
+    const limiter = requestLimiters.get(key) || new RateLimiter();
+    requestLimiters.delete(key);
+    requestLimiters.set(key, limiter);
+    if (requestLimiters.size > MAX_TRACKED_SESSIONS) {
+        requestLimiters.delete(requestLimiters.keys().next().value);
+    }
+    return limiter.allow(type);
+}
+
+function allowExport(req) {
+    const byUser = allowRequestFrom(`user:${req.user.sub}`, 'export');
+    const byAddress = allowRequestFrom(`address:${clientAddress(req)}`, 'exportAddress');
+    return byUser && byAddress;
+}
+
+// ===== EXPORT ROUTES =====
+// Download a board without opening the app, e.g. for archiving from a script:
+//   curl -H "Authorization: Bearer $TOKEN" -o board.png "http://localhost:3000/export.png?room=design-review"
+// Supported formats: .png, .svg and .json (the same JSON the Export menu downloads)
+// Any logged-in user may export (viewers can see the board anyway), a few times a minute
+app.get('/export.:format', requireAuth, async (req, res) => {
+    const room = rooms.get(normalizeRoomName(req.query.room));
+    if (!room) {
+        return res.status(404).send('Room not found');
+    }
+    if (!allowExport(req)) {
+        return res.status(429).send('Slow down: too many exports');
+    }
+    
+    // Pictures show what the app shows: no hidden layers, lower layers first
+    const items = room.board.getItems();
+    const layers = room.board.getLayers();
+    const background = room.board.getBackground();
+    // Only named a download once we know the format - an unknown one is just a 404
+    const fileName = `${room.name}.${req.params.format}`;
+    
+    switch (req.params.format) {
+        case 'png': {
+            // The uploaded files, so PNG images can be drawn (see lib/png-export.js)
+            const visible = BoardState.visibleItems(items, layers);
+            const images = await readImages(visible, url => uploads.readUrl(url), () => null);
+            let png;
+            try {
+                png = renderPng(visible, { pattern: background, images });
+            } catch (error) {
+                if (error instanceof ExportError) {
+                    return res.status(error.status).send(error.message);
+                }
+                throw error;
+            }
+            res.attachment(fileName);
+            res.type('png').send(png);
+            break;
+        }
+        case 'svg': {
+            // Images go inside the SVG, so it still works away from this server
+            // (past MAX_EXPORT_IMAGE_BYTES they stay links to it)
+            const visible = BoardState.visibleItems(items, layers);
+            const images = await readImages(visible, async url => await uploads.dataUrl(url) || url, url => url);
+            res.attachment(fileName);
+            res.type('svg').send(BoardExport.toSvg(visible, { pattern: background, imageHref: url => images.get(url) }));
+            break;
+        }
+        case 'json':
+            res.attachment(fileName);
+            res.json(BoardExport.toJson(items, { room: room.name, layers, background }));
+            break;
+        default:
+            res.status(404).send('Unknown export format');
+    }
+});
+
+// ===== REPLAY ROUTE =====
+// Everything a replay needs, asked for when someone presses Replay: the
+// board's history (board.getHistory()), which also holds the items clears
+// removed. Those are kept in memory only, so they are never sent to
+// everyone who joins, or saved.
+//   curl -H "Authorization: Bearer $TOKEN" "http://localhost:3000/replay.json?room=design-review"
+//   -> { room, layers, background, history: [ { item, changes, clearedAt }, ... ] }
+app.get('/replay.json', requireAuth, (req, res) => {
+    const room = rooms.get(normalizeRoomName(req.query.room));
+    if (!room) {
+        return res.status(404).send('Room not found');
+    }
+    
+    res.json({
+        room: room.name,
+        layers: room.board.getLayers(),
+        background: room.board.getBackground(),
+        history: room.board.getHistory()
+    });
+});
+
+// What read(url) gives for each image's URL, read once however often the image is placed.
+// Only MAX_EXPORT_IMAGE_BYTES of files are read for one export; images past that (or
+// missing) get what fallback(url) gives instead. Sizes are checked before reading.
+async function readImages(items, read, fallback) {
+    const images = new Map();
+    let bytesLeft = MAX_EXPORT_IMAGE_BYTES;
+    for (const item of items) {
+        if (item.kind !== 'image' || images.has(item.url)) continue;
+        
+        const size = await uploads.sizeUrl(item.url);
+        if (size === null || size > bytesLeft) {
+            images.set(item.url, fallback(item.url));
+            continue;
+        }
+        bytesLeft -= size;
+        images.set(item.url, await read(item.url));
+    }
+    return images;
+}
+
+// ===== IMAGE UPLOADS =====
+// Saves an image for the board in ?room= (see lib/uploads.js). The body is
+// the image file itself:
+//   curl -H "Authorization: Bearer $TOKEN" -H "Content-Type: image/png" \
+//        --data-binary @screenshot.png "http://localhost:3000/uploads?room=design-review"
+//   -> { url: '/uploads/3f9a...f6.png', type: 'image/png', bytes: 48213 }
+// This doesn't put it on the board yet - the client then sends an 'image'
+// message with the URL. Only users who may draw on the board can upload.
+
+function allowUpload(req) {
+    const byUser = allowRequestFrom(`user:${req.user.sub}`, 'upload');
+    const byAddress = allowRequestFrom(`address:${clientAddress(req)}`, 'uploadAddress');
+    return byUser && byAddress;
+}
+
+// Reads the whole body into req.body, up to MAX_UPLOAD_BYTES, whatever its Content-Type
+const readUpload = express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES });
+
+app.post('/uploads', requireAuth, (req, res, next) => {
+    const name = normalizeRoomName(req.query.room);
+    const room = rooms.get(name);
+    const access = room ? room.access : store.loadAccess(name) || { roles: {}, locked: false };
+    if (!can(roleFor(access, req.user.sub), 'image', access.locked)) {
+        return res.status(403).send(deniedMessage('image', access.locked));
+    }
+    if (!allowUpload(req)) {
+        return res.status(429).send('Slow down: too many uploads');
+    }
+    
+    readUpload(req, res, async (error) => {
+        if (error) {
+            return res.status(error.status || 400).send(error.type === 'entity.too.large'
+                ? `Images can be at most ${MAX_UPLOAD_BYTES} bytes`
+                : 'Could not read the upload');
+        }
+        
+        try {
+            const upload = await uploads.save(req.body);
+            log.info('Image uploaded', {
+                room: name,
+                userId: req.user.sub,
+                address: clientAddress(req),
+                name: upload.name,
+                bytes: upload.bytes
+            });
+            res.status(201).json({ url: upload.url, type: upload.type, bytes: upload.bytes });
+        } catch (uploadError) {
+            if (uploadError instanceof UploadError) {
+                return res.status(uploadError.status).send(uploadError.message);
+            }
+            next(uploadError);
+        }
+    });
+});
+
+// Uploaded images, for <img> tags - so no token is needed. Names are hashes
+// of the images, which nobody can guess without having the image already.
+app.get('/uploads/:name', async (req, res) => {
+    const bytes = await uploads.read(req.params.name);
+    if (!bytes) {
+        return res.status(404).send('Image not found');
+    }
+    
+    // A name always means the same picture, so it can be cached for good;
+    // nosniff stops browsers from treating it as anything but an image
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(mimeType(req.params.name)).send(bytes);
+});
+
+// ===== STATS ROUTE =====
+// Shows how many messages the rate limiter has dropped (on this node)
+app.get('/stats', (req, res) => {
+    res.json({ node: NODE_ID, ...stats });
+});
+
+// ===== METRICS ROUTE =====
+// For Prometheus to fetch every few seconds (see the METRICS section above)
+app.get('/metrics', (req, res) => {
+    res.type(Registry.CONTENT_TYPE).send(metricsRegistry.render());
+});
+
+// ===== HEALTH CHECK =====
+// Azure App Service (and load balancers) ask this before sending users to
+// this node. It answers 200 only if the node can really serve boards: the
+// store can save and the backplane answers. Otherwise 503, saying what failed:
+//   { status: 'ok' | 'unavailable', node, uptimeSeconds, checks: { server, storage, backplane } }
+const HEALTH_TIMEOUT_MS = 2000;
+
+// Set when the process has been told to stop, so no new users are sent here
+let shuttingDown = false;
+
+app.get('/health', async (req, res) => {
+    const checks = { server: shuttingDown ? 'shutting down' : 'ok' };
+    
+    try {
+        store.check();
+        checks.storage = 'ok';
+    } catch (error) {
+        checks.storage = error.message;
+    }
+    
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('no answer')), HEALTH_TIMEOUT_MS);
+    });
+    try {
+        await Promise.race([backplane.ping(), timeout]);
+        checks.backplane = 'ok';
+    } catch (error) {
+        checks.backplane = error.message;
+    } finally {
+        clearTimeout(timer);
+    }
+    
+    const ok = Object.values(checks).every(check => check === 'ok');
+    res.status(ok ? 200 : 503).json({
+        status: ok ? 'ok' : 'unavailable',
+        node: NODE_ID,
+        uptimeSeconds: Math.round(process.uptime()),
+        checks
+    });
+});
+
+// ===== ADMIN API =====
+// For whoever runs the server: lists the rooms and connections on this node,
+// and removes a user or clears a board. Needs the ADMIN_TOKEN environment
+// variable - login tokens don't work here, since anyone can get one from
+// /auth/dev-login. Without ADMIN_TOKEN these routes are turned off.
+//   curl -H "Authorization: Bearer $ADMIN_TOKEN" http://localhost:3000/admin
+//   curl -X POST -H "Authorization: Bearer $ADMIN_TOKEN" http://localhost:3000/admin/rooms/lobby/clients/3fa9c1d2/kick
+//   curl -X POST -H "Authorization: Bearer $ADMIN_TOKEN" http://localhost:3000/admin/rooms/lobby/clear
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Close code a kicked client gets - it doesn't reconnect after this one
+const KICKED_CLOSE_CODE = 4001;
+
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(404).send('The admin API is turned off (set ADMIN_TOKEN to turn it on)');
+    }
+    
+    // Compare hashes of the same length, so the time it takes doesn't
+    // give away how much of the token was right
+    const hash = value => crypto.createHash('sha256').update(value || '').digest();
+    if (!crypto.timingSafeEqual(hash(getTokenFromRequest(req)), hash(ADMIN_TOKEN))) {
+        log.warn('Refused admin request', { path: req.path, address: clientAddress(req) });
+        return res.status(401).send('Unauthorized');
+    }
+    next();
+}
+
+// Everything about a room an admin might want to know
+function roomSummary(room) {
+    return {
+        name: room.name,
+        locked: room.access.locked,
+        seq: room.seq,
+        savedEvents: store.logLength(room.name),
+        clients: [...room.clients].map(ws => ({
+            ...memberInfo(ws),
+            clientId: ws.clientId,
+            address: ws.address,
+            connectedAt: new Date(ws.connectedAt).toISOString()
+        })),
+        // Users in this room who are connected to other nodes
+        remoteUsers: [...room.remoteUsers.values()].map(({ user, userId, node }) => ({ ...user, userId, node }))
+    };
+}
+
+// Close one of our connections (by connection ID); false if it isn't ours
+function kickClient(room, connectionId) {
+    const ws = [...room.clients].find(client => client.connectionId === connectionId);
+    if (!ws) {
+        return false;
+    }
+    ws.log.info('Client removed by an admin');
+    ws.close(KICKED_CLOSE_CODE, 'Removed by an admin');
+    return true;
+}
+
+// The room named in the URL, or a 404
+function adminRoom(req, res) {
+    const room = rooms.get(normalizeRoomName(req.params.room));
+    if (!room) {
+        res.status(404).send('Room not found on this node');
+    }
+    return room;
+}
+
+app.get('/admin', requireAdmin, (req, res) => {
+    res.json({
+        node: NODE_ID,
+        uptimeSeconds: Math.round(process.uptime()),
+        rooms: [...rooms.values()].map(roomSummary)
+    });
+});
+
+// Remove a user from a room. A user on another node is removed by that node.
+app.post('/admin/rooms/:room/clients/:id/kick', requireAdmin, (req, res) => {
+    const room = adminRoom(req, res);
+    if (!room) return;
+    
+    const id = req.params.id;
+    if (kickClient(room, id)) {
+        return res.json({ kicked: id, node: NODE_ID });
+    }
+    
+    const remote = room.remoteUsers.get(id);
+    if (!remote) {
+        return res.status(404).send('No such connection in this room');
+    }
+    backplane.publish(roomChannel(room.name), { kind: 'kick', node: NODE_ID, id })
+        .catch(error => log.error('Could not pass on a kick', { room: room.name, error: error.message }));
+    res.status(202).json({ kicked: id, node: remote.node });
+});
+
+// Clear a board for everyone, like an owner pressing Clear Canvas
+app.post('/admin/rooms/:room/clear', requireAdmin, (req, res) => {
+    const room = adminRoom(req, res);
+    if (!room) return;
+    
+    log.info('Room cleared by an admin', { room: room.name });
+    submitEvent(room, { type: 'clear' });
+    res.json({ cleared: room.name });
+});
+
+// ===== SEND DRAWING HISTORY TO A NEW CLIENT =====
+// epoch + lastSeq let the client resume from here after a reconnect;
+// ack is the last msgSeq we received from this client (see isDuplicate)
+function sendHistory(ws, room, resume) {
+    const sync = {
+        epoch: room.epoch,
+        lastSeq: room.seq,
+        ack: (ws.sessionId && room.delivered.get(ws.sessionId)) || 0
+    };
+    
+    // Oldest seq we could still send again
+    const oldestSeq = room.recent.length > 0 ? room.recent[0].seq : room.seq + 1;
+    
+    if (resume.epoch === room.epoch && resume.since !== null &&
+        resume.since >= oldestSeq - 1 && resume.since <= room.seq) {
+        // A reconnecting client that only missed a few changes gets just those:
+        // { type: 'resync', data: [ ...messages ], epoch, lastSeq, ack }
+        sendToClient(ws, {
+            type: 'resync',
+            data: room.recent.filter(event => event.seq > resume.since),
+            ...sync
+        });
+    } else {
+        // Everyone else gets everything that's been drawn in this room
+        // The message holds a snapshot of the board (see board-state.js):
+        // { type: 'history', snapshot: { items: [...], layers: [...], ... }, data: [], epoch, lastSeq, ack }
+        // It is sent even for an empty board, so a reconnecting client notices a clear
+        sendToClient(ws, { ...room.board.toHistoryMessage(), ...sync });
+    }
+}
 
 // ===== HANDLE NEW WEBSOCKET CONNECTIONS =====
 // This function runs every time a new client connects
-wss.on('connection', (ws) => {
-    // Log that someone connected (useful for debugging)
-    console.log('New client connected. Total clients:', clients.size + 1);
+wss.on('connection', (ws, req) => {
+    // Find out which room this client wants to join
+    const room = getRoom(getRoomNameFromRequest(req));
+    
+    // Where a reconnecting client left off
+    const resume = getResumeFromRequest(req);
+    ws.sessionId = resume.sessionId;
     
-    // Add this new client to our set of connected clients
-    clients.add(ws);
+    // The ID this connection is known by - stamped on everything it draws
+    const assigned = getClientIdFromRequest(req, room, ws.sessionId);
+    ws.clientId = assigned.clientId;
     
-    // ===== SEND DRAWING HISTORY TO NEW CLIENT =====
-    // When someone new joins, send them everything that's been drawn
-    // This ensures they see the current state of the canvas
-    if (drawingHistory.length > 0) {
-        ws.send(JSON.stringify({
-            type: 'history',           // Message type so client knows how to handle it
-            data: drawingHistory       // All previous drawing data
-        }));
+    // A client with a new ID gets the whole board, not just what it missed:
+    // it puts its unsent changes back on the board under the new ID
+    if (assigned.isNew) {
+        resume.epoch = null;
     }
     
-    // ===== UPDATE USER COUNT FOR ALL CLIENTS =====
-    // Tell everyone how many users are connected
-    broadcastUserCount();
+    // ===== PRESENCE =====
+    // Every connection gets its own ID (two tabs of the same user are two entries),
+    // the display name the user chose, and a color assigned by the server
+    // (picked when the client joins, below)
+    ws.connectionId = crypto.randomUUID().slice(0, 8);
+    ws.userName = getNameFromRequest(req);
+    
+    // ===== ROLE ON THIS BOARD =====
+    // The user ID comes from the token checked in verifyClient
+    ws.userId = req.user.sub;
+    ws.role = roleFor(room.access, ws.userId);
+    
+    // Shown at /admin
+    ws.connectedAt = Date.now();
+    ws.address = clientAddress(req);
+    
+    // Every log line about this connection says which one it was
+    ws.log = log.child({ room: room.name, connectionId: ws.connectionId, clientId: ws.clientId, userId: ws.userId });
+    
+    // Recent invalid messages from this client (see rejectMessage)
+    ws.badMessages = [];
+    
+    // Token buckets limiting how fast this client may send each message type
+    ws.rateLimiter = new RateLimiter();
+    ws.droppedMessages = [];      // Times of recently dropped messages (see throttleMessage)
+    ws.lastThrottleNotice = 0;
+    
+    // True once the client is in the room (messages before that are ignored)
+    ws.joined = false;
+    
+    // Pings this connection hasn't answered yet (see checkLiveness)
+    // Browsers answer WebSocket pings by themselves - no client code needed
+    ws.missedPongs = 0;
+    ws.on('pong', () => {
+        ws.missedPongs = 0;
+    });
+    
+    // ===== JOIN THE ROOM =====
+    // Waits until this node has the latest copy of the room (see syncRoom) -
+    // usually no time at all, but a room another node is already serving has
+    // to be fetched first
+    room.whenReady.then(() => {
+        // Gave up while we were waiting
+        if (ws.readyState !== WebSocket.OPEN) return;
+        
+        ws.role = roleFor(room.access, ws.userId);
+        ws.userColor = pickUserColor(room);
+        
+        // Log that someone connected (useful for debugging)
+        ws.log.info('Client connected', { clientsInRoom: room.clients.size + 1 });
+        
+        // Add this new client to the room's set of connected clients
+        room.clients.add(ws);
+        ws.joined = true;
+        
+        // The first user to join a board without an owner becomes its owner
+        if (!hasOwner(room)) {
+            submitEvent(room, { type: 'claimOwner', userId: ws.userId });
+        }
+        
+        // ===== WHO THE CLIENT IS =====
+        // Its connection ID, name and color, and the client ID it draws with -
+        // with the key that lets it keep that ID when it reconnects. Sent
+        // before the history, so the history is applied with the right ID.
+        sendToClient(ws, { type: 'welcome', user: userInfo(ws), clientId: ws.clientId, clientKey: clientKey(ws.userId, ws.clientId) });
+        
+        sendHistory(ws, room, resume);
+        
+        // ===== UPDATE USER COUNT FOR THE ROOM =====
+        // Tell everyone in the room how many users are connected
+        broadcastUserCount(room);
+        
+        // ===== ANNOUNCE THE NEW USER =====
+        // The new client learns who else is here;
+        // everyone else (on every node) learns that someone joined
+        sendPermissions(ws, room);
+        sendToClient(ws, { type: 'presence', users: roomUsers(room) });
+        announceUser(room, ws, 'join');
+    });
     
     // ===== HANDLE MESSAGES FROM THIS CLIENT =====
     // This function runs whenever this client sends us a message
     ws.on('message', (message) => {
         try {
-            // Parse the JSON message from the client
-            // Messages are sent as strings, so we need to convert to objects
-            const data = JSON.parse(message);
+            // Parse the JSON message from the client and check it against its schema
+            // Invalid messages throw a ValidationError (handled in the catch below)
+            // The returned message only contains known, checked fields and the
+            // clientId of this connection
+            const data = validateMessage(message, ws.clientId);
+            metrics.messagesReceived.inc({ type: data.type });
+            
+            // Not in the room yet (clients wait for the history before sending anything)
+            if (!ws.joined) return;
+            
+            // Where the change came from, so every node can tell a resent
+            // message from a new one (see applyEvent), and when it arrived
+            // (for the broadcast latency at /metrics)
+            const origin = { connectionId: ws.connectionId, sessionId: ws.sessionId, receivedAt: Date.now() };
+            
+            // Ignore messages a reconnecting client sent us before
+            if (data.msgSeq !== undefined) {
+                if (ws.sessionId && data.msgSeq <= (room.delivered.get(ws.sessionId) || 0)) {
+                    return;
+                }
+                origin.msgSeq = data.msgSeq;
+                delete data.msgSeq;
+            }
+            
+            // Drop the message if this client is sending this type too fast
+            if (!ws.rateLimiter.allow(data.type)) {
+                throttleMessage(ws, data.type);
+                return;
+            }
+            
+            // Refuse messages this user's role doesn't allow (e.g. a viewer drawing)
+            // Not counted as bad messages - the client may simply not have
+            // heard about a role change or lock yet
+            if (!can(ws.role, data.type, room.access.locked)) {
+                denyMessage(ws, deniedMessage(data.type, room.access.locked));
+                return;
+            }
+            
+            if (data.data && data.data.clock > room.board.clock + MAX_CLOCK_LEAD) {
+                denyMessage(ws, 'That change is too far ahead of the board');
+                return;
+            }
+            // The same goes for what a clear or import says it had seen: a clock
+            // ahead of the board would clear that client's drawings before they
+            // are made. Everyone else's items reach the sender through this
+            // board, so only the sender's own (drawn offline) may be ahead.
+            if (data.data && data.data.seen && Object.entries(data.data.seen).some(([clientId, clock]) =>
+                clock > room.board.clock + (clientId === ws.clientId ? MAX_CLOCK_LEAD : 0))) {
+                denyMessage(ws, 'That change is too far ahead of the board');
+                return;
+            }
             
             // Handle different types of messages
             switch(data.type) {
-                // ===== HANDLE DRAWING DATA =====
+                // ===== HANDLE BOARD CHANGES =====
+                // Shared with every node, which all apply them in the same order
+                // (see submitEvent and applyEvent)
+                //
+                //   draw     - one segment of a stroke
+                //   polyline - several points of one stroke, sent once per animation frame:
+                //              { data: { strokeId, tool, color, size, points: [x0, y0, x1, y1, ...], widths, clientId } }
+                //              (widths: one line width per point, only for strokes drawn with a pen)
+                //   shape    - a finished line, rectangle, ellipse or arrow:
+                //              { data: { id, shape, x1, y1, x2, y2, color, size, clientId } }
+                //   text     - { data: { id, x, y, text, color, size, clientId } }
+                //   image    - an uploaded image (see POST /uploads), (x, y) is its top-left corner:
+                //              { data: { id, url, x, y, width, height, clientId } }
+                //   import   - replaces the whole board with items from an exported JSON file:
+                //              { data: { items: [...], layers: [...], background, seen } }
+                //   undo/redo - hides or restores one stroke, shape, text or image: { data: { strokeId, clientId } }
+                //   move/scale/recolor/delete - change items already on the board (anyone's):
+                //              { data: { ids: [...], dx, dy | x, y, factor | color } }
+                //   layer    - adds, renames, moves, hides or locks a layer:
+                //              { data: { op, id, name | index | hidden | locked } }
+                //   background - what is drawn under the layers: { data: { background: 'blank' | 'grid' | 'dots' | 'kanban' } }
+                //   clear    - empties this room's board (other rooms are untouched):
+                //              { data: { seen: { clientId: clock } } } - the items it removes
+                // draw, polyline, shape, text and image may carry the ID of the layer they are on
+                // Every one may carry `clock`, its Lamport clock (see board-state.js)
                 case 'draw':
-                    // Add this drawing action to our history
-                    drawingHistory.push(data.data);
-                    
-                    // If history is too long, remove the oldest item
-                    // This prevents server from using too much memory
-                    if (drawingHistory.length > MAX_HISTORY) {
-                        drawingHistory.shift(); // Remove first (oldest) item
+                case 'polyline':
+                case 'shape':
+                case 'text':
+                case 'image':
+                    // An image must have been uploaded here first (POST /uploads)
+                    if (data.type === 'image' && !uploads.hasUrl(data.data.url)) {
+                        denyMessage(ws, 'That image was never uploaded');
+                        break;
                     }
-                    
-                    // Send this drawing to ALL connected clients
-                    // Including the sender (they will ignore their own message)
-                    broadcastToAll(data);
+                    stampAuthor(ws, data);
+                    submitEvent(room, data, origin);
+                    break;
+                
+                case 'import':
+                    // The same goes for every image in an imported board
+                    if (data.data.items.some(item => item.kind === 'image' && !uploads.hasUrl(item.url))) {
+                        denyMessage(ws, 'That board has an image that was never uploaded');
+                        break;
+                    }
+                    submitEvent(room, data, origin);
                     break;
                 
-                // ===== HANDLE CLEAR CANVAS =====
+                case 'undo':
+                case 'redo':
+                case 'move':
+                case 'scale':
+                case 'recolor':
+                case 'delete':
+                case 'layer':
+                case 'background':
                 case 'clear':
-                    // Empty the drawing history
-                    drawingHistory.length = 0;
-                    
-                    // Tell all clients to clear their canvas
-                    broadcastToAll(data);
+                    submitEvent(room, data, origin);
                     break;
                 
                 // ===== HANDLE HEARTBEAT =====
@@ -115,71 +1525,330 @@ wss.on('connection', (ws) => {
                 // This prevents the connection from timing out
                 case 'ping':
                     // Respond with 'pong' to confirm we're still here
-                    ws.send(JSON.stringify({ type: 'pong' }));
+                    // ack tells the client which of its messages we have, so it can stop keeping them
+                    sendToClient(ws, {
+                        type: 'pong',
+                        ack: (ws.sessionId && room.delivered.get(ws.sessionId)) || 0
+                    });
+                    break;
+                
+                // ===== HANDLE CURSOR MOVES =====
+                // { x, y } or { hidden: true } - passed on to everyone else with our ID
+                // Not stored: cursors are only interesting while they move
+                case 'cursor': {
+                    const cursor = { ...data, id: ws.connectionId };
+                    broadcastToOthers(room, ws, cursor);
+                    backplane.publish(roomChannel(room.name), { kind: 'cursor', node: NODE_ID, cursor })
+                        .catch(() => {}); // The next move will do
+                    break;
+                }
+                
+                // ===== HANDLE NAME CHANGES =====
+                case 'setName':
+                    ws.userName = data.name;
+                    announceUser(room, ws, 'update');
+                    break;
+                
+                // ===== HANDLE LOCKING (OWNERS ONLY) =====
+                // { locked: true } stops everyone but owners from changing the board
+                // Goes through the backplane like a board change, so a lock and the
+                // changes around it happen in the same order on every node
+                case 'lock':
+                    submitEvent(room, data, origin);
                     break;
+                
+                // ===== HANDLE ROLE CHANGES (OWNERS ONLY) =====
+                // { id, role } - id is a connection ID from presence; the role
+                // goes to the user behind that connection (all of their tabs)
+                case 'setRole': {
+                    const userId = userIdOf(room, data.id);
+                    if (!userId) {
+                        denyMessage(ws, 'That user is no longer in this room');
+                        break;
+                    }
                     
-                default:
-                    console.log('Unknown message type:', data.type);
+                    // Owners can't demote themselves (so a board always keeps an owner)
+                    if (userId === ws.userId) {
+                        denyMessage(ws, "You can't change your own role");
+                        break;
+                    }
+                    
+                    // Every node updates that user's connections (see updateUserRole)
+                    submitEvent(room, { type: 'setRole', userId, role: data.role }, origin);
+                    break;
+                }
             }
         } catch (error) {
-            // If message parsing fails or any error occurs, log it
+            // A message that failed validation: tell the sender why
+            if (error instanceof ValidationError) {
+                rejectMessage(ws, error.message);
+                return;
+            }
+            
+            // If any other error occurs, log it
             // Don't crash the server just because of one bad message
-            console.error('Error processing message:', error);
+            ws.log.error('Error processing message', { error });
         }
     });
     
     // ===== HANDLE CLIENT DISCONNECTION =====
     // This runs when a client closes their browser or loses connection
     ws.on('close', () => {
-        console.log('Client disconnected. Remaining clients:', clients.size - 1);
-        
-        // Remove this client from our set
-        clients.delete(ws);
+        if (ws.joined) {
+            ws.log.info('Client disconnected', { clientsInRoom: room.clients.size - 1 });
+            
+            // Remove this client from the room
+            room.clients.delete(ws);
+            
+            // Update the user count and user list for remaining clients (on every node)
+            broadcastUserCount(room);
+            announceUser(room, ws, 'leave');
+        }
         
-        // Update the user count for remaining clients
-        broadcastUserCount();
+        // Clean up the room if it is no longer used
+        removeRoomIfEmpty(room);
     });
     
     // ===== HANDLE WEBSOCKET ERRORS =====
     // This prevents the server from crashing if there's a connection error
     ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
+        ws.log.error('WebSocket error', { error });
         // The connection will be closed automatically after an error
     });
 });
 
-// ===== BROADCAST FUNCTION - SEND TO ALL CLIENTS =====
-// This sends a message to every connected client
-function broadcastToAll(data) {
-    // Convert the data object to a JSON string
+// ===== DETECT DEAD CONNECTIONS =====
+// When a network drops (Wi-Fi gone, laptop lid closed) nobody sends a close
+// frame, and the socket can look open for a long time. Those "ghost" clients
+// would stay in the user list and receive broadcasts forever, so every
+// connection gets a WebSocket ping (a protocol-level frame, not one of our JSON
+// messages) at a regular interval. Clients that stop answering are terminated:
+// their 'close' handler runs straight away and updates the user count.
+function checkLiveness() {
+    wss.clients.forEach(ws => {
+        if (ws.missedPongs >= MAX_MISSED_PONGS) {
+            ws.log.warn('Client stopped answering pings - closing the connection', { missedPongs: ws.missedPongs });
+            metrics.deadConnections.inc();
+            ws.terminate();
+            return;
+        }
+        
+        ws.missedPongs++;
+        ws.ping();
+    });
+}
+
+// ===== REJECT AN INVALID MESSAGE =====
+// Sends { type: 'error', message } back to the sender.
+// Clients that keep sending bad messages are disconnected.
+function rejectMessage(ws, reason) {
+    ws.log.warn('Rejected message', { reason });
+    metrics.rejectedMessages.inc({ reason: 'invalid' });
+    sendToClient(ws, { type: 'error', message: reason });
+    
+    // Only count bad messages from the last minute
+    const now = Date.now();
+    ws.badMessages = ws.badMessages.filter(time => now - time < BAD_MESSAGE_WINDOW_MS);
+    ws.badMessages.push(now);
+    
+    if (ws.badMessages.length >= MAX_BAD_MESSAGES) {
+        ws.log.warn('Disconnecting client: too many invalid messages');
+        // 1008 = policy violation
+        ws.close(1008, 'Too many invalid messages');
+    }
+}
+
+// ===== REFUSE A MESSAGE THE USER ISN'T ALLOWED TO SEND =====
+// Like rejectMessage, but the message itself was fine, so it isn't counted
+function denyMessage(ws, reason) {
+    ws.log.warn('Denied message', { reason });
+    metrics.rejectedMessages.inc({ reason: 'denied' });
+    sendToClient(ws, { type: 'error', message: reason });
+}
+
+// ===== THROTTLE A CLIENT THAT IS SENDING TOO FAST =====
+// The message has already been dropped. Count it, warn the client with
+// { type: 'throttled', messageType, retryAfterMs }, and disconnect clients that
+// keep going over the limit.
+function throttleMessage(ws, type) {
+    stats.droppedMessages++;
+    stats.droppedByType[type] = (stats.droppedByType[type] || 0) + 1;
+    
+    const now = Date.now();
+    
+    // Don't flood the client with warnings - one per second is enough
+    if (now - ws.lastThrottleNotice >= THROTTLE_NOTICE_INTERVAL_MS && ws.readyState === WebSocket.OPEN) {
+        ws.lastThrottleNotice = now;
+        sendToClient(ws, {
+            type: 'throttled',
+            messageType: type,
+            retryAfterMs: ws.rateLimiter.retryAfter(type)
+        });
+    }
+    
+    // Only count drops from the last few seconds
+    ws.droppedMessages = ws.droppedMessages.filter(time => now - time < DROPPED_WINDOW_MS);
+    ws.droppedMessages.push(now);
+    
+    if (ws.droppedMessages.length >= MAX_DROPPED_MESSAGES) {
+        ws.log.warn('Disconnecting client: rate limit exceeded');
+        // 1008 = policy violation
+        ws.close(1008, 'Rate limit exceeded');
+    }
+}
+
+// ===== SEND A MESSAGE TO ONE CLIENT =====
+// Skips connections that are already closing, and counts the message for /metrics
+function sendToClient(ws, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(data));
+        metrics.messagesSent.inc({ type: data.type });
+    }
+}
+
+// ===== BROADCAST FUNCTION - SEND TO ALL CLIENTS IN A ROOM =====
+// This sends a message to every client connected to the given room
+function broadcastToAll(room, data) {
+    // Convert the data object to a JSON string (once, not once per client)
     const message = JSON.stringify(data);
+    let sent = 0;
     
-    // Loop through all connected clients
-    clients.forEach(client => {
+    // Loop through all clients in this room
+    room.clients.forEach(client => {
         // Only send if the connection is still open
         // readyState check prevents errors from trying to send to disconnected clients
         if (client.readyState === WebSocket.OPEN) {
             client.send(message);
+            sent++;
         }
     });
+    metrics.messagesSent.inc({ type: data.type }, sent);
+}
+
+// ===== BROADCAST TO EVERYONE EXCEPT THE SENDER =====
+// Used for presence updates the sender already knows about (like its own cursor)
+function broadcastToOthers(room, sender, data) {
+    const message = JSON.stringify(data);
+    let sent = 0;
+    
+    room.clients.forEach(client => {
+        if (client !== sender && client.readyState === WebSocket.OPEN) {
+            client.send(message);
+            sent++;
+        }
+    });
+    metrics.messagesSent.inc({ type: data.type }, sent);
 }
 
 // ===== BROADCAST USER COUNT =====
-// Tell all clients how many users are currently connected
-function broadcastUserCount() {
-    // Create a message with the current user count
+// Tell all clients in a room how many users are currently in that room
+function broadcastUserCount(room) {
+    // Create a message with the room's current user count
+    // Users on other nodes count too
     const message = JSON.stringify({
         type: 'userCount',
-        count: clients.size
+        count: room.clients.size + room.remoteUsers.size
     });
     
-    // Send to all connected clients
-    clients.forEach(client => {
+    // Send to all clients in the room
+    let sent = 0;
+    room.clients.forEach(client => {
         if (client.readyState === WebSocket.OPEN) {
             client.send(message);
+            sent++;
         }
     });
+    metrics.messagesSent.inc({ type: 'userCount' }, sent);
+}
+
+// ===== START AND STOP THE SERVER =====
+// `node server.js` starts the server straight away (see below). Other code,
+// like the tests in test/, requires this file and starts it on a free port:
+//   const { start, stop } = require('./server');
+//   const { port } = await start(0);   // 0 = any free port
+//   ...
+//   await stop();
+// Settings still come from environment variables, read when the file is
+// required, but nothing is loaded or connected until start(): the backplane,
+// the node heartbeats and the saved boards all start there, and stop() undoes
+// them. A stopped server can't be started again.
+let heartbeatTimer = null;
+let livenessTimer = null;
+
+// Resolves with { port, server } once the server is listening
+function start(port = PORT) {
+    return new Promise((resolve, reject) => {
+        // Throwing here (e.g. an unknown BACKPLANE) rejects the promise
+        connectBackplane();
+        loadSavedRooms();
+        
+        server.once('error', reject);
+        server.listen(port, () => {
+            server.off('error', reject);
+            
+            heartbeatTimer = setInterval(sendNodeHeartbeat, NODE_HEARTBEAT_MS);
+            livenessTimer = setInterval(checkLiveness, PING_INTERVAL_MS);
+            heartbeatTimer.unref();
+            livenessTimer.unref();
+            
+            const actualPort = server.address().port;
+            log.info(`Server running on port ${actualPort}`, { port: actualPort });
+            log.info(`Open http://localhost:${actualPort} in your browser`);
+            log.info('WebSocket server is ready for connections');
+            resolve({ port: actualPort, server });
+        });
+    });
 }
 
-// ===== SERVER STARTUP COMPLETE =====
-console.log('WebSocket server is ready for connections');
\ No newline at end of file
+// Disconnects everyone, writes what's left and tells the other nodes our
+// users are gone (waiting at most a second for that)
+async function stop() {
+    shuttingDown = true;
+    clearInterval(heartbeatTimer);
+    clearInterval(livenessTimer);
+    rooms.forEach(room => clearTimeout(room.gapTimer));
+    
+    // Clients see a dropped connection and reconnect (to another node, if there is one)
+    wss.clients.forEach(ws => ws.terminate());
+    await new Promise(resolve => wss.close(() => resolve()));
+    if (server.listening) {
+        const closed = new Promise(resolve => server.close(() => resolve()));
+        server.closeAllConnections();
+        await closed;
+    }
+    store.close();
+    rooms.clear();
+    nodesSeen.clear();
+    
+    // Never started: there is no backplane to say goodbye on
+    if (!backplane) return;
+    
+    let timer;
+    const bye = backplane.publish(NODES_CHANNEL, { kind: 'bye', node: NODE_ID }).catch(() => {});
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, 1000);
+    });
+    await Promise.race([bye, timeout]);
+    clearTimeout(timer);
+    await backplane.unsubscribe(NODES_CHANNEL).catch(() => {});
+    await backplane.close();
+}
+
+module.exports = { app, server, wss, start, stop };
+
+// ===== RUN THE SERVER =====
+// Only when started with `node server.js` (not when required by the tests)
+if (require.main === module) {
+    start().catch(error => {
+        log.error('Could not start the server', { error: error.message });
+        process.exit(1);
+    });
+    
+    // Azure (and Ctrl+C) stop the process with a signal - save pending events first
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => {
+            log.info(`Received ${signal}, saving boards and shutting down`);
+            stop().finally(() => process.exit(0));
+        });
+    });
+}
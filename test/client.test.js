@@ -0,0 +1,356 @@
+// ===== BROWSER APP TESTS =====
+// Runs public/app.js in jsdom (see loadApp in helpers.js) and checks what it
+// does with messages from the server and what it draws. The canvas is a
+// stand-in that writes down every drawing call instead of drawing.
+//
+//   npm test
+
+// Settings for the server in the last tests, read when server.js is required
+process.env.STORAGE = 'memory';
+process.env.BACKPLANE = 'memory';
+process.env.DEV_LOGIN = 'true';
+process.env.AUTH_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const BoardState = require('../public/board-state');
+const BoardReplay = require('../public/board-replay');
+const BoardExport = require('../public/board-export');
+const { connect, send, disconnect, createContext, loadApp, waitUntil } = require('./helpers');
+
+// A segment drawn by someone else
+function segment(strokeId, fields = {}) {
+    return {
+        type: 'draw',
+        data: { strokeId, fromX: 1, fromY: 2, toX: 3, toY: 4, color: '#ff0000', size: 4, clientId: 'someone-else', ...fields }
+    };
+}
+
+// Load the app for the test `t` (its window is closed when the test ends)
+async function openApp(t, options) {
+    const loaded = await loadApp(options);
+    t.after(() => loaded.window.close());
+    return loaded;
+}
+
+// Load the app and give it what the server sends when it joins:
+// its permissions and the board's history (empty unless `board` is given)
+async function joinedApp(t, board = new BoardState()) {
+    const loaded = await openApp(t);
+    loaded.socket.receive({ type: 'permissions', role: 'editor', locked: false, can: { draw: true, clear: true } });
+    loaded.socket.receive({ ...board.toHistoryMessage(), epoch: 'test', lastSeq: 0, ack: 0 });
+    return loaded;
+}
+
+// IDs of the items on the app's board
+// (copied into an array of ours - the app's arrays come from jsdom's window)
+function itemIds(app) {
+    return Array.from(app.board.getItems(), item => item.id);
+}
+
+// The drawing calls made on a layer's canvas since the last time we looked
+function takeCalls(app, layerId = BoardState.DEFAULT_LAYER_ID) {
+    const { calls } = app.layerContext(layerId);
+    return calls.splice(0, calls.length);
+}
+
+describe('handleMessage', () => {
+    test('the history builds the board and draws it', async (t) => {
+        const board = new BoardState();
+        board.apply(segment('stroke-1'));
+        
+        const { app } = await joinedApp(t, board);
+        
+        assert.deepEqual(itemIds(app), ['stroke-1']);
+        const calls = takeCalls(app);
+        assert.ok(calls.some(call => call[0] === 'lineTo' && call[1] === 3 && call[2] === 4));
+    });
+    
+    test('a segment from someone else is added to the board and drawn', async (t) => {
+        const { app, socket } = await joinedApp(t);
+        takeCalls(app);
+        
+        socket.receive({ ...segment('stroke-1'), seq: 1 });
+        
+        assert.deepEqual(itemIds(app), ['stroke-1']);
+        const calls = takeCalls(app);
+        assert.deepEqual(calls.find(call => call[0] === 'moveTo'), ['moveTo', 1, 2]);
+        assert.deepEqual(calls.find(call => call[0] === 'lineTo'), ['lineTo', 3, 4]);
+        assert.deepEqual(calls.find(call => call[0] === 'strokeStyle'), ['strokeStyle', '#ff0000']);
+    });
+    
+    test('our own segments coming back from the server are not drawn again', async (t) => {
+        const { app } = await joinedApp(t);
+        takeCalls(app);
+        
+        app.handleMessage({ ...segment('stroke-1', { clientId: app.clientId }), seq: 1 });
+        
+        assert.deepEqual(takeCalls(app), []);
+    });
+    
+    test('a change with a number we have already seen is skipped', async (t) => {
+        const { app } = await joinedApp(t);
+        
+        app.handleMessage({ ...segment('stroke-1'), seq: 1 });
+        app.handleMessage({ ...segment('stroke-2'), seq: 1 });
+        
+        assert.deepEqual(itemIds(app), ['stroke-1']);
+        assert.equal(app.lastSeq, 1);
+    });
+    
+    test('a clear empties the board and the canvas', async (t) => {
+        const { app } = await joinedApp(t);
+        app.handleMessage({ ...segment('stroke-1'), seq: 1 });
+        takeCalls(app);
+        
+        app.handleMessage({ type: 'clear', seq: 2, data: { clientId: 'someone-else', seen: app.board.seenClocks() } });
+        
+        assert.deepEqual(itemIds(app), []);
+        const calls = takeCalls(app);
+        assert.ok(calls.some(call => call[0] === 'clearRect'));
+        assert.ok(!calls.some(call => call[0] === 'lineTo'));
+    });
+    
+    test('a background change from someone else is drawn and shown in the menu', async (t) => {
+        const { window, app } = await joinedApp(t);
+        app.ctx.calls.length = 0;
+        
+        app.handleMessage({ type: 'background', seq: 1, data: { background: 'grid', clientId: 'someone-else', clock: 1 } });
+        
+        assert.equal(app.board.getBackground(), 'grid');
+        assert.equal(window.document.getElementById('background-select').value, 'grid');
+        assert.ok(app.ctx.calls.some(call => call[0] === 'lineTo'));
+    });
+    
+    test('an image is drawn as a gray box until its picture has loaded', async (t) => {
+        const { app } = await joinedApp(t);
+        takeCalls(app);
+        
+        const url = `/uploads/${'b'.repeat(32)}.png`;
+        app.handleMessage({
+            type: 'image',
+            seq: 1,
+            data: { id: 'image-1', url, x: 10, y: 20, width: 300, height: 200, clientId: 'someone-else', clock: 1 }
+        });
+        
+        assert.deepEqual(itemIds(app), ['image-1']);
+        assert.deepEqual(takeCalls(app).find(call => call[0] === 'fillRect'), ['fillRect', 10, 20, 300, 200]);
+    });
+    
+    test('welcome gives us the client ID to draw with, also for changes not sent yet', async (t) => {
+        const { window, app } = await openApp(t);
+        const oldId = app.clientId;
+        app.outbox.push({ type: 'undo', msgSeq: 1, data: { strokeId: 'stroke-1', clientId: oldId } });
+        
+        app.handleMessage({ type: 'welcome', user: { id: 'conn-1' }, clientId: 'server-id', clientKey: 'key' });
+        
+        assert.equal(app.clientId, 'server-id');
+        assert.equal(app.outbox[0].data.clientId, 'server-id');
+        assert.equal(window.sessionStorage.getItem('clientId'), 'server-id');
+        assert.equal(window.sessionStorage.getItem('clientKey'), 'key');
+    });
+    
+    test('userCount shows how many users are in the room', async (t) => {
+        const { window, app } = await joinedApp(t);
+        
+        app.handleMessage({ type: 'userCount', count: 3 });
+        
+        assert.equal(window.document.getElementById('user-count').textContent, 'Users: 3');
+    });
+});
+
+describe('drawing with the pointer', () => {
+    test('a tap without moving draws a dot, and sends it', async (t) => {
+        const { app, socket } = await joinedApp(t);
+        const { x, y } = app.getMousePos({ clientX: 40, clientY: 30 });
+        
+        app.startDrawing({ clientX: 40, clientY: 30, pointerType: 'mouse', preventDefault() {} });
+        app.stopDrawing();
+        
+        const [stroke] = app.board.getItems();
+        assert.deepEqual(Array.from(stroke.points), [x, y, x, y]);
+        const calls = takeCalls(app);
+        assert.ok(calls.some(call => call[0] === 'lineTo' && call[1] === x && call[2] === y));
+        const sent = socket.sent.find(message => message.type === 'polyline');
+        assert.deepEqual(sent.data.points, [x, y, x, y]);
+    });
+});
+
+describe('importing', () => {
+    // A JSON export with one image, as a File would give it to importBoard
+    function exportFile(url) {
+        const image = { kind: 'image', id: 'image-1', clientId: 'someone-else', url, x: 0, y: 0, width: 10, height: 10 };
+        const doc = BoardExport.toJson([image], { room: 'test' });
+        return { name: 'board.json', text: async () => JSON.stringify(doc) };
+    }
+    
+    test('a board with an image the server doesn\'t have is not imported', async (t) => {
+        const board = new BoardState();
+        board.apply(segment('stroke-1'));
+        const { window, app, socket } = await joinedApp(t, board);
+        const alerts = [];
+        window.alert = message => alerts.push(message);
+        window.confirm = () => true;
+        window.fetch = async () => ({ ok: false });
+        
+        await app.importBoard(exportFile(`/uploads/${'a'.repeat(32)}.png`));
+        
+        assert.match(alerts[0], /not uploaded/);
+        assert.deepEqual(itemIds(app), ['stroke-1']);
+        assert.equal(socket.sent.some(message => message.type === 'import'), false);
+    });
+    
+    test('a board whose images are all on the server replaces ours', async (t) => {
+        const board = new BoardState();
+        board.apply(segment('stroke-1'));
+        const { window, app, socket } = await joinedApp(t, board);
+        window.confirm = () => true;
+        window.fetch = async () => ({ ok: true });
+        
+        await app.importBoard(exportFile(`/uploads/${'a'.repeat(32)}.png`));
+        
+        assert.deepEqual(Array.from(app.board.getItems(), item => item.kind), ['image']);
+        assert.ok(socket.sent.some(message => message.type === 'import'));
+    });
+});
+
+describe('drawLine', () => {
+    test('draws one segment with its color and size', async (t) => {
+        const { app } = await openApp(t);
+        const ctx = createContext();
+        
+        app.drawLine({ fromX: 1, fromY: 2, toX: 3, toY: 4, color: '#00ff00', size: 5 }, ctx);
+        
+        assert.deepEqual(ctx.calls, [
+            ['globalCompositeOperation', 'source-over'],
+            ['beginPath'],
+            ['moveTo', 1, 2],
+            ['lineTo', 3, 4],
+            ['strokeStyle', '#00ff00'],
+            ['lineWidth', 5],
+            ['lineCap', 'round'],
+            ['stroke'],
+            ['globalCompositeOperation', 'source-over']
+        ]);
+    });
+    
+    test('the eraser removes pixels, then painting goes back to normal', async (t) => {
+        const { app } = await openApp(t);
+        const ctx = createContext();
+        
+        app.drawLine({ tool: 'eraser', fromX: 1, fromY: 2, toX: 3, toY: 4, color: '#000000', size: 20 }, ctx);
+        
+        assert.deepEqual(ctx.calls[0], ['globalCompositeOperation', 'destination-out']);
+        assert.deepEqual(ctx.calls[ctx.calls.length - 1], ['globalCompositeOperation', 'source-over']);
+    });
+});
+
+describe('replay', () => {
+    // A rectangle bob drew at `timestamp`
+    function rectangle(id, timestamp) {
+        return {
+            type: 'shape',
+            data: { id, shape: 'rect', x1: 0, y1: 0, x2: 10, y2: 10, color: '#000000', size: 2, clientId: 'bob', author: 'bob', timestamp }
+        };
+    }
+    
+    // Where each item shown at `time` is: { id: x1 }
+    function boardAt(history, time) {
+        return Object.fromEntries(BoardReplay.itemsAt(history, time).map(item => [item.id, item.x1]));
+    }
+    
+    test('cleared items are shown until the clear', () => {
+        const board = new BoardState();
+        board.apply(rectangle('rect-1', 1000));
+        board.apply({ type: 'clear', data: { seen: board.seenClocks(), clientId: 'alice', timestamp: 2000 } });
+        board.apply(rectangle('rect-2', 3000));
+        
+        const history = board.getHistory();
+        assert.deepEqual(boardAt(history, 1500), { 'rect-1': 0 });
+        assert.deepEqual(boardAt(history, 2500), {});
+        assert.deepEqual(boardAt(history, 3500), { 'rect-2': 0 });
+        assert.deepEqual(BoardReplay.buildTimeline(history).activity, [[1000, 1000], [2000, 2000], [3000, 3000]]);
+    });
+    
+    test('edited items look as they did at the time, and undo and redo show up', () => {
+        const board = new BoardState();
+        board.apply(rectangle('rect-1', 1000));
+        board.apply({ type: 'move', data: { ids: ['rect-1'], dx: 5, dy: 0, clientId: 'bob', timestamp: 2000 } });
+        board.apply({ type: 'undo', data: { strokeId: 'rect-1', clientId: 'bob', timestamp: 3000 } });
+        board.apply({ type: 'redo', data: { strokeId: 'rect-1', clientId: 'bob', timestamp: 4000 } });
+        
+        const history = board.getHistory();
+        assert.deepEqual(boardAt(history, 1500), { 'rect-1': 0 });
+        assert.deepEqual(boardAt(history, 2500), { 'rect-1': 5 });
+        assert.deepEqual(boardAt(history, 3500), {});
+        assert.deepEqual(boardAt(history, 4500), { 'rect-1': 5 });
+    });
+    
+    test('contributors are told apart by client, not by name', () => {
+        const shape = (id, clientId, author) => ({ item: { kind: 'shape', id, clientId, author }, changes: [] });
+        const history = [
+            shape('rect-1', 'c1', 'Guest'),
+            shape('rect-2', 'c2', 'Guest'),
+            shape('rect-3', 'c3', 'Ann'),
+            shape('rect-4', 'c3', 'Annie')   // Renamed
+        ];
+        
+        const contributors = BoardReplay.buildTimeline(history).contributors.map(({ key, name, count }) => [key, name, count]);
+        assert.deepEqual(contributors, [['c3', 'Annie', 2], ['c1', 'Guest (c1)', 1], ['c2', 'Guest (c2)', 1]]);
+        assert.deepEqual(BoardReplay.itemsAt(history, 0, new Set(['c1'])).map(item => item.id), ['rect-1']);
+    });
+    
+    test('cleared items are neither saved with the board nor sent to those who join', () => {
+        const board = new BoardState();
+        board.apply(rectangle('rect-1', 1000));
+        board.apply({ type: 'recolor', data: { ids: ['rect-1'], color: '#ff0000', clientId: 'bob', timestamp: 1500 } });
+        board.apply({ type: 'clear', data: { seen: board.seenClocks(), clientId: 'alice', timestamp: 2000 } });
+        assert.equal(BoardReplay.itemsAt(board.getHistory(), 1700)[0].color, '#ff0000');
+        
+        assert.equal(JSON.stringify(board.toHistoryMessage()).includes('rect-1'), false);
+        assert.deepEqual(BoardState.fromEvents(board.toEvents()).getHistory(), []);
+    });
+    
+    test('cleared items are kept up to a total size, the first ones drawn dropped first', () => {
+        const board = new BoardState();
+        // About 200 KB each
+        const points = new Array(20000).fill(123.45);
+        for (let i = 0; i < 20; i++) {
+            board.apply({ type: 'polyline', data: { strokeId: `stroke-${i}`, points, color: '#000000', size: 2, clientId: 'bob', timestamp: 1000 + i } });
+        }
+        board.apply({ type: 'clear', data: { seen: board.seenClocks(), clientId: 'alice', timestamp: 2000 } });
+        
+        const kept = board.getHistory().map(({ item }) => item.id);
+        assert.ok(kept.length > 0 && kept.length < 20);
+        assert.equal(kept[kept.length - 1], 'stroke-19');
+    });
+});
+
+describe('connected to the server', () => {
+    let server;
+    let port;
+    
+    before(async () => {
+        server = require('../server');
+        ({ port } = await server.start(0));
+    });
+    
+    after(async () => {
+        await server.stop();
+    });
+    
+    test('shows what another user draws', async (t) => {
+        const { app } = await openApp(t, { url: `http://localhost:${port}/?room=client-test`, port });
+        await waitUntil(() => app.synced, 'the app to get the history');
+        
+        const bob = await connect(port, 'client-test', 'bob');
+        send(bob, segment('stroke-1'));
+        
+        await waitUntil(() => app.board.getItems().length === 1, 'the segment to arrive');
+        assert.equal(app.board.getItems()[0].author, 'bob');
+        assert.ok(takeCalls(app).some(call => call[0] === 'lineTo' && call[1] === 3 && call[2] === 4));
+        
+        await disconnect(bob);
+    });
+});
@@ -0,0 +1,20 @@
+// ===== CONVERGENCE TESTS =====
+// A few fixed rounds of scripts/convergence-check.js, so npm test (and the
+// GitHub workflow) notices when boards stop ending up the same. Run the
+// check itself for many more rounds:
+//
+//   npm run convergence-check -- 100
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { runPeerToPeer, runThroughServer } = require('../scripts/convergence-check');
+
+const SEEDS = [1, 2, 3];
+
+for (const seed of SEEDS) {
+    test(`seed ${seed}: every copy of the board ends up the same`, () => {
+        // Each run throws if two boards differ, and returns how many items there are
+        assert.equal(typeof runPeerToPeer(seed), 'number');
+        assert.equal(typeof runThroughServer(seed), 'number');
+    });
+}
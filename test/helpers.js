@@ -0,0 +1,237 @@
+// ===== TEST HELPERS =====
+// Shared by the tests in this folder:
+//
+//   - connect() joins a room of a running server as a plain `ws` client
+//   - loadApp() runs the browser app (public/app.js) in jsdom, a browser
+//     made of JavaScript, with a stand-in for the canvas (jsdom can't draw)
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const WebSocket = require('ws');
+const { JSDOM } = require('jsdom');
+const { clientKey } = require('../lib/auth');
+
+// How long to wait for something to happen before a test fails
+const WAIT_MS = 3000;
+
+// ===== SERVER CLIENTS =====
+
+// Log in with the development login and join `room` on the server at `port`.
+// The client's ID is its name, with the key the server would have given it
+// (the tests share the server's AUTH_SECRET) - unless options.clientId and
+// options.clientKey say otherwise. Other options go to the WebSocket.
+// Every message the client receives is kept in `client.messages`.
+// Resolves once the server has sent the room's history.
+async function connect(port, room, name, options = {}) {
+    const response = await fetch(`http://localhost:${port}/auth/dev-login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+    });
+    const { token, user } = await response.json();
+    const { clientId = name, clientKey: key = clientKey(user.id, clientId), ...wsOptions } = options;
+    
+    const ws = new WebSocket(`ws://localhost:${port}/ws?room=${room}&clientId=${clientId}&clientKey=${key}&token=${token}`, wsOptions);
+    const client = { ws, name, messages: [], listeners: new Set() };
+    ws.on('message', raw => {
+        const message = JSON.parse(raw);
+        client.messages.push(message);
+        client.listeners.forEach(listener => listener());
+    });
+    
+    await waitFor(client, message => message.type === 'history', `${name} to get the history`);
+    return client;
+}
+
+// Send one of our JSON messages
+function send(client, message) {
+    client.ws.send(JSON.stringify(message));
+}
+
+// Wait until `client` has received a message matching `test` (or the last
+// one, if there are several)
+function waitFor(client, test, what) {
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            const found = client.messages.filter(test);
+            if (found.length > 0) {
+                client.listeners.delete(check);
+                clearTimeout(timer);
+                resolve(found[found.length - 1]);
+            }
+        };
+        const timer = setTimeout(() => {
+            client.listeners.delete(check);
+            reject(new Error(`timed out waiting for ${what}`));
+        }, WAIT_MS);
+        
+        client.listeners.add(check);
+        check();
+    });
+}
+
+// Wait until the client's latest userCount is `count`
+async function waitForCount(client, count) {
+    const latest = () => [...client.messages].reverse().find(message => message.type === 'userCount');
+    await waitFor(client, () => latest() && latest().count === count, `${client.name} to see ${count} users`);
+}
+
+// Close the connection and wait until it is closed
+function disconnect(client) {
+    if (client.ws.readyState === WebSocket.CLOSED) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        client.ws.once('close', resolve);
+        client.ws.close();
+    });
+}
+
+// ===== CANVAS STAND-IN =====
+// A 2D context that draws nothing but writes down what it was asked to do:
+//   ctx.calls = [['beginPath'], ['moveTo', 10, 20], ['strokeStyle', '#ff0000'], ...]
+// Methods are written with their arguments, properties with the value they
+// were set to, in the order it happened.
+function createContext(canvas) {
+    const calls = [];
+    const state = { canvas, calls };
+    
+    // The few methods the app reads a result from
+    const results = {
+        measureText: text => ({ width: text.length * 8 }),
+        getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 })
+    };
+    
+    return new Proxy(state, {
+        get(target, key) {
+            if (key in target) {
+                return target[key];
+            }
+            return (...args) => {
+                calls.push([key, ...args]);
+                return results[key] ? results[key](...args) : undefined;
+            };
+        },
+        set(target, key, value) {
+            target[key] = value;
+            calls.push([key, value]);
+            return true;
+        }
+    });
+}
+
+// ===== WEBSOCKET STAND-IN =====
+// Used instead of a real connection when a test only checks the page.
+// It opens straight away and keeps everything the app sends in `sent`.
+class FakeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.sent = [];
+        
+        setTimeout(() => {
+            this.readyState = FakeWebSocket.OPEN;
+            if (this.onopen) this.onopen();
+        }, 0);
+    }
+    
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+    
+    close() {
+        this.readyState = FakeWebSocket.CLOSED;
+    }
+    
+    // Pretend the server sent us `message`
+    receive(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+    }
+}
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSING = 2;
+FakeWebSocket.CLOSED = 3;
+
+// ===== THE BROWSER APP =====
+// Loads public/index.html and its scripts into jsdom and starts DrawingApp.
+//   url:  the page's address (the app reads the room and the server from it)
+//   port: connect to the real server on this port; without it the app gets
+//         a FakeWebSocket and a made-up login token
+// Resolves with { window, app, socket } once the app has opened its connection.
+async function loadApp({ url = 'http://localhost/?room=test', port } = {}) {
+    const publicDir = path.join(__dirname, '..', 'public');
+    const html = fs.readFileSync(path.join(publicDir, 'index.html'), 'utf8');
+    
+    const dom = new JSDOM(html, {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true   // Gives the page requestAnimationFrame
+    });
+    const { window } = dom;
+    
+    window.HTMLCanvasElement.prototype.getContext = function () {
+        if (!this.context) {
+            this.context = createContext(this);
+        }
+        return this.context;
+    };
+    window.console.log = () => {};
+    
+    if (port) {
+        // jsdom has a real WebSocket, but no fetch - lend it Node's
+        window.fetch = (address, options) => fetch(new URL(address, `http://localhost:${port}`), options);
+    } else {
+        window.WebSocket = FakeWebSocket;
+        const claims = Buffer.from(JSON.stringify({ sub: 'test-user', exp: 2 ** 31 })).toString('base64url');
+        window.localStorage.setItem('authToken', `header.${claims}.signature`);
+    }
+    
+    // Run the scripts the page loads, in the same order, once the page has
+    // loaded (jsdom itself would fetch them from `url`, which doesn't exist)
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    const context = dom.getInternalVMContext();
+    window.document.querySelectorAll('script[src]').forEach(script => {
+        const file = path.join(publicDir, script.getAttribute('src'));
+        new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+    });
+    
+    // app.js starts the app on DOMContentLoaded, which is over by now - start it here
+    // (so we have it, too)
+    const app = vm.runInContext('new DrawingApp()', context);
+    await waitUntil(() => app.ws && app.ws.readyState === window.WebSocket.OPEN, 'the app to connect');
+    
+    return { window, app, socket: app.ws };
+}
+
+// Check `condition` every few milliseconds until it is true
+function waitUntil(condition, what) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (condition()) {
+                resolve();
+            } else if (Date.now() - started > WAIT_MS) {
+                reject(new Error(`timed out waiting for ${what}`));
+            } else {
+                setTimeout(check, 10);
+            }
+        };
+        check();
+    });
+}
+
+module.exports = {
+    connect,
+    send,
+    waitFor,
+    waitForCount,
+    disconnect,
+    createContext,
+    FakeWebSocket,
+    loadApp,
+    waitUntil
+};
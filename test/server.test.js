@@ -0,0 +1,582 @@
+// ===== SERVER TESTS =====
+// Starts server.js on a free port and talks to it the way the browser does,
+// with plain `ws` clients. Every test uses its own room, so tests don't see
+// each other's users or drawings.
+//
+//   npm test
+
+// Settings are read when server.js is required, so they come first
+process.env.STORAGE = 'memory';
+process.env.BACKPLANE = 'memory';
+process.env.DEV_LOGIN = 'true';
+process.env.AUTH_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+process.env.PING_INTERVAL_MS = '100';   // Quick WebSocket pings, for the dead connection test
+process.env.MAX_EXPORT_IMAGE_BYTES = '1000';   // Small, for the test of images in SVG exports
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const WebSocket = require('ws');
+const { start, stop } = require('../server');
+const { UploadStore } = require('../lib/uploads');
+const { renderPng, ExportError } = require('../lib/png-export');
+const { decodePng } = require('../lib/png-decode');
+const { connect, send, waitFor, waitForCount, disconnect } = require('./helpers');
+
+let port;
+const clients = [];
+
+before(async () => {
+    ({ port } = await start(0));
+});
+
+after(async () => {
+    await Promise.all(clients.map(disconnect));
+    await stop();
+});
+
+// Join `room` as `name`; the connection is closed after the last test
+async function join(room, name, options) {
+    const client = await connect(port, room, name, options);
+    clients.push(client);
+    return client;
+}
+
+// A login token for `name` from the development login
+async function login(name) {
+    const response = await fetch(`http://localhost:${port}/auth/dev-login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+    });
+    return (await response.json()).token;
+}
+
+// One segment of a red stroke
+function segment(strokeId) {
+    return { strokeId, fromX: 0, fromY: 0, toX: 10, toY: 10, color: '#ff0000', size: 3 };
+}
+
+describe('joining a room', () => {
+    test('a new client gets the history of the empty board, who it is and the user count', async () => {
+        const alice = await join('join-empty', 'alice');
+        
+        const history = alice.messages.find(message => message.type === 'history');
+        assert.deepEqual(history.snapshot.items, []);
+        assert.equal(history.lastSeq, 0);
+        assert.equal(typeof history.epoch, 'string');
+        
+        const welcome = await waitFor(alice, message => message.type === 'welcome', 'the welcome');
+        assert.equal(welcome.user.name, 'alice');
+        await waitForCount(alice, 1);
+    });
+    
+    test('the history holds everything drawn before the client joined', async () => {
+        const alice = await join('join-history', 'alice');
+        send(alice, { type: 'draw', data: segment('stroke-1') });
+        const drawn = await waitFor(alice, message => message.type === 'draw', 'alice\'s own segment');
+        
+        const bob = await join('join-history', 'bob');
+        const history = bob.messages.find(message => message.type === 'history');
+        assert.equal(history.lastSeq, drawn.seq);
+        assert.equal(history.snapshot.items.length, 1);
+        
+        const [stroke] = history.snapshot.items;
+        assert.equal(stroke.id, 'stroke-1');
+        assert.equal(stroke.kind, 'stroke');
+        assert.equal(stroke.color, '#ff0000');
+        assert.deepEqual(stroke.points, [0, 0, 10, 10]);
+    });
+});
+
+describe('drawing', () => {
+    test('a segment goes to everyone in the room, numbered and signed by the server', async () => {
+        const alice = await join('draw', 'alice');
+        const bob = await join('draw', 'bob');
+        const carol = await join('draw-elsewhere', 'carol');
+        
+        send(alice, { type: 'draw', data: segment('stroke-1') });
+        
+        const received = await waitFor(bob, message => message.type === 'draw', 'bob to get the segment');
+        assert.equal(typeof received.seq, 'number');
+        assert.equal(received.data.clientId, 'alice');
+        assert.equal(received.data.author, 'alice');
+        assert.equal(received.data.fromX, 0);
+        assert.equal(received.data.toY, 10);
+        
+        // The sender gets it too, with the same number (the app skips its own segments)
+        const echo = await waitFor(alice, message => message.type === 'draw', 'alice to get her segment back');
+        assert.equal(echo.seq, received.seq);
+        
+        // Other rooms don't
+        assert.equal(carol.messages.some(message => message.type === 'draw'), false);
+    });
+    
+    test('an invalid message is answered with an error and not passed on', async () => {
+        const alice = await join('draw-invalid', 'alice');
+        const bob = await join('draw-invalid', 'bob');
+        
+        send(alice, { type: 'draw', data: { ...segment('stroke-1'), color: 'red' } });
+        
+        const error = await waitFor(alice, message => message.type === 'error', 'the error');
+        assert.match(error.message, /color/);
+        assert.equal(bob.messages.some(message => message.type === 'draw'), false);
+    });
+});
+
+describe('someone else\'s stroke', () => {
+    test('can\'t be added to by sending its strokeId', async () => {
+        const alice = await join('stroke-owner', 'alice');
+        const bob = await join('stroke-owner', 'bob');
+        send(alice, { type: 'draw', data: segment('stroke-1') });
+        await waitFor(bob, message => message.type === 'draw', 'bob to get the segment');
+        
+        send(bob, { type: 'polyline', data: { ...segment('stroke-1'), points: [10, 10, 900, 900], tool: 'pen' } });
+        // Changes are handled in order, so once this arrives the one before it has been too
+        send(bob, { type: 'draw', data: segment('stroke-2') });
+        await waitFor(alice, message => message.type === 'draw' && message.data.strokeId === 'stroke-2', 'bob\'s own stroke');
+        
+        assert.equal(alice.messages.some(message => message.type === 'polyline'), false);
+        const carol = await join('stroke-owner', 'carol');
+        const history = carol.messages.find(message => message.type === 'history');
+        assert.deepEqual(history.snapshot.items.find(item => item.id === 'stroke-1').points, [0, 0, 10, 10]);
+    });
+});
+
+describe('client IDs', () => {
+    test('someone else\'s client ID can\'t be used to undo their items', async () => {
+        const alice = await join('client-id', 'alice');
+        send(alice, { type: 'draw', data: segment('stroke-1') });
+        await waitFor(alice, message => message.type === 'draw', 'alice\'s own segment');
+        
+        // Mallory knows alice's client ID (every change carries it), but not its key
+        const mallory = await join('client-id', 'mallory', { clientId: 'alice', clientKey: 'guessed' });
+        const welcome = mallory.messages.find(message => message.type === 'welcome');
+        assert.notEqual(welcome.clientId, 'alice');
+        
+        send(mallory, { type: 'undo', data: { strokeId: 'stroke-1' } });
+        send(mallory, { type: 'draw', data: segment('stroke-2') });
+        await waitFor(alice, message => message.type === 'draw' && message.data.strokeId === 'stroke-2', 'mallory\'s stroke');
+        
+        assert.equal(alice.messages.some(message => message.type === 'undo'), false);
+    });
+    
+    test('a client keeps its ID when it comes back with its key', async () => {
+        const alice = await join('client-id-kept', 'alice');
+        const welcome = alice.messages.find(message => message.type === 'welcome');
+        
+        assert.equal(welcome.clientId, 'alice');
+        assert.equal(typeof welcome.clientKey, 'string');
+    });
+});
+
+describe('clearing', () => {
+    test('a clear empties the board for everyone, also for clients who join later', async () => {
+        const alice = await join('clear', 'alice');
+        const bob = await join('clear', 'bob');
+        send(alice, { type: 'draw', data: segment('stroke-1') });
+        await waitFor(bob, message => message.type === 'draw', 'bob to get the segment');
+        
+        send(alice, { type: 'clear' });
+        
+        const clear = await waitFor(bob, message => message.type === 'clear', 'bob to get the clear');
+        assert.equal(clear.data.clientId, 'alice');
+        // The server fills in what the clear removes: everything it had seen
+        assert.deepEqual(clear.data.seen, { alice: 1 });
+        
+        const carol = await join('clear', 'carol');
+        const history = carol.messages.find(message => message.type === 'history');
+        assert.deepEqual(history.snapshot.items, []);
+    });
+    
+    test('cleared items only go to a page that asks for a replay', async () => {
+        const alice = await join('clear-replay', 'alice');
+        send(alice, { type: 'draw', data: segment('stroke-1') });
+        await waitFor(alice, message => message.type === 'draw', 'alice\'s own segment');
+        send(alice, { type: 'clear' });
+        await waitFor(alice, message => message.type === 'clear', 'alice\'s own clear');
+        
+        const bob = await join('clear-replay', 'bob');
+        const history = bob.messages.find(message => message.type === 'history');
+        assert.equal(JSON.stringify(history).includes('stroke-1'), false);
+        
+        const headers = { Authorization: `Bearer ${await login('bob')}` };
+        const response = await fetch(`http://localhost:${port}/replay.json?room=clear-replay`, { headers });
+        const replay = await response.json();
+        assert.deepEqual(replay.history.map(({ item }) => item.id), ['stroke-1']);
+        assert.equal(typeof replay.history[0].clearedAt, 'number');
+    });
+    
+    test('a clear or import that says it had seen far ahead of the board is refused', async () => {
+        const alice = await join('clear-ahead', 'alice');
+        const bob = await join('clear-ahead', 'bob');
+        
+        // Would clear everything bob draws from now on
+        send(alice, { type: 'clear', data: { seen: { bob: 9e15 } } });
+        send(alice, { type: 'import', data: { items: [], seen: { bob: 9e15 } } });
+        const refused = () => alice.messages.filter(message => message.type === 'error' && /ahead/.test(message.message));
+        await waitFor(alice, () => refused().length === 2, 'the clear and the import to be refused');
+        
+        send(bob, { type: 'draw', data: segment('stroke-1') });
+        await waitFor(alice, message => message.type === 'draw', 'bob\'s segment');
+        const carol = await join('clear-ahead', 'carol');
+        const history = carol.messages.find(message => message.type === 'history');
+        assert.equal(history.snapshot.items.length, 1);
+    });
+    
+    test('a clear can\'t say it had seen someone else\'s items the board doesn\'t have', async () => {
+        const alice = await join('clear-seen-other', 'alice');
+        const bob = await join('clear-seen-other', 'bob');
+        send(bob, { type: 'draw', data: segment('stroke-1') });
+        await waitFor(alice, message => message.type === 'draw', 'bob\'s segment');
+        
+        // Well within MAX_CLOCK_LEAD, but bob has drawn nothing that late
+        send(alice, { type: 'clear', data: { seen: { bob: 50000 } } });
+        const error = await waitFor(alice, message => message.type === 'error', 'the clear to be refused');
+        assert.match(error.message, /ahead/);
+        
+        // Alice's own items may be ahead: she could have drawn them offline
+        send(alice, { type: 'clear', data: { seen: { alice: 50000, bob: 1 } } });
+        await waitFor(bob, message => message.type === 'clear', 'alice\'s second clear');
+    });
+});
+
+describe('roles', () => {
+    test('an editor can neither clear nor import over the board', async () => {
+        const alice = await join('editor-import', 'alice');   // The first to join owns the board
+        const bob = await join('editor-import', 'bob');
+        send(alice, { type: 'draw', data: segment('stroke-1') });
+        await waitFor(bob, message => message.type === 'draw', 'bob to get the segment');
+        
+        send(bob, { type: 'clear' });
+        send(bob, { type: 'import', data: { items: [] } });
+        
+        await waitFor(bob, message => message.type === 'error' && /clear/.test(message.message), 'the clear to be refused');
+        await waitFor(bob, message => message.type === 'error' && /import/.test(message.message), 'the import to be refused');
+        
+        const carol = await join('editor-import', 'carol');
+        const history = carol.messages.find(message => message.type === 'history');
+        assert.equal(history.snapshot.items.length, 1);
+    });
+});
+
+describe('exporting', () => {
+    test('a board downloads as JSON, and an unknown format is a plain 404', async () => {
+        const alice = await join('export', 'alice');
+        send(alice, { type: 'draw', data: segment('stroke-1') });
+        await waitFor(alice, message => message.type === 'draw', 'alice\'s own segment');
+        const headers = { Authorization: `Bearer ${await login('alice')}` };
+        
+        const json = await fetch(`http://localhost:${port}/export.json?room=export`, { headers });
+        assert.equal(json.status, 200);
+        assert.match(json.headers.get('content-disposition'), /attachment; filename="export.json"/);
+        assert.equal((await json.json()).items.length, 1);
+        
+        const gif = await fetch(`http://localhost:${port}/export.gif?room=export`, { headers });
+        assert.equal(gif.status, 404);
+        assert.equal(gif.headers.get('content-disposition'), null);
+        assert.match(gif.headers.get('content-type'), /^text\/html/);
+    });
+    
+    test('exports are rate limited per user', async () => {
+        const alice = await join('export-limit', 'alice');
+        send(alice, { type: 'draw', data: segment('stroke-1') });
+        await waitFor(alice, message => message.type === 'draw', 'alice\'s own segment');
+        const headers = { Authorization: `Bearer ${await login('alice')}` };
+        
+        const statuses = [];
+        for (let i = 0; i < 6; i++) {
+            statuses.push((await fetch(`http://localhost:${port}/export.json?room=export-limit`, { headers })).status);
+        }
+        assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+    });
+    
+    test('a PNG export that would paint too many pixels is refused instead of drawn', () => {
+        const line = { kind: 'shape', shape: 'line', id: 'line-1', x1: 0, y1: 0, x2: 4000, y2: 4000, color: '#000000', size: 50 };
+        assert.throws(() => renderPng([line], { maxRenderPixels: 10000 }), ExportError);
+        assert.ok(renderPng([line], { maxRenderPixels: 1000000 }).length > 0);
+    });
+});
+
+describe('user count', () => {
+    test('goes up when users join and down when they leave', async () => {
+        const alice = await join('count', 'alice');
+        await waitForCount(alice, 1);
+        
+        const bob = await join('count', 'bob');
+        await waitForCount(alice, 2);
+        await waitForCount(bob, 2);
+        
+        // Users of other rooms don't count
+        await join('count-elsewhere', 'carol');
+        
+        await disconnect(bob);
+        await waitForCount(alice, 1);
+        assert.equal(alice.messages.filter(message => message.type === 'userCount').pop().count, 1);
+    });
+});
+
+describe('heartbeat', () => {
+    test('a ping is answered with a pong', async () => {
+        const alice = await join('ping', 'alice');
+        
+        send(alice, { type: 'ping' });
+        
+        const pong = await waitFor(alice, message => message.type === 'pong', 'the pong');
+        assert.equal(pong.ack, 0);
+    });
+    
+    test('a client that stops answering WebSocket pings is disconnected', async () => {
+        const alice = await join('dead-connection', 'alice');
+        // A client that never answers pings, like a laptop that was closed
+        const ghost = await join('dead-connection', 'ghost', { autoPong: false });
+        await waitForCount(alice, 2);
+        
+        await new Promise(resolve => ghost.ws.once('close', resolve));
+        await waitForCount(alice, 1);
+        
+        // Clients that do answer stay connected
+        assert.equal(alice.ws.readyState, WebSocket.OPEN);
+    });
+});
+
+describe('logging in', () => {
+    test('a connection without a token is refused', async () => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws?room=no-token`);
+        
+        const error = await new Promise(resolve => ws.once('error', resolve));
+        assert.match(error.message, /401/);
+    });
+    
+    test('a login can\'t pick its user ID, but a still-valid token keeps it', async () => {
+        const devLogin = async (body, token) => {
+            const response = await fetch(`http://localhost:${port}/auth/dev-login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+                body: JSON.stringify(body)
+            });
+            return response.json();
+        };
+        const alice = await devLogin({ name: 'alice' });
+        
+        const impostor = await devLogin({ name: 'mallory', userId: alice.user.id });
+        assert.notEqual(impostor.user.id, alice.user.id);
+        
+        const renewed = await devLogin({ name: 'alice' }, alice.token);
+        assert.equal(renewed.user.id, alice.user.id);
+    });
+});
+
+describe('roles by connection', () => {
+    test('other users never see a user ID, and roles are given by connection ID', async () => {
+        const alice = await join('set-role', 'alice');   // The owner
+        const bob = await join('set-role', 'bob');
+        const joined = await waitFor(alice, message => message.type === 'userJoined', 'alice to hear about bob');
+        assert.equal('userId' in joined.user, false);
+        assert.ok(bob.messages.find(message => message.type === 'presence').users.every(user => !('userId' in user)));
+        
+        send(alice, { type: 'setRole', id: joined.user.id, role: 'viewer' });
+        
+        await waitFor(bob, message => message.type === 'permissions' && message.role === 'viewer', 'bob to become a viewer');
+    });
+});
+
+describe('images', () => {
+    // The start of a PNG file - enough for the server to know what it is
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3, 4]);
+    
+    function upload(body, token) {
+        return fetch(`http://localhost:${port}/uploads?room=images`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body
+        });
+    }
+    
+    test('an uploaded image can be fetched from the URL it gets', async () => {
+        const response = await upload(png, await login('alice'));
+        assert.equal(response.status, 201);
+        const { url, type, bytes } = await response.json();
+        assert.match(url, /^\/uploads\/[0-9a-f]{32}\.png$/);
+        assert.equal(type, 'image/png');
+        assert.equal(bytes, png.length);
+        
+        const image = await fetch(`http://localhost:${port}${url}`);
+        assert.equal(image.status, 200);
+        assert.equal(image.headers.get('content-type'), 'image/png');
+        assert.deepEqual(Buffer.from(await image.arrayBuffer()), png);
+    });
+    
+    test('files that are not images, and uploads without a token, are refused', async () => {
+        const text = await upload(Buffer.from('<svg onload="alert(1)"></svg>'), await login('alice'));
+        assert.equal(text.status, 415);
+        
+        const anonymous = await upload(png);
+        assert.equal(anonymous.status, 401);
+    });
+    
+    test('uploads are limited per address as well as per user', async () => {
+        // Different users, all behind one address
+        const statuses = [];
+        for (let i = 0; i < 31; i++) {
+            const response = await fetch(`http://localhost:${port}/uploads?room=images`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'image/png',
+                    'X-Forwarded-For': '203.0.113.7',
+                    Authorization: `Bearer ${await login(`crowd-${i}`)}`
+                },
+                body: png
+            });
+            statuses.push(response.status);
+        }
+        assert.deepEqual(statuses.slice(0, 30), Array(30).fill(201));
+        assert.equal(statuses[30], 429);
+    });
+    
+    test('uploads stop when the total size limit is reached', async () => {
+        const store = new UploadStore(null, { maxTotalBytes: 2 * png.length + 1 });
+        await store.save(png);
+        await store.save(png);   // The same image again takes no more room
+        await store.save(Buffer.concat([png, Buffer.from([5])]));
+        await assert.rejects(store.save(Buffer.concat([png, Buffer.from([6, 7])])), { status: 507 });
+    });
+    
+    test('an image and a background change go to everyone and stay on the board', async () => {
+        const { url } = await (await upload(png, await login('alice'))).json();
+        const alice = await join('image-board', 'alice');
+        const bob = await join('image-board', 'bob');
+        
+        send(alice, { type: 'image', data: { id: 'image-1', url, x: 10, y: 20, width: 300, height: 200, clock: 1 } });
+        send(alice, { type: 'background', data: { background: 'grid', clock: 2 } });
+        
+        const image = await waitFor(bob, message => message.type === 'image', 'bob to get the image');
+        assert.equal(image.data.author, 'alice');
+        const background = await waitFor(bob, message => message.type === 'background', 'bob to get the background');
+        assert.equal(background.data.background, 'grid');
+        
+        const carol = await join('image-board', 'carol');
+        const history = carol.messages.find(message => message.type === 'history');
+        assert.equal(history.snapshot.background.value, 'grid');
+        const [item] = history.snapshot.items;
+        assert.equal(item.kind, 'image');
+        assert.equal(item.url, url);
+        assert.equal(item.width, 300);
+    });
+    
+    test('uploaded PNGs are drawn in the server\'s PNG export', async () => {
+        // A plain red 20x10 PNG
+        const red = renderPng([], { bounds: { x: 0, y: 0, width: 20, height: 10 }, background: '#ff0000' });
+        const token = await login('alice');
+        const { url } = await (await upload(red, token)).json();
+        const alice = await join('image-export', 'alice');
+        const bob = await join('image-export', 'bob');
+        
+        send(alice, { type: 'image', data: { id: 'image-1', url, x: 0, y: 0, width: 200, height: 100, clock: 1 } });
+        await waitFor(bob, message => message.type === 'image', 'bob to get the image');
+        
+        const response = await fetch(`http://localhost:${port}/export.png?room=image-export`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        const { width, height, pixels } = decodePng(Buffer.from(await response.arrayBuffer()));
+        const center = (Math.floor(height / 2) * width + Math.floor(width / 2)) * 4;
+        assert.deepEqual([...pixels.subarray(center, center + 4)], [255, 0, 0, 255]);
+    });
+    
+    test('an SVG export only holds images up to a number of bytes, the rest stay links', async () => {
+        const token = await login('alice');
+        // Two 600-byte "PNGs" (only their first bytes are checked): together over the limit
+        const big = fill => Buffer.concat([png, Buffer.alloc(600, fill)]);
+        const { url: first } = await (await upload(big(1), token)).json();
+        const { url: second } = await (await upload(big(2), token)).json();
+        const alice = await join('image-svg', 'alice');
+        send(alice, { type: 'image', data: { id: 'image-1', url: first, x: 0, y: 0, width: 10, height: 10, clock: 1 } });
+        send(alice, { type: 'image', data: { id: 'image-2', url: second, x: 20, y: 0, width: 10, height: 10, clock: 2 } });
+        await waitFor(alice, message => message.type === 'image' && message.data.id === 'image-2', 'alice\'s own images');
+        
+        const response = await fetch(`http://localhost:${port}/export.svg?room=image-svg`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        const svg = await response.text();
+        assert.equal((svg.match(/data:image\/png;base64,/g) || []).length, 1);
+        assert.ok(svg.includes(`href="${second}"`));
+    });
+    
+    test('the PNG export decodes each picture once, and only up to a number of pixels', () => {
+        // Plain 20x10 PNGs: 200 pixels each
+        const images = new Map([
+            ['/uploads/red.png', renderPng([], { bounds: { x: 0, y: 0, width: 20, height: 10 }, background: '#ff0000' })],
+            ['/uploads/blue.png', renderPng([], { bounds: { x: 0, y: 0, width: 20, height: 10 }, background: '#0000ff' })]
+        ]);
+        const image = (url, x) => ({ kind: 'image', id: `image-${x}`, url, x, y: 0, width: 20, height: 10 });
+        const items = [image('/uploads/red.png', 0), image('/uploads/red.png', 20), image('/uploads/blue.png', 40)];
+        
+        const png = renderPng(items, { bounds: { x: 0, y: 0, width: 60, height: 10 }, images, maxImagePixels: 300 });
+        const { width, pixels } = decodePng(png);
+        const colorAt = x => [...pixels.subarray((5 * width + x) * 4, (5 * width + x) * 4 + 3)];
+        assert.deepEqual(colorAt(10), [255, 0, 0]);
+        assert.deepEqual(colorAt(30), [255, 0, 0]);    // Placed again, but not decoded again
+        assert.deepEqual(colorAt(50), [229, 231, 235]);   // Past the limit: a box
+    });
+    
+    test('an image that was never uploaded is refused', async () => {
+        const alice = await join('image-nowhere', 'alice');
+        const url = `/uploads/${'a'.repeat(32)}.png`;
+        
+        send(alice, { type: 'image', data: { id: 'image-1', url, x: 10, y: 20, width: 300, height: 200, clock: 1 } });
+        const error = await waitFor(alice, message => message.type === 'error', 'the image to be refused');
+        assert.match(error.message, /never uploaded/);
+        
+        const carol = await join('image-nowhere', 'carol');
+        const history = carol.messages.find(message => message.type === 'history');
+        assert.equal(history.snapshot.items.length, 0);
+    });
+    
+    test('an import with an image that was never uploaded is refused', async () => {
+        const alice = await join('image-import-nowhere', 'alice');   // The owner, who may import
+        send(alice, { type: 'draw', data: segment('stroke-1') });
+        await waitFor(alice, message => message.type === 'draw', 'alice\'s own segment');
+        
+        const url = `/uploads/${'b'.repeat(32)}.png`;
+        const image = { kind: 'image', id: 'image-1', clientId: 'alice', url, x: 10, y: 20, width: 300, height: 200 };
+        send(alice, { type: 'import', data: { items: [image] } });
+        const error = await waitFor(alice, message => message.type === 'error', 'the import to be refused');
+        assert.match(error.message, /never uploaded/);
+        
+        // The board wasn't replaced
+        const carol = await join('image-import-nowhere', 'carol');
+        const history = carol.messages.find(message => message.type === 'history');
+        assert.deepEqual(history.snapshot.items.map(item => item.id), ['stroke-1']);
+    });
+});
+
+describe('requiring the server', () => {
+    test('loads no boards and opens no backplane until start()', async () => {
+        // A saved board with a line that can't be read (a warning when loaded),
+        // and a Redis nobody listens on (the process exits when it fails)
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drawing-require-'));
+        fs.writeFileSync(path.join(dataDir, 'saved.jsonl'), 'not json\n');
+        const env = {
+            ...process.env,
+            STORAGE: 'file',
+            DATA_DIR: dataDir,
+            BACKPLANE: 'redis',
+            REDIS_URL: 'redis://127.0.0.1:1',
+            LOG_LEVEL: 'warn'
+        };
+        
+        try {
+            const { stdout, stderr } = await new Promise((resolve, reject) => {
+                execFile(process.execPath, ['-e', 'require("./server")'], { cwd: path.join(__dirname, '..'), env, timeout: 5000 },
+                    (error, stdout, stderr) => (error ? reject(error) : resolve({ stdout, stderr })));
+            });
+            assert.equal(stdout + stderr, '');
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});